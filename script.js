@@ -17,9 +17,12 @@
  * 
  * AUTHENTICATION SYSTEM:
  * - Username and password-based authentication
- * - Three demo users with predefined credentials
- * - Session persistence using localStorage
+ * - Self-service registration, password change and account deletion
+ * - Passwords stored as salted PBKDF2 hashes (Web Crypto)
+ * - Three demo accounts seeded on first run
+ * - Signed, expiring session tokens ("remember me" is opt-in)
  * - Auto-login functionality for returning users
+ * - Idle lock and login rate limiting with exponential back-off
  * - Secure logout with complete session cleanup
  * 
  * SECURITY FEATURES:
@@ -29,10 +32,7 @@
  * - Input sanitization and validation
  * 
  * PRODUCTION SECURITY CONSIDERATIONS:
- * - Passwords should be hashed using bcrypt or similar
  * - Use HTTPS for secure credential transmission
- * - Implement rate limiting for login attempts
- * - Use secure session tokens with expiration
  * - Store user data in secure database, not client-side
  * 
  * DATA STRUCTURE:
@@ -48,7 +48,7 @@
  * - Priority levels (Low, Medium, High, Urgent)
  * - Due date and time countdown timers
  * - Edit limits (3 times per task)
- * - Local storage for data persistence
+ * - IndexedDB storage (localStorage fallback) for data persistence
  * - Professional notifications
  * - Responsive design support
  * - Search functionality with highlighting
@@ -60,20 +60,18 @@
 // ========================================
 
 /**
- * STATIC USER DATA
- * These are the predefined users that can log into the application.
- * In a real application, this would come from a database.
+ * DEMO ACCOUNT SEED DATA
+ * These demo users are turned into real accounts the first time the app runs
+ * (see initAccounts). After that, logins are checked against the salted
+ * password hashes in the account store - this list is never used to log in.
  * Each user has:
  * - username: Display name for the user
- * - password: Authentication password (in production, this should be hashed)
- * - id: Unique identifier for the user
+ * - password: Demo password, hashed with PBKDF2 when the account is seeded
+ * - id: Unique identifier for the user (kept so existing swift_task_user_N data stays attached)
  * - joinDate: When the user was created (for demo purposes)
  * 
- * SECURITY NOTE: In a production environment, passwords should be:
- * - Hashed using bcrypt or similar algorithms
- * - Stored securely in a database
- * - Never stored in plain text in client-side code
- * - Transmitted over HTTPS only
+ * SECURITY NOTE: The demo passwords are public (they are shown on the login screen).
+ * Change them from the profile screen, or register your own account.
  */
 
 const STATIC_USERS = [
@@ -109,7 +107,11 @@ let currentUser = null;
 // Current user's data structure - contains all boards, folders, and tasks
 // This is what gets saved to localStorage
 let currentData = {
-    boards: []  // Array of board objects, each containing folders and tasks
+    schemaVersion: 5, // Storage schema version (see STORAGE_SCHEMA_VERSION)
+    boards: [],  // Array of board objects, each containing folders and tasks
+    trash: [],   // Deleted boards, folders and tasks that can still be restored
+    tags: [],    // Tags shared by all boards (see TASK TAGS)
+    settings: {} // Per-user settings stored with the workspace (e.g. trashRetentionDays)
 };
 
 /**
@@ -148,6 +150,7 @@ const dashboardScreen = document.getElementById('dashboardScreen'); // Dashboard
 const loginForm = document.getElementById('loginForm');     // Login form element
 const usernameInput = document.getElementById('username');  // Username input field
 const passwordInput = document.getElementById('password');  // Password input field (type="password" for security)
+const registerForm = document.getElementById('registerForm');   // Registration form element (hidden until requested)
 // ========================================
 // NAVIGATION ELEMENTS
 // ========================================
@@ -155,6 +158,15 @@ const passwordInput = document.getElementById('password');  // Password input fi
 const currentUserSpan = document.getElementById('currentUser'); // User name in navbar
 const logoutBtn = document.getElementById('logoutBtn');         // Logout button
 const profileBtn = document.getElementById('profileBtn');       // Profile button
+const exportJsonBtn = document.getElementById('exportJsonBtn'); // Export workspace (JSON) menu item
+const importJsonBtn = document.getElementById('importJsonBtn'); // Import workspace menu item
+const importJsonInput = document.getElementById('importJsonInput'); // Hidden file picker for imports
+const exportCsvBtn = document.getElementById('exportCsvBtn');   // Export tasks (CSV) menu item
+const importCsvBtn = document.getElementById('importCsvBtn');   // Import tasks (CSV) menu item
+const importCsvInput = document.getElementById('importCsvInput'); // Hidden file picker for CSV imports
+const exportIcsBtn = document.getElementById('exportIcsBtn');   // Export calendar (.ics) menu item
+const trashBtn = document.getElementById('trashBtn');           // Trash menu item
+const tagManagerBtn = document.getElementById('tagManagerBtn'); // Tag manager menu item
 
 // ========================================
 // BOARD MANAGEMENT ELEMENTS
@@ -180,7 +192,20 @@ const clearSearchBtn = document.getElementById('clearSearchBtn'); // Clear searc
 const addTaskModal = new bootstrap.Modal(document.getElementById('addTaskModal'));     // Add task modal
 const editTaskModal = new bootstrap.Modal(document.getElementById('editTaskModal'));   // Edit task modal
 const addFolderModal = new bootstrap.Modal(document.getElementById('addFolderModal')); // Add folder modal
+const boardNameModal = new bootstrap.Modal(document.getElementById('boardNameModal')); // Add sub-board / rename board modal
 const profileModal = new bootstrap.Modal(document.getElementById('profileModal'));     // Profile modal
+const importModal = new bootstrap.Modal(document.getElementById('importModal'));       // Workspace import preview modal
+const csvImportModal = new bootstrap.Modal(document.getElementById('csvImportModal')); // CSV column mapping modal
+const icsExportModal = new bootstrap.Modal(document.getElementById('icsExportModal')); // Calendar export options modal
+const changePasswordModal = new bootstrap.Modal(document.getElementById('changePasswordModal')); // Change password modal
+const deleteAccountModal = new bootstrap.Modal(document.getElementById('deleteAccountModal'));   // Delete account modal
+const encryptionModal = new bootstrap.Modal(document.getElementById('encryptionModal'));         // Encryption on/off modal
+const trashModal = new bootstrap.Modal(document.getElementById('trashModal'));       // Trash (deleted items) modal
+const editPolicyModal = new bootstrap.Modal(document.getElementById('editPolicyModal')); // Board edit policy modal
+const resetEditsModal = new bootstrap.Modal(document.getElementById('resetEditsModal')); // Reset task edit count modal
+const dependencyModal = new bootstrap.Modal(document.getElementById('dependencyModal')); // Task dependencies modal
+const tagManagerModal = new bootstrap.Modal(document.getElementById('tagManagerModal')); // Tag manager modal
+const savedViewModal = new bootstrap.Modal(document.getElementById('savedViewModal'));   // Save search as view modal
 
 // ========================================
 // UTILITY FUNCTIONS
@@ -190,16 +215,18 @@ const profileModal = new bootstrap.Modal(document.getElementById('profileModal')
  * NOTIFICATION SYSTEM
  * This function creates and displays professional-looking notifications to the user
  * 
- * @param {string} message - The text message to display to the user
+ * @param {string} message - The text message to display to the user (plain text, not HTML)
  * @param {string} type - The type of notification: 'success', 'error', or 'info'
  * @param {number} duration - How long to show the notification in milliseconds (default: 3000ms = 3 seconds)
+ * @param {object} [action] - Optional button inside the notification: { label, onClick }
  * 
  * USAGE EXAMPLES:
  * - showNotification('Task created successfully!', 'success')
  * - showNotification('Please enter a valid username', 'error')
  * - showNotification('Loading data...', 'info', 5000)
+ * - showNotification('Task deleted', 'success', 5000, { label: 'Undo', onClick: undoLastChange })
  */
-function showNotification(message, type = 'info', duration = 3000) {
+function showNotification(message, type = 'info', duration = 3000, action = null) {
     // STEP 1: Clean up any existing notifications
     // This prevents multiple notifications from stacking up
     const existingNotifications = document.querySelectorAll('.notification');
@@ -210,11 +237,23 @@ function showNotification(message, type = 'info', duration = 3000) {
     notification.className = `notification ${type}`;  //${type} is called template literal. // CSS classes for styling
 
     // STEP 3: Set the notification content with appropriate icon
-    // The icon changes based on the notification type
-    notification.innerHTML = `
-        <i class="fas fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-circle' : 'info-circle'} me-2"></i>
-        ${message}
-    `;
+    // The icon changes based on the notification type. The message is plain text -
+    // it often holds board, folder and task names, which must never be parsed as HTML
+    notification.innerHTML = `<i class="fas fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-circle' : type === 'warning' ? 'exclamation-triangle' : 'info-circle'} me-2"></i>`;
+    notification.append(message);
+
+    // Optional action button (e.g. "Undo") - closes the notification when clicked
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'notification-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            notification.remove();
+            action.onClick();
+        });
+        notification.appendChild(button);
+    }
 
     // Add to page
     document.body.appendChild(notification);    //adds notfication html code(child) to end of body html(parent)
@@ -233,6 +272,40 @@ function showNotification(message, type = 'info', duration = 3000) {
 //formatDate() converts dates like "2024-01-15" to "Jan 15, 2024" for display
 //here:
 
+/**
+ * Escapes text so it can be safely inserted into HTML
+ * @param {string} text - Raw text (e.g. from an imported file)
+ * @returns {string} Text with HTML special characters escaped
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Returns a name that does not clash with any name in the list
+ * e.g. "Marketing" becomes "Marketing (imported)", then "Marketing (imported 2)"
+ * @param {string} name - Desired board, folder or task name
+ * @param {Set<string>} takenNames - Lower-case names already in use
+ * @param {string} [suffix] - Word added to clashing names
+ * @returns {string} Unique name
+ */
+function uniqueName(name, takenNames, suffix = 'imported') {
+    if (!takenNames.has(name.toLowerCase())) return name;
+
+    let candidate = `${name} (${suffix})`;
+    let counter = 2;
+    while (takenNames.has(candidate.toLowerCase())) {
+        candidate = `${name} (${suffix} ${counter})`;
+        counter++;
+    }
+    return candidate;
+}
+
 /**
  * Generates a unique ID for new items
  * @returns {string} Unique ID
@@ -273,6 +346,24 @@ function formatDateTime(dateString, timeString) {
     });
 }
 
+/**
+ * Formats a date as a local YYYY-MM-DD string (the format of date inputs)
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function toLocalDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Formats a time as a local HH:MM string (the format of time inputs)
+ * @param {Date} date - Date
+ * @returns {string} Time string
+ */
+function toLocalTimeString(date) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
 /**
  * Calculates the countdown for a task
  * @param {string} dueDate - Due date string
@@ -302,1104 +393,8454 @@ function calculateCountdown(dueDate, dueTime) {
     return { days, hours, minutes, seconds, overdue: false };
 }
 
+// ========================================
+// STORAGE SCHEMA AND MIGRATIONS
+// ========================================
+
 /**
- * Saves data to localStorage
- * @param {string} userId - User ID
- * @param {object} data - Data to save
+ * STORAGE SCHEMA VERSION
+ * Every workspace written by saveData is stamped with this number.
+ * Bump it whenever the saved data shape changes and add a matching
+ * entry to STORAGE_MIGRATIONS below.
  */
-function saveData(userId, data) {      //In JavaScript, localStorage.setItem() is a method used to store data in the browser’s local storage
-    try {
-        localStorage.setItem(`swift_task_${userId}`, JSON.stringify(data));   //localStorage.setItem(key, value);      key is swift_task_${userId} and value is JSON.stringify(data)
+const STORAGE_SCHEMA_VERSION = 5;
 
-    } catch (error) {
-        console.error('Error saving data:', error);
-        showNotification('Error saving data', 'error');
+/**
+ * STORAGE MIGRATIONS
+ * Ordered list of upgrades. Each entry upgrades a workspace from
+ * (version - 1) to version. Data saved before versioning existed has no
+ * schemaVersion field and is treated as version 0.
+ *
+ * Migrations receive a copy of the stored data and must return the upgraded data.
+ */
+const STORAGE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill in missing arrays and task fields on unversioned data',
+        migrate(data) {
+            const normalizeFolder = folder => ({
+                ...folder,
+                createdAt: folder.createdAt || new Date().toISOString(),
+                tasks: (Array.isArray(folder.tasks) ? folder.tasks : []).map(task => ({
+                    ...task,
+                    description: task.description || '',
+                    priority: task.priority || 'medium',
+                    status: task.status || 'pending',
+                    createdAt: task.createdAt || new Date().toISOString(),
+                    editCount: typeof task.editCount === 'number' ? task.editCount : 0,
+                    lastEdited: task.lastEdited || null
+                }))
+            });
+
+            const normalizeBoard = board => ({
+                ...board,
+                createdAt: board.createdAt || new Date().toISOString(),
+                folders: (Array.isArray(board.folders) ? board.folders : []).map(normalizeFolder),
+                // Sub-boards were added ad hoc by addDemoSubBoard, give them the same shape as boards
+                ...(Array.isArray(board.subBoards) ? { subBoards: board.subBoards.map(normalizeBoard) } : {})
+            });
+
+            return {
+                ...data,
+                boards: (Array.isArray(data.boards) ? data.boards : []).map(normalizeBoard)
+            };
+        }
+    },
+    {
+        version: 2,
+        description: 'Add the trash bin and per-user settings',
+        migrate(data) {
+            return {
+                ...data,
+                trash: Array.isArray(data.trash) ? data.trash : [],
+                settings: { trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS, ...data.settings }
+            };
+        }
+    },
+    {
+        version: 3,
+        description: 'Start a history log on every task',
+        migrate(data) {
+            const addHistory = task => ({
+                ...task,
+                history: Array.isArray(task.history) ? task.history : [{ at: task.createdAt, type: 'created' }]
+            });
+            const upgradeBoard = board => ({
+                ...board,
+                folders: board.folders.map(folder => ({ ...folder, tasks: folder.tasks.map(addHistory) })),
+                ...(Array.isArray(board.subBoards) ? { subBoards: board.subBoards.map(upgradeBoard) } : {})
+            });
+
+            return { ...data, boards: data.boards.map(upgradeBoard) };
+        }
+    },
+    {
+        version: 4,
+        description: 'Give every board a list of sub-boards',
+        migrate(data) {
+            const addSubBoards = board => ({
+                ...board,
+                subBoards: (Array.isArray(board.subBoards) ? board.subBoards : []).map(addSubBoards)
+            });
+
+            return { ...data, boards: data.boards.map(addSubBoards) };
+        }
+    },
+    {
+        version: 5,
+        description: 'Add the workspace tag list',
+        migrate(data) {
+            return { ...data, tags: Array.isArray(data.tags) ? data.tags : [] };
+        }
     }
+];
+
+// User IDs whose saved workspace could not be safely upgraded (newer schema or
+// failed migration). saveData refuses to write for these users so nothing is lost.
+const readOnlyStorageUsers = new Set();
+
+/**
+ * Creates an empty workspace stamped with the current schema version
+ * @returns {object} Empty workspace data
+ */
+function createEmptyData() {
+    return {
+        schemaVersion: STORAGE_SCHEMA_VERSION,
+        boards: [],
+        trash: [],
+        tags: [],
+        settings: { trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS }
+    };
 }
 
 /**
- * Loads data from localStorage
- * @param {string} userId - User ID
- * @returns {object} Loaded data
+ * Upgrades stored data to the current schema version
+ * @param {object} data - Parsed workspace data as found in storage
+ * @returns {object} Data stamped with STORAGE_SCHEMA_VERSION
+ * @throws {Error} If the data was written by a newer schema or a migration fails
  */
-function loadData(userId) {                                                            // localStorage can only store strings.
+function migrateData(data) {
+    const storedVersion = typeof data.schemaVersion === 'number' ? data.schemaVersion : 0;
 
-    // JSON.stringify converts the object/array into a string.
-    try {
-        const data = localStorage.getItem(`swift_task_${userId}`);
-        return data ? JSON.parse(data) : { boards: [] };
-    } catch (error) {
-        console.error('Error loading data:', error);
-        showNotification('Error loading data', 'error');
-        return { boards: [] };
+    if (storedVersion > STORAGE_SCHEMA_VERSION) {
+        throw new Error(`Data was saved by a newer version of Swift Task (schema ${storedVersion}, this app supports ${STORAGE_SCHEMA_VERSION})`);
     }
+
+    // Run every migration newer than the stored version, in order
+    let migrated = JSON.parse(JSON.stringify(data));
+    STORAGE_MIGRATIONS
+        .filter(migration => migration.version > storedVersion)
+        .sort((a, b) => a.version - b.version)
+        .forEach(migration => {
+            try {
+                migrated = migration.migrate(migrated);
+            } catch (error) {
+                throw new Error(`Migration to schema ${migration.version} failed: ${error.message}`);
+            }
+            migrated.schemaVersion = migration.version;
+        });
+
+    migrated.schemaVersion = STORAGE_SCHEMA_VERSION;
+    return migrated;
 }
 
+// ========================================
+// STORAGE BACKENDS
+// ========================================
+
 /**
- * Searches through boards, folders, and tasks based on search criteria
- * @param {string} searchTerm - Search term
- * @param {string} searchType - Type of search (all, boards, folders, tasks)
- * @returns {object} Filtered data and items to expand
+ * PLUGGABLE STORAGE BACKENDS
+ * saveData/loadData talk to whichever backend initStorageBackend() selected.
+ * Every backend implements the same methods:
+ * - name: Human readable backend name
+ * - load(userId, key): Resolves with the stored workspace, or null if there is none
+ * - save(userId, data, key): Writes the whole workspace
+ * - saveEntity(userId, data, change, key): Writes only the board/folder/task named by `change`
+ * - remove(userId): Deletes everything stored for the user
+ *
+ * A change describes a single entity that was added, edited or removed:
+ * { type: 'board' | 'folder' | 'task', id, boardId?, folderId? }
+ * (for a sub-board, boardId is its parent board, which keeps the order of its sub-boards)
+ * or { type: 'workspace' } when only fields outside the boards changed (trash, settings).
+ *
+ * `key` is the user's AES-GCM key when their workspace is encrypted at rest, or null.
+ * Backends encrypt what they write with it and decrypt what they read (see ENCRYPTION AT REST).
  */
-function searchData(searchTerm, searchType) {
-    if (!searchTerm.trim()) {
-        return { data: currentData, expandBoards: [], expandFolders: [] };
+
+/**
+ * LOCALSTORAGE BACKEND
+ * The original storage: one JSON string per user under swift_task_${userId}.
+ * Used as the fallback when IndexedDB is not available (old browsers, some private modes).
+ */
+const localStorageBackend = {
+    name: 'localStorage',
+
+    async load(userId, key = null) {
+        const data = localStorage.getItem(`swift_task_${userId}`);
+        return data ? decodeStoredValue(JSON.parse(data), key) : null;
+    },
+
+    async save(userId, data, key = null) {
+        const stored = await encodeStoredValue(data, key);
+        localStorage.setItem(`swift_task_${userId}`, JSON.stringify(stored));   //localStorage.setItem(key, value);      key is swift_task_${userId} and value is JSON.stringify(data)
+    },
+
+    // localStorage can only hold whole strings, so a single entity change still rewrites everything
+    async saveEntity(userId, data, change, key = null) {
+        return this.save(userId, data, key);
+    },
+
+    async remove(userId) {
+        localStorage.removeItem(`swift_task_${userId}`);
     }
+};
 
-    const term = searchTerm.toLowerCase().trim();  //term → will store the search text.
-    const filteredData = { boards: [] };          //filteredData → will store the search results.
-    const expandBoards = [];                      //expandBoards → will store the IDs of boards that need to be expanded.
-    const expandFolders = [];                     //expandFolders → will store the IDs of folders that need to be expanded.
+// IndexedDB database name and version (bump the version when object stores change)
+const IDB_NAME = 'swift_task';
+const IDB_VERSION = 1;
 
-    currentData.boards.forEach(board => {
-        let boardMatches = false;
-        let filteredBoard = { ...board, folders: [] };    //... is the spread operator. It copies all properties from board and adds an empty folders array.
+/**
+ * Wraps an IndexedDB request in a Promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise} Resolves with the request result
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
 
-        // Search in board name
-        if (searchType === 'all' || searchType === 'boards') {
-            if (board.name.toLowerCase().includes(term)) {
-                boardMatches = true;
-                // Don't automatically expand board when searching for it
-                // Only include folders if they have matching content
-                if (board.folders && board.folders.length > 0) {
-                    board.folders.forEach(folder => {
-                        filteredBoard.folders.push({ ...folder, tasks: folder.tasks || [] });
-                    });
+/**
+ * Waits for an IndexedDB transaction to finish
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise} Resolves when the transaction commits
+ */
+function idbTransactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * INDEXEDDB BACKEND
+ * Stores every board, folder and task as its own record so a single change
+ * (e.g. a status change) only writes that record and its parent.
+ *
+ * OBJECT STORES (all keyed by [userId, id]):
+ * - meta:    { userId, root, boardIds }                  - workspace fields other than boards, top-level board order
+ * - boards:  { userId, id, parentId, data, folderIds, subBoardIds } - board without its folders and sub-boards
+ * - folders: { userId, id, boardId, data, taskIds }      - folder without its tasks
+ * - tasks:   { userId, id, boardId, folderId, data }     - the task itself
+ *
+ * With encryption at rest, `root` and every `data` field are encrypted; IDs and
+ * order lists stay readable so records can still be indexed and reassembled.
+ */
+const indexedDBBackend = {
+    name: 'IndexedDB',
+    db: null,
+
+    /**
+     * Opens the database, creating object stores on first use
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    async open() {
+        const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('meta')) {
+                db.createObjectStore('meta', { keyPath: 'userId' });
+            }
+            if (!db.objectStoreNames.contains('boards')) {
+                const boards = db.createObjectStore('boards', { keyPath: ['userId', 'id'] });
+                boards.createIndex('userId', 'userId');
+            }
+            if (!db.objectStoreNames.contains('folders')) {
+                const folders = db.createObjectStore('folders', { keyPath: ['userId', 'id'] });
+                folders.createIndex('userId', 'userId');
+                folders.createIndex('board', ['userId', 'boardId']);
+            }
+            if (!db.objectStoreNames.contains('tasks')) {
+                const tasks = db.createObjectStore('tasks', { keyPath: ['userId', 'id'] });
+                tasks.createIndex('userId', 'userId');
+                tasks.createIndex('board', ['userId', 'boardId']);
+                tasks.createIndex('folder', ['userId', 'folderId']);
+            }
+        };
+        this.db = await idbRequest(request);
+        return this.db;
+    },
+
+    async load(userId, key = null) {
+        const transaction = this.db.transaction(['meta', 'boards', 'folders', 'tasks'], 'readonly');
+        let [meta, boardRecords, folderRecords, taskRecords] = await Promise.all([
+            idbRequest(transaction.objectStore('meta').get(userId)),
+            idbRequest(transaction.objectStore('boards').index('userId').getAll(userId)),
+            idbRequest(transaction.objectStore('folders').index('userId').getAll(userId)),
+            idbRequest(transaction.objectStore('tasks').index('userId').getAll(userId))
+        ]);
+
+        if (!meta) return null;
+
+        // Decrypt every record before reassembling (no-op for plain text records)
+        const decode = records => Promise.all(records.map(async record => ({ ...record, data: await decodeStoredValue(record.data, key) })));
+        const root = await decodeStoredValue(meta.root, key);
+        [boardRecords, folderRecords, taskRecords] = await Promise.all([decode(boardRecords), decode(folderRecords), decode(taskRecords)]);
+
+        // Rebuild the nested boards > folders > tasks structure using the stored order lists
+        const orderBy = (records, ids) => {
+            const byId = new Map(records.map(record => [record.id, record]));
+            const ordered = (ids || []).filter(id => byId.has(id)).map(id => byId.get(id));
+            // Records missing from the order list are kept rather than silently dropped
+            const orphans = records.filter(record => !(ids || []).includes(record.id));
+            return [...ordered, ...orphans];
+        };
+
+        const buildBoard = boardRecord => ({
+            ...boardRecord.data,
+            folders: orderBy(folderRecords.filter(f => f.boardId === boardRecord.id), boardRecord.folderIds).map(folderRecord => ({
+                ...folderRecord.data,
+                tasks: orderBy(taskRecords.filter(t => t.folderId === folderRecord.id), folderRecord.taskIds).map(taskRecord => taskRecord.data)
+            })),
+            // Sub-boards saved before they had records of their own are still embedded in the board data
+            subBoards: [
+                ...(boardRecord.data.subBoards || []),
+                ...orderBy(boardRecords.filter(b => b.parentId === boardRecord.id), boardRecord.subBoardIds).map(buildBoard)
+            ]
+        });
+        const boards = orderBy(boardRecords.filter(b => !b.parentId), meta.boardIds).map(buildBoard);
+
+        return { ...root, boards };
+    },
+
+    async save(userId, data, key = null) {
+        // Build (and encrypt) every record first: a transaction commits as soon as it is left waiting
+        const keptIds = new Set();
+        const records = [['meta', await this.metaRecord(userId, data, key)]];
+        for (const board of getAllBoards(data.boards)) {
+            const { parent } = findBoardLocation(board.id, data.boards);
+            records.push(['boards', await this.boardRecord(userId, board, parent, key)]);
+            keptIds.add(board.id);
+            for (const folder of board.folders || []) {
+                records.push(['folders', await this.folderRecord(userId, board.id, folder, key)]);
+                keptIds.add(folder.id);
+                for (const task of folder.tasks || []) {
+                    records.push(['tasks', await this.taskRecord(userId, board.id, folder.id, task, key)]);
+                    keptIds.add(task.id);
                 }
             }
         }
 
-        // Search in folders
-        if (board.folders && board.folders.length > 0) {
-            board.folders.forEach(folder => {
-                let folderMatches = false;
-                let filteredFolder = { ...folder, tasks: [] };
+        const transaction = this.db.transaction(['meta', 'boards', 'folders', 'tasks'], 'readwrite');
+        const done = idbTransactionDone(transaction);
 
-                // Search in folder name
-                if (searchType === 'all' || searchType === 'folders') {
-                    if (folder.name.toLowerCase().includes(term)) {
-                        folderMatches = true;
-                        expandBoards.push(board.id);
-                        expandFolders.push(folder.id);
-                        // If folder matches, include ALL tasks in that folder
-                        if (folder.tasks && folder.tasks.length > 0) {
-                            folder.tasks.forEach(task => {
-                                filteredFolder.tasks.push(task);
-                            });
-                        }
-                    }
-                }
+        // Write the whole workspace back
+        records.forEach(([storeName, record]) => transaction.objectStore(storeName).put(record));
 
-                // Search in tasks (only if not already matched by folder name)
-                if (!folderMatches && folder.tasks && folder.tasks.length > 0) {
-                    folder.tasks.forEach(task => {
-                        let taskMatches = false;
+        // Then remove records of this user that are no longer part of the workspace
+        ['boards', 'folders', 'tasks'].forEach(storeName => {
+            const store = transaction.objectStore(storeName);
+            store.index('userId').getAllKeys(userId).onsuccess = event => {
+                event.target.result
+                    .filter(([, id]) => !keptIds.has(id))
+                    .forEach(key => store.delete(key));
+            };
+        });
 
-                        if (searchType === 'all' || searchType === 'tasks') {
-                            // Search in task title, description, priority, status
-                            if (task.title.toLowerCase().includes(term) ||
-                                (task.description && task.description.toLowerCase().includes(term)) ||
-                                task.priority.toLowerCase().includes(term) ||
-                                task.status.toLowerCase().includes(term)) {
-                                taskMatches = true;
-                            }
-                        }
+        return done;
+    },
 
-                        if (taskMatches) {
-                            filteredFolder.tasks.push(task);
-                            folderMatches = true;
-                            // If task matches, expand both board and folder
-                            expandBoards.push(board.id);
-                            expandFolders.push(folder.id);
-                        }
-                    });
-                }
+    async saveEntity(userId, data, change, key = null) {
+        // Only the workspace fields outside the boards changed - rewrite the meta record
+        if (change.type === 'workspace') {
+            const meta = await this.metaRecord(userId, data, key);
+            const transaction = this.db.transaction(['meta'], 'readwrite');
+            transaction.objectStore('meta').put(meta);
+            return idbTransactionDone(transaction);
+        }
 
-                if (folderMatches) {
-                    filteredBoard.folders.push(filteredFolder);
-                    boardMatches = true;
-                }
-            });
+        const location = findBoardLocation(change.type === 'board' ? change.id : change.boardId, data.boards);
+        const board = location && location.board;
+        const folder = board && change.type !== 'board'
+            ? (board.folders || []).find(f => f.id === (change.type === 'folder' ? change.id : change.folderId))
+            : null;
+
+        // The parent of a task or folder is gone (e.g. deleted in the same change) - write everything
+        if (change.type !== 'board' && (!board || (change.type === 'task' && !folder))) {
+            return this.save(userId, data, key);
         }
 
-        if (boardMatches) {
-            filteredData.boards.push(filteredBoard);
+        // Records to write, built before the transaction opens (see save)
+        const records = [];
+        if (change.type === 'board') {
+            if (board) records.push(['boards', await this.boardRecord(userId, board, location.parent, key)]);
+            // The parent board keeps the order of its sub-boards
+            const parentLocation = change.boardId ? findBoardLocation(change.boardId, data.boards) : null;
+            if (parentLocation) records.push(['boards', await this.boardRecord(userId, parentLocation.board, parentLocation.parent, key)]);
+            records.push(['meta', await this.metaRecord(userId, data, key)]);
+        } else if (change.type === 'folder') {
+            if (folder) records.push(['folders', await this.folderRecord(userId, board.id, folder, key)]);
+            records.push(['boards', await this.boardRecord(userId, board, location.parent, key)]);
+        } else if (change.type === 'task') {
+            const task = (folder.tasks || []).find(t => t.id === change.id);
+            if (task) records.push(['tasks', await this.taskRecord(userId, board.id, folder.id, task, key)]);
+            records.push(['folders', await this.folderRecord(userId, board.id, folder, key)]);
         }
-    });
 
-    // Remove duplicates from expand arrays  
-    // //Sometimes same board/folder is added multiple times.
-    //Set ensures only unique IDs are stored.
-    const uniqueExpandBoards = [...new Set(expandBoards)];
-    const uniqueExpandFolders = [...new Set(expandFolders)];
+        const transaction = this.db.transaction(['meta', 'boards', 'folders', 'tasks'], 'readwrite');
+        const done = idbTransactionDone(transaction);
 
-    return {
-        data: filteredData,
-        expandBoards: uniqueExpandBoards,
-        expandFolders: uniqueExpandFolders
-    };
-}
+        if (change.type === 'board' && !board) {
+            // Board removed: delete it and its sub-boards together with all of their folders and tasks
+            transaction.objectStore('boards').index('userId').getAll(userId).onsuccess = event => {
+                const removedIds = [change.id];
+                for (let i = 0; i < removedIds.length; i++) {
+                    event.target.result.filter(record => record.parentId === removedIds[i]).forEach(record => removedIds.push(record.id));
+                }
+                removedIds.forEach(boardId => {
+                    transaction.objectStore('boards').delete([userId, boardId]);
+                    this.deleteByIndex(transaction, 'folders', 'board', [userId, boardId]);
+                    this.deleteByIndex(transaction, 'tasks', 'board', [userId, boardId]);
+                });
+            };
+        } else if (change.type === 'folder' && !folder) {
+            transaction.objectStore('folders').delete([userId, change.id]);
+            this.deleteByIndex(transaction, 'tasks', 'folder', [userId, change.id]);
+        } else if (change.type === 'task' && !(folder.tasks || []).some(t => t.id === change.id)) {
+            transaction.objectStore('tasks').delete([userId, change.id]);
+        }
+        records.forEach(([storeName, record]) => transaction.objectStore(storeName).put(record));
 
-/**
- * Highlights search terms in text
- * @param {string} text - Text to highlight
- * @param {string} searchTerm - Search term to highlight
- * @returns {string} HTML with highlighted text
- */
-function highlightSearchTerm(text, searchTerm) {     //text → The string where you want to highlight something.
-    //searchTerm → The word or phrase that the user is searching for.
-    if (!searchTerm.trim()) return text;  //If the search term is empty or only spaces, return the original text—nothing to highlight.
+        return done;
+    },
 
-    const regex = new RegExp(`(${searchTerm})`, 'gi');   //RegExp is a built-in JavaScript object that represents a regular expression.
+    async remove(userId) {
+        const transaction = this.db.transaction(['meta', 'boards', 'folders', 'tasks'], 'readwrite');
+        const done = idbTransactionDone(transaction);
 
-    // 'gi' → two options:
-    //g → global → find all matches from the whole page, not just the first one.
-    //i → ignore case → “Task” = “task” = “TASK”.
+        transaction.objectStore('meta').delete(userId);
+        ['boards', 'folders', 'tasks'].forEach(storeName => this.deleteByIndex(transaction, storeName, 'userId', userId));
 
-    return text.replace(regex, '<mark class="search-highlight">$1</mark>');   //replace() → replaces the matched text with the new text.
-    //$1 the text that was matched (the thing inside () in regex).
-    //<mark class="search-highlight">$1</mark> → the new text with added style(yellow highlight) that replaces the matched text.
-}
+        return done;
+    },
 
-// ========================================
-// USER MANAGEMENT
-// ========================================
+    async metaRecord(userId, data, key) {
+        const { boards, ...root } = data;
+        return { userId, root: await encodeStoredValue(root, key), boardIds: boards.map(b => b.id) };
+    },
 
-/**
- * Handles user login with username and password authentication
- * @param {string} username - Username to login (case-insensitive)
- * @param {string} password - Password to verify (case-sensitive)
- * @returns {boolean} - Returns true if login successful, false otherwise
- * 
- * AUTHENTICATION PROCESS:
- * 1. Validates that both username and password are provided
- * 2. Searches for user in STATIC_USERS array
- * 3. Compares username (case-insensitive) and password (case-sensitive)
- * 4. If match found, sets current user and loads user data
- * 5. Switches to dashboard view
- * 6. Shows success/error notification
- * 
- * SECURITY NOTES:
- * - In production, passwords should be hashed and compared securely
- * - Consider implementing rate limiting for failed login attempts
- * - Use HTTPS for secure transmission of credentials
- * - Consider implementing session tokens instead of storing user ID
- */
-function loginUser(username, password) {
-    // Validate input parameters
-    if (!username || !password) {
-        showNotification('Please enter both username and password', 'error');
-        return false;
+    async boardRecord(userId, board, parent, key) {
+        const { folders, subBoards, ...boardData } = board;
+        return {
+            userId,
+            id: board.id,
+            parentId: parent ? parent.id : null,
+            data: await encodeStoredValue(boardData, key),
+            folderIds: (folders || []).map(f => f.id),
+            subBoardIds: (subBoards || []).map(b => b.id)
+        };
+    },
+
+    async folderRecord(userId, boardId, folder, key) {
+        const { tasks, ...folderData } = folder;
+        return { userId, id: folder.id, boardId, data: await encodeStoredValue(folderData, key), taskIds: (tasks || []).map(t => t.id) };
+    },
+
+    async taskRecord(userId, boardId, folderId, task, key) {
+        return { userId, id: task.id, boardId, folderId, data: await encodeStoredValue(task, key) };
+    },
+
+    deleteByIndex(transaction, storeName, indexName, key) {
+        const store = transaction.objectStore(storeName);
+        store.index(indexName).openKeyCursor(IDBKeyRange.only(key)).onsuccess = event => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            store.delete(cursor.primaryKey);
+            cursor.continue();
+        };
     }
+};
 
-    // Find user in static users array
-    // Username comparison is case-insensitive, password is case-sensitive
-    const user = STATIC_USERS.find(u => 
-        u.username.toLowerCase() === username.toLowerCase() && 
-        u.password === password
-    );
+// Backend currently in use (replaced by initStorageBackend once IndexedDB is known to work)
+let storageBackend = localStorageBackend;
 
-    if (!user) {
-        showNotification('Invalid username or password. Please use one of the demo users with correct credentials.', 'error');
-        return false;
+// Writes are chained so they reach storage in the same order the changes were made
+let storageQueue = Promise.resolve();
+
+/**
+ * Selects the storage backend: IndexedDB when it can be opened, localStorage otherwise
+ * @returns {Promise<object>} The selected backend
+ */
+async function initStorageBackend() {
+    if (!window.indexedDB) {
+        storageBackend = localStorageBackend;
+        return storageBackend;
     }
 
-    // Authentication successful - set current user
-    currentUser = user;
-    
-    // Store user session in localStorage for auto-login
-    localStorage.setItem('swift_task_current_user', user.id);
-    
-    // Update UI to show logged-in user
-    currentUserSpan.textContent = user.username;
-    
-    // Load user's saved data from localStorage
-    currentData = loadData(user.id);
+    try {
+        await indexedDBBackend.open();
+        storageBackend = indexedDBBackend;
+    } catch (error) {
+        console.error('IndexedDB unavailable, falling back to localStorage:', error);
+        storageBackend = localStorageBackend;
+    }
+    return storageBackend;
+}
 
-    // Switch from login screen to dashboard
-    loginScreen.style.display = 'none';
-    dashboardScreen.style.display = 'block';
+/**
+ * Saves data through the active storage backend
+ * @param {string} userId - User ID
+ * @param {object} data - Data to save
+ * @param {object} [change] - The single board/folder/task that changed; omit to write everything
+ * @returns {Promise} Resolves when the write has finished
+ */
+function saveData(userId, data, change) {
+    // The in-memory search index follows every change, whether or not it can be stored
+    updateSearchIndex(change);
+
+    // Never overwrite data we could not upgrade - it may belong to a newer version of the app
+    if (readOnlyStorageUsers.has(userId)) {
+        showNotification('Changes are not being saved: your stored data could not be upgraded by this version of Swift Task', 'error');
+        return storageQueue;
+    }
 
-    // Render the dashboard with user's data
-    renderDashboard();
+    const versionedData = { ...data, schemaVersion: STORAGE_SCHEMA_VERSION };
+    const backend = storageBackend;
+    // Taken now so the save queued by logoutUser is still encrypted after the key is cleared
+    const key = currentEncryptionKey;
 
-    // Show welcome message
-    showNotification(`Welcome back, ${user.username}!`, 'success');
+    storageQueue = storageQueue
+        .then(() => change ? backend.saveEntity(userId, versionedData, change, key) : backend.save(userId, versionedData, key))
+        .catch(error => {
+            console.error('Error saving data:', error);
+            showNotification('Error saving data', 'error');
+        });
 
-    return true;
+    return storageQueue;
 }
 
 /**
- * Handles user logout and session cleanup
- * 
- * LOGOUT PROCESS:
- * 1. Saves current user data to localStorage
- * 2. Clears current user session
- * 3. Resets application state
- * 4. Removes session data from localStorage
- * 5. Switches back to login screen
- * 6. Clears login form for security
- * 7. Shows logout confirmation
- * 
- * SECURITY NOTES:
- * - Clears all sensitive data from memory
- * - Removes session token from localStorage
- * - Resets form to prevent credential exposure
- * - Ensures complete session termination
+ * Rewrites the current user's whole workspace with a different encryption key
+ * @param {CryptoKey|null} newKey - Key to encrypt with, or null to store plain text
+ * @returns {Promise<boolean>} Resolves true once every record has been rewritten
+ *
+ * Used when encryption is turned on or off and when the password changes.
+ * The new key is used for every save queued from now on; if the rewrite fails
+ * the previous key is restored and the workspace written again with it, so
+ * storage never ends up holding records encrypted with two different keys.
  */
-function logoutUser() {
-    // Save current user's data before logout to preserve work
-    if (currentUser) {
-        saveData(currentUser.id, currentData);
+async function rewriteWorkspace(newKey) {
+    const userId = currentUser.id;
+    if (readOnlyStorageUsers.has(userId)) {
+        showNotification('Your stored data cannot be changed by this version of Swift Task', 'error');
+        return false;
     }
 
-    // Clear current user session and reset application state
-    currentUser = null;
-    currentData = { boards: [] };
-    
-    // Remove session data from localStorage for security
-    localStorage.removeItem('swift_task_current_user');
-    
-    // Switch from dashboard back to login screen
-    dashboardScreen.style.display = 'none';
-    loginScreen.style.display = 'block';
+    const previousKey = currentEncryptionKey;
+    const versionedData = { ...currentData, schemaVersion: STORAGE_SCHEMA_VERSION };
+    const backend = storageBackend;
+    currentEncryptionKey = newKey;
 
-    // Clear login form to prevent credential exposure
-    loginForm.reset();
+    const rewrite = storageQueue.then(() => backend.save(userId, versionedData, newKey));
+    storageQueue = rewrite.catch(() => {});
 
-    // Show logout confirmation message
-    showNotification('Logged out successfully', 'info');
+    try {
+        await rewrite;
+        return true;
+    } catch (error) {
+        console.error('Error rewriting workspace:', error);
+        currentEncryptionKey = previousKey;
+        saveData(userId, currentData);
+        return false;
+    }
+}
+
+/**
+ * Loads data from the active storage backend and upgrades it to the current schema
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Loaded data
+ *
+ * If the stored data cannot be upgraded it is still returned for display,
+ * but the user is marked read-only so saveData never overwrites it. The same
+ * goes for a failed read: the empty workspace shown instead must not replace
+ * the one that could not be read.
+ *
+ * The first time a user loads with the IndexedDB backend, any workspace
+ * still sitting in localStorage is imported and the old key removed.
+ *
+ * Encrypted workspaces are decrypted with currentEncryptionKey. A wrong key or
+ * tampered data throws a DecryptionError instead of returning anything.
+ */
+async function loadData(userId) {
+    let parsed;
+    let importedFromLocalStorage = false;
+    try {
+        parsed = await storageBackend.load(userId, currentEncryptionKey);
+        if (!parsed && storageBackend !== localStorageBackend) {
+            // Workspace saved by the localStorage backend, moved into IndexedDB below
+            parsed = await localStorageBackend.load(userId, currentEncryptionKey);
+            importedFromLocalStorage = !!parsed;
+        }
+        if (!parsed) return createEmptyData();
+    } catch (error) {
+        if (error.name === 'DecryptionError') {
+            // Showing an empty workspace would let the next save overwrite the encrypted one
+            readOnlyStorageUsers.add(userId);
+            throw error;
+        }
+        console.error('Error loading data:', error);
+        readOnlyStorageUsers.add(userId);
+        showNotification('Error loading data - changes will not be saved until you log in again', 'error', 6000);
+        return createEmptyData();
+    }
+
+    readOnlyStorageUsers.delete(userId);
+
+    try {
+        const migrated = migrateData(parsed);
+
+        // Persist the upgrade (or import) straight away so it only runs once
+        if (importedFromLocalStorage || parsed.schemaVersion !== STORAGE_SCHEMA_VERSION) {
+            await saveData(userId, migrated);
+        }
+        if (importedFromLocalStorage) {
+            // Only drop the old copy once IndexedDB really holds the workspace
+            const stored = await storageBackend.load(userId, currentEncryptionKey);
+            if (stored) {
+                localStorage.removeItem(`swift_task_${userId}`);
+                showNotification('Your saved boards were moved to the new storage', 'info');
+            }
+        }
+        return migrated;
+    } catch (error) {
+        console.error('Error upgrading data:', error);
+        readOnlyStorageUsers.add(userId);
+        showNotification(`${error.message}. Your data is shown read-only and will not be overwritten.`, 'error', 6000);
+        return { ...parsed, boards: Array.isArray(parsed.boards) ? parsed.boards : [] };
+    }
 }
 
 // ========================================
-// BOARD MANAGEMENT
+// SEARCH QUERY LANGUAGE
 // ========================================
 
 /**
- * Toggles the visibility of a board's content
- * @param {string} boardId - Board ID to toggle
+ * SEARCH QUERIES
+ * The search box accepts free text plus field filters, combined with boolean operators:
+ *
+ *   priority:high status:active due:<2026-11-01 board:"Marketing" -draft "exact phrase"
+ *
+ * - Words and "quoted phrases" match task titles, descriptions, priorities, statuses,
+ *   subtasks and tag names, and the names of boards and folders. Words tolerate typos and
+ *   match the start of longer words (see SEARCH INDEX); phrases must appear exactly
+ * - field:value filters (FIELD_FILTERS): title, description, board, folder, priority, status,
+ *   tag, due, start, created. Several values can be given as priority:high,urgent or
+ *   tag:client,billing; tag: matches whole tag names (tag:"on hold" for names with spaces).
+ *   Any other word:with-a-colon (re:meeting, https://...) is searched as free text
+ * - Date filters take =, <, <=, >, >= or a range (due:2026-11-01..2026-11-30). Dates are
+ *   YYYY-MM-DD, today, tomorrow, yesterday or an offset from today such as +3d, -2w, +1m
+ * - overdue matches unfinished tasks past their due time
+ * - Terms are ANDed; use OR between terms, NOT or a leading - to exclude, ( ) to group
+ *
+ * parseSearchQuery turns the text into a tree of nodes:
+ * { type: 'and' | 'or', items }, { type: 'not', item }, { type: 'text', value, exact },
+ * { type: 'field', field, values, op, from?, to? } and { type: 'overdue' }
  */
-function toggleBoard(boardId) {
-    const boardContent = document.getElementById(`board-content-${boardId}`);
-    const toggleIcon = document.getElementById(`toggle-icon-${boardId}`);
+const FIELD_FILTERS = {
+    title: 'text',
+    description: 'text',
+    board: 'text',
+    folder: 'text',
+    priority: 'choice',
+    status: 'choice',
+    tag: 'tag',
+    due: 'date',
+    start: 'date',
+    created: 'date'
+};
 
-    if (boardContent.style.display === 'none') {
-        boardContent.style.display = 'block';
-        toggleIcon.className = 'fas fa-chevron-up me-3 board-toggle-icon';
-        boardContent.style.animation = 'slideDown 0.3s ease-out';
-        openBoards.add(boardId);
-    } else {
-        boardContent.style.display = 'none';
-        toggleIcon.className = 'fas fa-chevron-down me-3 board-toggle-icon';
-        openBoards.delete(boardId);
+// Free-text terms of the last highlighted query, so rendering does not parse it once per item
+let highlightQueryCache = { query: null, pattern: null };
+
+/**
+ * Splits a search query into tokens
+ * @param {string} query - Search box text
+ * @returns {object[]} Tokens: { type: 'open' | 'close' | 'and' | 'or' | 'not' } or { type: 'term', text, quoted }
+ * @throws {Error} If a quote is not closed
+ */
+function tokenizeSearchQuery(query) {
+    const tokens = [];
+    let i = 0;
+
+    // Reads a "quoted" string starting at the opening quote
+    const readQuoted = () => {
+        const end = query.indexOf('"', i + 1);
+        if (end === -1) throw new Error('Missing closing quote');
+        const text = query.slice(i + 1, end);
+        i = end + 1;
+        return text;
+    };
+
+    while (i < query.length) {
+        const char = query[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'open' : 'close' });
+            i++;
+        } else if (char === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+            tokens.push({ type: 'not' });
+            i++;
+        } else if (char === '"') {
+            tokens.push({ type: 'term', text: readQuoted(), quoted: true });
+        } else {
+            const start = i;
+            while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+            let text = query.slice(start, i);
+
+            // field:"quoted value"
+            if (text.endsWith(':') && query[i] === '"') {
+                tokens.push({ type: 'term', text: text + readQuoted(), quoted: false });
+            } else if (['AND', 'OR', 'NOT'].includes(text)) {
+                tokens.push({ type: text.toLowerCase() });
+            } else {
+                tokens.push({ type: 'term', text, quoted: false });
+            }
+        }
     }
+
+    return tokens;
 }
 
 /**
- * Toggles the visibility of a folder's tasks
- * @param {string} boardId - Board ID
- * @param {string} folderId - Folder ID to toggle
+ * Works out the date a query date value stands for
+ * @param {string} value - YYYY-MM-DD, today, tomorrow, yesterday or an offset like +3d, -2w, +1m
+ * @returns {string|null} Date as YYYY-MM-DD, or null if the value is not a date
  */
-function toggleFolder(boardId, folderId) {
-    const folderTasks = document.getElementById(`folder-tasks-${folderId}`);
-    const toggleIcon = document.getElementById(`folder-toggle-icon-${folderId}`);
-
-    if (folderTasks.style.display === 'none') {
-        folderTasks.style.display = 'block';
-        toggleIcon.className = 'fas fa-chevron-down me-3 folder-toggle-icon';
-        folderTasks.style.animation = 'slideDown 0.3s ease-out';
-        openFolders.add(folderId);
-    } else {
-        folderTasks.style.display = 'none';
-        toggleIcon.className = 'fas fa-chevron-right me-3 folder-toggle-icon';
-        openFolders.delete(folderId);
+function resolveQueryDate(value) {
+    const today = toLocalDateString(new Date());
+    const named = { today: 0, tomorrow: 1, yesterday: -1 };
+
+    if (value in named) return addDays(today, named[value]);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00`))) return value;
+
+    const offset = value.match(/^([+-]\d+)([dwm])$/);
+    if (!offset) return null;
+    const amount = parseInt(offset[1], 10);
+    if (offset[2] === 'm') {
+        const date = new Date(`${today}T00:00`);
+        date.setMonth(date.getMonth() + amount);
+        return toLocalDateString(date);
     }
+    return addDays(today, offset[2] === 'w' ? amount * 7 : amount);
 }
 
 /**
- * Adds a new board
- * @param {string} name - Board name
+ * Turns a field:value token into a filter node
+ * @param {string} field - Field name (lower case, one of FIELD_FILTERS)
+ * @param {string} value - Text after the colon
+ * @returns {object} Field node
+ * @throws {Error} If the value cannot be used with the field
  */
-function addBoard(name) {
-    if (!name.trim()) {
-        showNotification('Please enter a board name', 'error');
-        return;
+function parseFieldFilter(field, value) {
+    const kind = FIELD_FILTERS[field];
+    if (!value) throw new Error(`Missing value after "${field}:"`);
+
+    if (kind === 'text') {
+        return { type: 'field', field, values: [value.toLowerCase()] };
     }
 
-    // Check if board already exists
-    if (currentData.boards.some(board => board.name.toLowerCase() === name.toLowerCase())) {
-        showNotification('Board already exists', 'error');
-        return;
+    if (kind === 'tag') {
+        return { type: 'field', field, values: value.toLowerCase().split(',').map(name => name.trim()).filter(Boolean) };
     }
 
-    const newBoard = {
-        id: generateId(),
-        name: name.trim(),
-        createdAt: new Date().toISOString(),
-        folders: []
+    if (kind === 'choice') {
+        const allowed = field === 'priority' ? TASK_PRIORITIES : TASK_STATUSES;
+        const values = value.toLowerCase().split(',').filter(Boolean);
+        const unknown = values.find(v => !allowed.includes(v));
+        if (unknown) throw new Error(`Unknown ${field} "${unknown}" (use ${allowed.join(', ')})`);
+        return { type: 'field', field, values };
+    }
+
+    const dateError = text => new Error(`"${text}" is not a date for ${field}: (use YYYY-MM-DD, today, tomorrow, yesterday or +3d / -2w / +1m)`);
+    const toDate = text => {
+        const date = resolveQueryDate(text.toLowerCase());
+        if (!date) throw dateError(text);
+        return date;
     };
 
-    currentData.boards.push(newBoard);
-    saveData(currentUser.id, currentData);
+    // Range: due:2026-11-01..2026-11-30 (either end may be left open)
+    if (value.includes('..')) {
+        const [from, to] = value.split('..');
+        if (!from && !to) throw dateError(value);
+        return { type: 'field', field, op: 'range', from: from ? toDate(from) : null, to: to ? toDate(to) : null };
+    }
 
-    // Use setTimeout to prevent immediate re-render conflicts
-    setTimeout(() => {
-        renderDashboard();
-        showNotification(`Board "${name}" created successfully`, 'success');
-    }, 10);
+    const [, op, dateText] = value.match(/^(<=|>=|<|>|=)?(.*)$/);
+    return { type: 'field', field, op: op || '=', values: [toDate(dateText)] };
 }
 
 /**
- * Deletes a board
- * @param {string} boardId - Board ID to delete
+ * Parses a search query into a tree of nodes (see SEARCH QUERIES)
+ * @param {string} query - Search box text
+ * @returns {object} Root node
+ * @throws {Error} With a message for the user if the query is malformed
  */
-function deleteBoard(boardId) {
-    const board = currentData.boards.find(b => b.id === boardId);
-    if (!board) return;
+function parseSearchQuery(query) {
+    const tokens = tokenizeSearchQuery(query);
+    let position = 0;
+
+    const peek = () => tokens[position];
+
+    const parseOr = () => {
+        const items = [parseAnd()];
+        while (peek() && peek().type === 'or') {
+            position++;
+            if (!peek() || peek().type === 'close' || peek().type === 'or') {
+                throw new Error('OR needs a search term on both sides');
+            }
+            items.push(parseAnd());
+        }
+        return items.length === 1 ? items[0] : { type: 'or', items };
+    };
 
-    // Remove board and all its folders and tasks
-    currentData.boards = currentData.boards.filter(b => b.id !== boardId);
+    const parseAnd = () => {
+        const items = [parseUnary()];
+        while (peek() && peek().type !== 'or' && peek().type !== 'close') {
+            if (peek().type === 'and') {
+                position++;
+                if (!peek() || peek().type === 'close' || peek().type === 'or') {
+                    throw new Error('AND needs a search term on both sides');
+                }
+            }
+            items.push(parseUnary());
+        }
+        return items.length === 1 ? items[0] : { type: 'and', items };
+    };
 
-    saveData(currentUser.id, currentData);
-    setTimeout(() => {
-        renderDashboard();
-        showNotification(`Board "${board.name}" deleted successfully`, 'success');
-    }, 10);
-}
+    const parseUnary = () => {
+        const token = peek();
+        if (token && token.type === 'not') {
+            position++;
+            if (!peek() || ['close', 'or', 'and'].includes(peek().type)) {
+                throw new Error('NOT (or -) needs a search term after it');
+            }
+            return { type: 'not', item: parseUnary() };
+        }
+        return parsePrimary();
+    };
 
-// ========================================
-// FOLDER MANAGEMENT
-// ========================================
+    const parsePrimary = () => {
+        const token = tokens[position++];
+        if (!token) throw new Error('The search ends too early');
 
-/**
- * Adds a folder to a specific board
- * @param {string} boardId - Board ID
- */
-function addFolderToBoard(boardId) {
-    // Store current board ID for folder creation
-    window.currentBoardId = boardId;       //window is used for global scope
+        if (token.type === 'open') {
+            if (peek() && peek().type === 'close') throw new Error('Empty parentheses');
+            const node = parseOr();
+            if (!peek() || peek().type !== 'close') throw new Error('Missing closing parenthesis');
+            position++;
+            return node;
+        }
+        if (token.type !== 'term') {
+            throw new Error(token.type === 'close' ? 'Unexpected ")"' : `${token.type.toUpperCase()} needs a search term on both sides`);
+        }
 
-    // Clear the form
-    document.getElementById('addFolderForm').reset();
+        if (!token.quoted) {
+            const field = token.text.match(/^([a-z]+):(.*)$/i);
+            if (field && Object.hasOwn(FIELD_FILTERS, field[1].toLowerCase())) return parseFieldFilter(field[1].toLowerCase(), field[2]);
+            if (token.text.toLowerCase() === 'overdue') return { type: 'overdue' };
+        }
+        return { type: 'text', value: token.text.toLowerCase(), exact: token.quoted };
+    };
 
-    // Show add folder modal
-    addFolderModal.show();
+    if (tokens.length === 0) throw new Error('The search is empty');
+    const root = parseOr();
+    if (position < tokens.length) throw new Error('Unexpected ")"');
+    return root;
 }
 
 /**
- * Creates a new folder in the current board
+ * Checks whether a board, folder or task satisfies a query node
+ * @param {object} node - Node from parseSearchQuery
+ * @param {object} item - { board } for a board, { board, folder } for a folder, { board, folder, task } for a task
+ * @returns {boolean} Whether the node matches
  */
-function createFolder() {
-    const folderName = document.getElementById('folderNameInput').value.trim();
-
-    if (!folderName) {
-        showNotification('Please enter a folder name', 'error');
-        return;
+function matchesSearchQuery(node, item) {
+    const { board, folder, task } = item;
+
+    switch (node.type) {
+        case 'and':
+            return node.items.every(child => matchesSearchQuery(child, item));
+        case 'or':
+            return node.items.some(child => matchesSearchQuery(child, item));
+        case 'not':
+            return !matchesSearchQuery(node.item, item);
+        case 'overdue':
+            return Boolean(task) && isTaskOverdue(task);
+        case 'text':
+            if (task) {
+                return [task.title, task.description, task.priority, task.status,
+                    ...(task.subtasks || []).map(subtask => subtask.title), ...getTaskTags(task).map(tag => tag.name)]
+                    .some(text => text && text.toLowerCase().includes(node.value))
+                    || (!node.exact && getIndexedTextMatches(node.value).has(task.id));
+            }
+            return (folder || board).name.toLowerCase().includes(node.value)
+                || (!node.exact && textMatchQuality(node.value, (folder || board).name) > 0);
+        case 'field':
+            break;
+        default:
+            return false;
     }
 
-    if (!window.currentBoardId) {
-        showNotification('Please select a board to add folder', 'error');
-        return;
+    const includesValue = text => Boolean(text) && text.toLowerCase().includes(node.values[0]);
+    switch (node.field) {
+        case 'board':
+            // A sub-board also matches the names of the boards above it
+            return getBoardPath(board.id).some(b => includesValue(b.name));
+        case 'folder':
+            return Boolean(folder) && includesValue(folder.name);
+        case 'title':
+            return Boolean(task) && includesValue(task.title);
+        case 'description':
+            return Boolean(task) && includesValue(task.description);
+        case 'priority':
+        case 'status':
+            return Boolean(task) && node.values.includes(task[node.field]);
+        case 'tag':
+            return Boolean(task) && getTaskTags(task).some(tag => node.values.includes(tag.name.toLowerCase()));
     }
 
-    const board = currentData.boards.find(b => b.id === window.currentBoardId);
-    if (!board) return;
-
-    // Check if folder already exists in this board
-    if (board.folders && board.folders.some(folder => folder.name.toLowerCase() === folderName.toLowerCase())) {
-        showNotification('Folder already exists in this board', 'error');
-        return;
+    if (!task) return false;
+    const date = node.field === 'created' ? toLocalDateString(new Date(task.createdAt))
+        : node.field === 'due' ? task.dueDate : task.startDate;
+    if (node.op === 'range') {
+        return (!node.from || date >= node.from) && (!node.to || date <= node.to);
     }
-
-    const newFolder = {
-        id: generateId(),
-        name: folderName.trim(),
-        createdAt: new Date().toISOString(),
-        tasks: []
-    };
-
-    if (!board.folders) board.folders = [];
-    board.folders.push(newFolder);
-
-    // Automatically open the board when a folder is added
-    openBoards.add(window.currentBoardId);
-
-    saveData(currentUser.id, currentData);
-    setTimeout(() => {
-        renderDashboard();
-        addFolderModal.hide();
-
-        // Clear form
-        document.getElementById('addFolderForm').reset();
-
-        showNotification(`Folder "${folderName}" added to board "${board.name}"`, 'success');
-    }, 10);
+    const [value] = node.values;
+    return { '=': date === value, '<': date < value, '<=': date <= value, '>': date > value, '>=': date >= value }[node.op];
 }
 
 /**
- * Deletes a folder from a board
- * @param {string} boardId - Board ID
- * @param {string} folderId - Folder ID
+ * Checks whether a query finds a board, folder or task. Boards and folders are only
+ * found through a term that matches them directly, so a query made only of exclusions
+ * or task filters (e.g. -draft, priority:high) lists tasks rather than whole boards.
+ * @param {object} query - Root node from parseSearchQuery
+ * @param {object} item - See matchesSearchQuery
+ * @returns {boolean} Whether the item belongs in the results
  */
-function deleteFolderFromBoard(boardId, folderId) {
-    const board = currentData.boards.find(b => b.id === boardId);
-    if (!board || !board.folders) return;
+function isSearchMatch(query, item) {
+    if (!matchesSearchQuery(query, item)) return false;
+    if (item.task) return true;
+
+    const hasDirectMatch = node => node.type === 'and' || node.type === 'or'
+        ? node.items.some(hasDirectMatch)
+        : node.type !== 'not' && matchesSearchQuery(node, item);
+    return hasDirectMatch(query);
+}
 
-    const folder = board.folders.find(f => f.id === folderId);
-    if (!folder) return;
+/**
+ * Builds the pattern that highlights the free-text parts of a query
+ * @param {string} searchTerm - Search box text
+ * @returns {RegExp|null} Pattern, or null when there is nothing to highlight
+ */
+function getSearchHighlightPattern(searchTerm) {
+    if (highlightQueryCache.query === searchTerm) return highlightQueryCache.pattern;
 
-    board.folders = board.folders.filter(f => f.id !== folderId);
+    const terms = [];
+    const collect = node => {
+        if (node.type === 'and' || node.type === 'or') node.items.forEach(collect);
+        if (node.type === 'text') terms.push(node.value);
+    };
+    try {
+        collect(parseSearchQuery(searchTerm));
+    } catch (error) {
+        // Malformed queries show an error instead of results, so nothing needs highlighting
+    }
 
-    saveData(currentUser.id, currentData);
-    setTimeout(() => {
-        renderDashboard();
-        showNotification(`Folder "${folder.name}" deleted from board "${board.name}"`, 'success');
-    }, 10);
+    // Longer terms first so "report draft" wins over "report"
+    const pattern = terms.length === 0 ? null : new RegExp(`(${terms
+        .sort((a, b) => b.length - a.length)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|')})`, 'gi');
+    highlightQueryCache = { query: searchTerm, pattern };
+    return pattern;
 }
 
 // ========================================
-// TASK MANAGEMENT
+// SEARCH INDEX AND RANKING
 // ========================================
 
 /**
- * Adds a task to a specific folder
- * @param {string} boardId - Board ID
- * @param {string} folderId - Folder ID
+ * SEARCH INDEX
+ * An inverted index from words to the tasks that contain them, so free-text search does
+ * not have to scan every task and can tolerate typos:
+ * - postings:  Map of word -> Map of taskId -> weight of the best field the word appears in
+ * - documents: Map of taskId -> { location: { board, folder, task }, words }
+ *
+ * saveData reports every change: a single task is re-indexed straight away, anything
+ * bigger (moves, undo, imports) marks the index dirty and it is rebuilt on the next search.
+ * Switching users replaces currentData, which also triggers a rebuild.
+ * searchIndexVersion goes up with every change and rebuild, so anything derived from
+ * the workspace (e.g. saved view counts) can be cached until it moves.
  */
-function addTaskToFolder(boardId, folderId) {
-    const board = currentData.boards.find(b => b.id === boardId);
-    if (!board || !board.folders) return;
+const SEARCH_FIELD_WEIGHTS = { title: 3, subtasks: 2, description: 1, other: 0.5 };
 
-    const folder = board.folders.find(f => f.id === folderId);
-    if (!folder) return;
+// Rank multipliers: exact word, word starting with the search word, one or two typos away
+const SEARCH_MATCH_QUALITY = { exact: 1, prefix: 0.8, fuzzy: [1, 0.6, 0.4] };
 
-    // Store current board and folder for task creation
-    window.currentBoardId = boardId;
-    window.currentFolderId = folderId;
+// Milliseconds to wait after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 200;
 
-    // Set default times
-    const now = new Date();
-    const currentTime = now.toTimeString().slice(0, 5);
-    document.getElementById('startTime').value = currentTime;
-    document.getElementById('dueTime').value = currentTime;
+let searchIndex = {
+    data: null,           // currentData the index was built from
+    dirty: true,
+    postings: new Map(),
+    documents: new Map(),
+    matchCache: new Map() // search word -> Map of taskId -> score, cleared whenever the index changes
+};
+let searchIndexVersion = 0;
 
-    // Set default start date to tomorrow (current date + 1 day)
-    const tomorrow = new Date(now);
-    tomorrow.setDate(now.getDate() + 1);
-    const tomorrowDate = tomorrow.toISOString().split('T')[0];
-    document.getElementById('startDate').value = tomorrowDate;
+/**
+ * Splits text into lower-case words for indexing and matching
+ * @param {string} text - Any text
+ * @returns {string[]} Words (letters and digits only)
+ */
+function tokenizeSearchText(text) {
+    return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
 
-    // Set default due date to day after tomorrow (current date + 2 days)
-    const dayAfterTomorrow = new Date(now);
-    dayAfterTomorrow.setDate(now.getDate() + 2);
-    const dayAfterTomorrowDate = dayAfterTomorrow.toISOString().split('T')[0];
-    document.getElementById('dueDate').value = dayAfterTomorrowDate;
+/**
+ * Adds a task to the search index
+ * @param {object} location - { board, folder, task }
+ */
+function addToSearchIndex(location) {
+    const { task } = location;
+    const words = new Map();
+    const addWords = (text, weight) => tokenizeSearchText(text).forEach(word => {
+        words.set(word, Math.max(words.get(word) || 0, weight));
+    });
 
+    addWords(task.title, SEARCH_FIELD_WEIGHTS.title);
+    (task.subtasks || []).forEach(subtask => addWords(subtask.title, SEARCH_FIELD_WEIGHTS.subtasks));
+    addWords(task.description, SEARCH_FIELD_WEIGHTS.description);
+    addWords(`${task.priority} ${task.status}`, SEARCH_FIELD_WEIGHTS.other);
 
-    // Show add task modal
-    addTaskModal.show();
+    words.forEach((weight, word) => {
+        if (!searchIndex.postings.has(word)) searchIndex.postings.set(word, new Map());
+        searchIndex.postings.get(word).set(task.id, weight);
+    });
+    searchIndex.documents.set(task.id, { location, words });
 }
 
 /**
- * Adds a new task to the current folder
+ * Removes a task from the search index
+ * @param {string} taskId - Task ID
  */
-function addTask() {
+function removeFromSearchIndex(taskId) {
+    const entry = searchIndex.documents.get(taskId);
+    if (!entry) return;
+
+    entry.words.forEach((weight, word) => {
+        const tasks = searchIndex.postings.get(word);
+        tasks.delete(taskId);
+        if (tasks.size === 0) searchIndex.postings.delete(word);
+    });
+    searchIndex.documents.delete(taskId);
+}
 
-    const title = document.getElementById('taskTitle').value.trim();
-    const priority = document.getElementById('taskPriority').value;
-    const startDate = document.getElementById('startDate').value;
-    const startTime = document.getElementById('startTime').value;
-    const dueDate = document.getElementById('dueDate').value;
-    const dueTime = document.getElementById('dueTime').value;
-    const description = document.getElementById('taskDescription').value.trim();
+/**
+ * Makes sure the search index matches currentData, rebuilding it if needed
+ */
+function ensureSearchIndex() {
+    if (!searchIndex.dirty && searchIndex.data === currentData) return;
+
+    searchIndex = { data: currentData, dirty: false, postings: new Map(), documents: new Map(), matchCache: new Map() };
+    searchIndexVersion++;
+    getAllBoards().forEach(board => (board.folders || []).forEach(folder =>
+        (folder.tasks || []).forEach(task => addToSearchIndex({ board, folder, task }))));
+}
+
+/**
+ * Keeps the search index in step with a change passed to saveData
+ * @param {object} [change] - Change hint (see PLUGGABLE STORAGE BACKENDS); omitted for whole-workspace saves
+ */
+function updateSearchIndex(change) {
+    // Workspace changes leave the index alone but can still change results (tag names)
+    searchIndexVersion++;
+    if (change && change.type === 'workspace') return;
+    if (searchIndex.dirty || searchIndex.data !== currentData) return;
+
+    if (change && change.type === 'task') {
+        removeFromSearchIndex(change.id);
+        const location = findTaskLocation(change.id);
+        if (location) addToSearchIndex(location);
+        searchIndex.matchCache.clear();
+    } else {
+        searchIndex.dirty = true;
+    }
+}
+
+/**
+ * Counts the edits (insertions, deletions, substitutions, swapped neighbours) between two words, giving up early
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} The distance, or limit + 1 when it is larger than limit
+ */
+function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    // Three rows of the usual dynamic programming table are enough (two back for swaps)
+    let beforePrevious = null;
+    let previous = new Array(b.length + 1);
+    for (let j = 0; j <= b.length; j++) previous[j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = new Array(b.length + 1);
+        current[0] = i;
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            let cost = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            if (previous[j] + 1 < cost) cost = previous[j] + 1;
+            if (current[j - 1] + 1 < cost) cost = current[j - 1] + 1;
+            if (beforePrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1] && beforePrevious[j - 2] + 1 < cost) {
+                cost = beforePrevious[j - 2] + 1;
+            }
+            current[j] = cost;
+            if (cost < rowMin) rowMin = cost;
+        }
+        if (rowMin > limit) return limit + 1;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Rates how well a text word matches a search word
+ * @param {string} searchWord - Word from the query
+ * @param {string} word - Word from the text
+ * @returns {number} Quality from SEARCH_MATCH_QUALITY, 0 for no match
+ */
+function wordMatchQuality(searchWord, word) {
+    if (word === searchWord) return SEARCH_MATCH_QUALITY.exact;
+    if (word.startsWith(searchWord)) return SEARCH_MATCH_QUALITY.prefix;
+
+    // Short words must match exactly; longer ones may contain one typo, long ones two
+    const allowed = searchWord.length >= 8 ? 2 : searchWord.length >= 4 ? 1 : 0;
+    const distance = allowed > 0 ? editDistance(searchWord, word, allowed) : allowed + 1;
+    return distance <= allowed ? SEARCH_MATCH_QUALITY.fuzzy[distance] : 0;
+}
+
+/**
+ * Rates how well a piece of text matches search text: every search word has to be found
+ * @param {string} searchText - Free text from the query
+ * @param {string} text - Text to check (e.g. a board name)
+ * @returns {number} Quality of the weakest search word, 0 for no match
+ */
+function textMatchQuality(searchText, text) {
+    const words = tokenizeSearchText(text);
+    const searchWords = tokenizeSearchText(searchText);
+    if (searchWords.length === 0 || words.length === 0) return 0;
+    return Math.min(...searchWords.map(searchWord => Math.max(...words.map(word => wordMatchQuality(searchWord, word)))));
+}
+
+/**
+ * Finds the tasks matching free search text through the index
+ * @param {string} searchText - Free text from the query (every word has to match)
+ * @returns {Map} taskId -> relevance score (field weight x match quality of the weakest word)
+ */
+function getIndexedTextMatches(searchText) {
+    ensureSearchIndex();
+    if (searchIndex.matchCache.has(searchText)) return searchIndex.matchCache.get(searchText);
+
+    let matches = null;
+    tokenizeSearchText(searchText).forEach(searchWord => {
+        const wordMatches = new Map();
+        searchIndex.postings.forEach((tasks, word) => {
+            const quality = wordMatchQuality(searchWord, word);
+            if (quality === 0) return;
+            tasks.forEach((weight, taskId) => {
+                wordMatches.set(taskId, Math.max(wordMatches.get(taskId) || 0, weight * quality));
+            });
+        });
+
+        // Keep only tasks matching every word, scored by their weakest word
+        matches = matches === null ? wordMatches : new Map(Array.from(matches)
+            .filter(([taskId]) => wordMatches.has(taskId))
+            .map(([taskId, score]) => [taskId, Math.min(score, wordMatches.get(taskId))]));
+    });
+
+    matches = matches || new Map();
+    searchIndex.matchCache.set(searchText, matches);
+    return matches;
+}
+
+/**
+ * Scores how relevant a matching board, folder or task is to a query
+ * @param {object} query - Root node from parseSearchQuery
+ * @param {object} item - { board }, { board, folder } or { board, folder, task }
+ * @returns {number} Relevance (higher is better); 0 when the query has no free text
+ */
+function scoreSearchMatch(query, item) {
+    let score = 0;
+    const addTextScore = node => {
+        if (node.type === 'and' || node.type === 'or') node.items.forEach(addTextScore);
+        if (node.type !== 'text') return;
+
+        if (item.task) {
+            score += getIndexedTextMatches(node.value).get(item.task.id) || 0;
+        } else {
+            score += SEARCH_FIELD_WEIGHTS.title * textMatchQuality(node.value, (item.folder || item.board).name);
+        }
+    };
+    addTextScore(query);
+    return score;
+}
+
+/**
+ * Calls back with every board, folder and task a search of the given type looks at
+ * @param {string} searchType - Type of search (all, boards, folders, tasks)
+ * @param {Function} callback - Receives { board }, { board, folder } or { board, folder, task }
+ */
+function forEachSearchItem(searchType, callback) {
+    getAllBoards().forEach(board => {
+        if (searchType === 'all' || searchType === 'boards') callback({ board });
+        (board.folders || []).forEach(folder => {
+            if (searchType === 'all' || searchType === 'folders') callback({ board, folder });
+            if (searchType === 'all' || searchType === 'tasks') {
+                (folder.tasks || []).forEach(task => callback({ board, folder, task }));
+            }
+        });
+    });
+}
+
+/**
+ * Counts the boards, folders and tasks a search finds, without scoring or sorting them
+ * @param {string} searchTerm - Search query (see SEARCH QUERIES)
+ * @param {string} searchType - Type of search (all, boards, folders, tasks)
+ * @returns {number|null} Number of matches, null if the query cannot be parsed
+ */
+function countSearchMatches(searchTerm, searchType) {
+    let query;
+    try {
+        query = parseSearchQuery(searchTerm.trim());
+    } catch (error) {
+        return null;
+    }
+
+    ensureSearchIndex();
+    let count = 0;
+    forEachSearchItem(searchType, item => {
+        if (isSearchMatch(query, item)) count++;
+    });
+    return count;
+}
+
+/**
+ * Lists every board, folder and task a search finds, best matches first
+ * @param {string} searchTerm - Search query (see SEARCH QUERIES)
+ * @param {string} searchType - Type of search (all, boards, folders, tasks)
+ * @returns {object} { results: [{ board, folder, task, score }], error } - error is set when the query could not be parsed
+ */
+function rankSearchResults(searchTerm, searchType) {
+    let query;
+    try {
+        query = parseSearchQuery(searchTerm.trim());
+    } catch (error) {
+        return { results: [], error: error.message };
+    }
+
+    ensureSearchIndex();
+    const results = [];
+    forEachSearchItem(searchType, item => {
+        if (isSearchMatch(query, item)) results.push({ ...item, score: scoreSearchMatch(query, item) });
+    });
+
+    // Equal scores (e.g. filter-only queries) fall back to the soonest due date
+    const dueOf = result => result.task ? `${result.task.dueDate}T${result.task.dueTime}` : '';
+    results.sort((a, b) => b.score - a.score || dueOf(a).localeCompare(dueOf(b)));
+    return { results, error: null };
+}
+
+/**
+ * Searches through boards, folders, and tasks based on search criteria
+ * @param {string} searchTerm - Search query (see SEARCH QUERIES)
+ * @param {string} searchType - Type of search (all, boards, folders, tasks)
+ * @returns {object} Filtered data and items to expand, plus `error` when the query could not be parsed
+ */
+function searchData(searchTerm, searchType) {
+    if (!searchTerm.trim()) {
+        return { data: currentData, expandBoards: [], expandFolders: [] };
+    }
+
+    let query;                                    //query → will store the parsed search query.
+    try {
+        query = parseSearchQuery(searchTerm.trim());
+    } catch (error) {
+        return { data: { boards: [] }, expandBoards: [], expandFolders: [], error: error.message };
+    }
+
+    const filteredData = { boards: [] };          //filteredData → will store the search results.
+    const expandBoards = [];                      //expandBoards → will store the IDs of boards that need to be expanded.
+    const expandFolders = [];                     //expandFolders → will store the IDs of folders that need to be expanded.
+
+    // Boards are searched recursively: a board is kept when it or anything inside its sub-boards matches
+    const searchBoard = board => {
+        let boardMatches = false;
+        let filteredBoard = { ...board, folders: [], subBoards: [] };    //... is the spread operator. It copies all properties from board and adds empty folders and sub-boards arrays.
+
+        // Search in board name
+        if (searchType === 'all' || searchType === 'boards') {
+            if (isSearchMatch(query, { board })) {
+                boardMatches = true;
+                // Don't automatically expand board when searching for it
+                // Only include folders if they have matching content
+                if (board.folders && board.folders.length > 0) {
+                    board.folders.forEach(folder => {
+                        filteredBoard.folders.push({ ...folder, tasks: folder.tasks || [] });
+                    });
+                }
+            }
+        }
+        const nameMatches = boardMatches;
+
+        // Search in folders
+        if (board.folders && board.folders.length > 0) {
+            board.folders.forEach(folder => {
+                let folderMatches = false;
+                let filteredFolder = { ...folder, tasks: [] };
+
+                // Search in folder name
+                if (searchType === 'all' || searchType === 'folders') {
+                    if (isSearchMatch(query, { board, folder })) {
+                        folderMatches = true;
+                        expandBoards.push(board.id);
+                        expandFolders.push(folder.id);
+                        // If folder matches, include ALL tasks in that folder
+                        if (folder.tasks && folder.tasks.length > 0) {
+                            folder.tasks.forEach(task => {
+                                filteredFolder.tasks.push(task);
+                            });
+                        }
+                    }
+                }
+
+                // Search in tasks (only if not already matched by folder name)
+                if (!folderMatches && folder.tasks && folder.tasks.length > 0) {
+                    folder.tasks.forEach(task => {
+                        let taskMatches = false;
+
+                        if (searchType === 'all' || searchType === 'tasks') {
+                            // Search in task title, description, priority, status, subtasks and field filters
+                            if (isSearchMatch(query, { board, folder, task })) {
+                                taskMatches = true;
+                            }
+                        }
+
+                        if (taskMatches) {
+                            filteredFolder.tasks.push(task);
+                            folderMatches = true;
+                            // If task matches, expand both board and folder
+                            expandBoards.push(board.id);
+                            expandFolders.push(folder.id);
+                        }
+                    });
+                }
+
+                if (folderMatches) {
+                    // A board that matched by name already lists every folder in full
+                    if (!nameMatches) filteredBoard.folders.push(filteredFolder);
+                    boardMatches = true;
+                }
+            });
+        }
+
+        // Search in sub-boards - a match anywhere below opens this board so it can be seen
+        (board.subBoards || []).forEach(subBoard => {
+            const filteredSubBoard = searchBoard(subBoard);
+            if (filteredSubBoard) {
+                filteredBoard.subBoards.push(filteredSubBoard);
+                boardMatches = true;
+                expandBoards.push(board.id);
+            } else if (nameMatches) {
+                filteredBoard.subBoards.push(subBoard);
+            }
+        });
+
+        return boardMatches ? filteredBoard : null;
+    };
+
+    currentData.boards.forEach(board => {
+        const filteredBoard = searchBoard(board);
+        if (filteredBoard) {
+            filteredData.boards.push(filteredBoard);
+        }
+    });
+
+    // Remove duplicates from expand arrays  
+    // //Sometimes same board/folder is added multiple times.
+    //Set ensures only unique IDs are stored.
+    const uniqueExpandBoards = [...new Set(expandBoards)];
+    const uniqueExpandFolders = [...new Set(expandFolders)];
+
+    return {
+        data: filteredData,
+        expandBoards: uniqueExpandBoards,
+        expandFolders: uniqueExpandFolders
+    };
+}
+
+/**
+ * Highlights search terms in text
+ * @param {string} text - Plain text to highlight (not HTML - it is escaped here)
+ * @param {string} searchTerm - Search term to highlight
+ * @returns {string} Escaped HTML with highlighted text
+ */
+function highlightSearchTerm(text, searchTerm) {     //text → The string where you want to highlight something.
+    //searchTerm → The word or phrase that the user is searching for.
+    if (!searchTerm.trim()) return escapeHtml(text);  //If the search term is empty or only spaces, there is nothing to highlight.
+
+    // Only the free-text words and phrases of a query are highlighted, not field filters or excluded words
+    const regex = getSearchHighlightPattern(searchTerm.trim());   //RegExp is a built-in JavaScript object that represents a regular expression.
+    if (!regex) return escapeHtml(text);
+
+    // 'gi' → two options:
+    //g → global → find all matches from the whole page, not just the first one.
+    //i → ignore case → “Task” = “task” = “TASK”.
+
+    // Match against the raw text and escape each piece, so a search for "amp" never lands inside "&amp;"
+    return String(text).split(regex)   //split() with a capturing group keeps the matches at the odd positions.
+        .map((part, index) => index % 2 === 1 ? `<mark class="search-highlight">${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+}
+
+// ========================================
+// ACCOUNT STORAGE AND PASSWORD HASHING
+// ========================================
+
+// localStorage key holding every registered account (hashes only, never passwords)
+const ACCOUNTS_STORAGE_KEY = 'swift_task_accounts';
+
+// PBKDF2 settings for new password hashes (stored per account so they can be raised later)
+const PASSWORD_HASH_ITERATIONS = 600000;
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * Converts bytes to a base64 string for storage
+ * @param {ArrayBuffer|Uint8Array} bytes - Raw bytes
+ * @returns {string} Base64 text
+ */
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+/**
+ * Converts a base64 string back to bytes
+ * @param {string} base64 - Base64 text
+ * @returns {Uint8Array} Raw bytes
+ */
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Hashes a password with PBKDF2-SHA-256 using Web Crypto
+ * @param {string} password - Plain text password
+ * @param {string} [salt] - Base64 salt; a new random salt is generated when omitted
+ * @param {number} [iterations] - PBKDF2 iteration count
+ * @returns {Promise<object>} { hash, salt, iterations } with base64 hash and salt
+ */
+async function hashPassword(password, salt = null, iterations = PASSWORD_HASH_ITERATIONS) {
+    const saltBytes = salt ? base64ToBytes(salt) : crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES));
+    const keyMaterial = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const hashBits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations },
+        keyMaterial,
+        256
+    );
+
+    return { hash: bytesToBase64(hashBits), salt: bytesToBase64(saltBytes), iterations };
+}
+
+/**
+ * Checks a password against an account's stored hash
+ * @param {string} password - Password entered by the user
+ * @param {object} account - Account with passwordHash, passwordSalt and passwordIterations
+ * @returns {Promise<boolean>} True if the password is correct
+ */
+async function verifyPassword(password, account) {
+    const { hash } = await hashPassword(password, account.passwordSalt, account.passwordIterations);
+
+    // Compare every character so the time taken does not reveal how much matched
+    if (hash.length !== account.passwordHash.length) return false;
+    let difference = 0;
+    for (let i = 0; i < hash.length; i++) {
+        difference |= hash.charCodeAt(i) ^ account.passwordHash.charCodeAt(i);
+    }
+    return difference === 0;
+}
+
+/**
+ * Reads all registered accounts
+ * @returns {object[]} Accounts
+ */
+function loadAccounts() {
+    try {
+        const accounts = localStorage.getItem(ACCOUNTS_STORAGE_KEY);
+        return accounts ? JSON.parse(accounts) : [];
+    } catch (error) {
+        console.error('Error loading accounts:', error);
+        return [];
+    }
+}
+
+/**
+ * Writes all registered accounts
+ * @param {object[]} accounts - Accounts to store
+ */
+function saveAccounts(accounts) {
+    localStorage.setItem(ACCOUNTS_STORAGE_KEY, JSON.stringify(accounts));
+}
+
+/**
+ * Finds an account by username (case-insensitive)
+ * @param {string} username - Username to look for
+ * @returns {object|undefined} Matching account
+ */
+function findAccountByUsername(username) {
+    return loadAccounts().find(account => account.username.toLowerCase() === username.toLowerCase());
+}
+
+// Resolves once the account store exists (hashing the demo passwords takes a moment on first run)
+let accountsReady = null;
+
+/**
+ * Creates the account store on first run
+ * @returns {Promise} Resolves when accounts can be used; safe to call repeatedly
+ */
+function initAccounts() {
+    if (!accountsReady) {
+        accountsReady = seedDemoAccounts();
+    }
+    return accountsReady;
+}
+
+/**
+ * Seeds the account store from STATIC_USERS if it does not exist yet
+ *
+ * The demo users are turned into real accounts with hashed passwords.
+ * They keep their original IDs (user_1, user_2, user_3) so boards already
+ * saved under swift_task_user_N stay attached to them.
+ */
+async function seedDemoAccounts() {
+    if (localStorage.getItem(ACCOUNTS_STORAGE_KEY) !== null) return;
+
+    const accounts = [];
+    for (const user of STATIC_USERS) {
+        const { hash, salt, iterations } = await hashPassword(user.password);
+        accounts.push({
+            id: user.id,
+            username: user.username,
+            joinDate: user.joinDate,
+            passwordHash: hash,
+            passwordSalt: salt,
+            passwordIterations: iterations
+        });
+    }
+    saveAccounts(accounts);
+}
+
+/**
+ * Returns the public part of an account (never the password hash)
+ * @param {object} account - Stored account
+ * @returns {object} { id, username, joinDate }
+ */
+function toSessionUser(account) {
+    return { id: account.id, username: account.username, joinDate: account.joinDate };
+}
+
+// ========================================
+// ENCRYPTION AT REST
+// ========================================
+
+/**
+ * OPTIONAL WORKSPACE ENCRYPTION
+ * When an account has `encryption: { salt, iterations }`, its workspace is stored
+ * encrypted with AES-GCM. The key is derived from the password with PBKDF2 at login
+ * and only ever kept in memory (currentEncryptionKey) - it is never written anywhere.
+ *
+ * Encrypted values are stored as { encrypted: true, iv, ciphertext } (base64).
+ * AES-GCM authenticates the data, so a wrong key and tampered data both fail to decrypt.
+ */
+const ENCRYPTION_SALT_BYTES = 16;
+const ENCRYPTION_IV_BYTES = 12;
+
+// AES key of the logged-in user, or null when their workspace is stored in plain text
+let currentEncryptionKey = null;
+
+/**
+ * Derives the AES-GCM key that encrypts a user's workspace
+ * @param {string} password - Plain text password
+ * @param {object} settings - The account's { salt, iterations } encryption settings
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM 256 key
+ */
+async function deriveEncryptionKey(password, settings) {
+    const keyMaterial = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(settings.salt), iterations: settings.iterations },
+        keyMaterial,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Creates fresh encryption settings (a new salt) for an account
+ * @returns {object} { salt, iterations }
+ */
+function createEncryptionSettings() {
+    return {
+        salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(ENCRYPTION_SALT_BYTES))),
+        iterations: PASSWORD_HASH_ITERATIONS
+    };
+}
+
+/**
+ * Creates the error thrown when stored data cannot be decrypted
+ * @param {string} message - What went wrong
+ * @returns {Error} Error named 'DecryptionError'
+ */
+function decryptionError(message) {
+    const error = new Error(message);
+    error.name = 'DecryptionError';
+    return error;
+}
+
+/**
+ * Checks whether a stored value is an encrypted envelope
+ * @param {*} value - Stored value
+ * @returns {boolean} True if the value was written by encryptValue
+ */
+function isEncryptedValue(value) {
+    return !!value && value.encrypted === true && typeof value.iv === 'string' && typeof value.ciphertext === 'string';
+}
+
+/**
+ * Encrypts any JSON value
+ * @param {*} value - Value to encrypt
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<object>} { encrypted: true, iv, ciphertext }
+ */
+async function encryptValue(value, key) {
+    const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_IV_BYTES));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return { encrypted: true, iv: bytesToBase64(iv), ciphertext: bytesToBase64(ciphertext) };
+}
+
+/**
+ * Decrypts a value written by encryptValue
+ * @param {object} envelope - { encrypted: true, iv, ciphertext }
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<*>} The original value
+ * @throws {Error} DecryptionError if the key is wrong or the data was modified
+ */
+async function decryptValue(envelope, key) {
+    try {
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(envelope.iv) }, key, base64ToBytes(envelope.ciphertext));
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+        throw decryptionError('Your data could not be decrypted: the password is wrong or the stored data was modified');
+    }
+}
+
+/**
+ * Prepares a value for storage: encrypted when a key is given, unchanged otherwise
+ * @param {*} value - Value to store
+ * @param {CryptoKey|null} key - AES-GCM key, or null for plain text
+ * @returns {Promise<*>} Value to write
+ */
+async function encodeStoredValue(value, key) {
+    return key ? encryptValue(value, key) : value;
+}
+
+/**
+ * Reads a stored value, decrypting it if it is encrypted
+ * @param {*} value - Value read from storage
+ * @param {CryptoKey|null} key - AES-GCM key of the user
+ * @returns {Promise<*>} The plain value
+ * @throws {Error} DecryptionError if the value is encrypted and there is no key or the wrong one
+ */
+async function decodeStoredValue(value, key) {
+    if (!isEncryptedValue(value)) return value;
+    if (!key) {
+        throw decryptionError('Your data is encrypted. Log in with your password to unlock it');
+    }
+    return decryptValue(value, key);
+}
+
+// ========================================
+// SESSIONS, IDLE LOCK AND LOGIN RATE LIMITING
+// ========================================
+
+/**
+ * SESSION SETTINGS
+ * A session is a signed token { userId, issuedAt, expiresAt, remember }.
+ * - Without "remember me" it lives in sessionStorage (gone when the browser closes)
+ * - With "remember me" it lives in localStorage and survives restarts
+ * Tokens are signed with HMAC-SHA-256 using a random per-browser secret, so an
+ * edited or hand-written token (e.g. a different user ID) is rejected.
+ */
+const SESSION_STORAGE_KEY = 'swift_task_session';
+const SESSION_SECRET_KEY = 'swift_task_session_secret';
+const SESSION_DURATION_MS = 12 * 60 * 60 * 1000;              // 12 hours
+const REMEMBERED_SESSION_DURATION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Idle lock: minutes of inactivity before the dashboard locks (0 = never)
+const DEFAULT_IDLE_TIMEOUT_MINUTES = 15;
+
+/**
+ * LOGIN RATE LIMITING
+ * After FREE_LOGIN_ATTEMPTS failures for an account, each further failure
+ * doubles the wait before the next attempt (5s, 10s, 20s ... up to 15 minutes).
+ * Only existing accounts are counted, keyed by account ID, so typing unknown
+ * usernames neither fills storage nor locks out someone who registers later.
+ */
+const LOGIN_ATTEMPTS_KEY = 'swift_task_login_attempts';
+const FREE_LOGIN_ATTEMPTS = 3;
+const LOGIN_BACKOFF_BASE_MS = 5000;
+const LOGIN_BACKOFF_MAX_MS = 15 * 60 * 1000;
+
+// Time of the last mouse/keyboard/touch activity, used by the idle lock
+let lastActivityAt = Date.now();
+
+// Idle timeout of the signed-in account, read once instead of on every idle check
+let idleTimeoutCache = null;
+
+/**
+ * Encodes text as URL-safe base64 (used for session tokens)
+ * @param {string|ArrayBuffer} value - Text or raw bytes
+ * @returns {string} base64url string without padding
+ */
+function toBase64Url(value) {
+    const base64 = typeof value === 'string'
+        ? bytesToBase64(new TextEncoder().encode(value))
+        : bytesToBase64(value);
+    return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes URL-safe base64 back to bytes
+ * @param {string} value - base64url string
+ * @returns {Uint8Array} Raw bytes
+ */
+function fromBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    return base64ToBytes(base64 + '='.repeat((4 - base64.length % 4) % 4));
+}
+
+/**
+ * Returns the HMAC key used to sign session tokens, creating the secret on first use
+ * @returns {Promise<CryptoKey>} HMAC-SHA-256 key
+ */
+async function getSessionSigningKey() {
+    let secret = localStorage.getItem(SESSION_SECRET_KEY);
+    if (!secret) {
+        secret = bytesToBase64(crypto.getRandomValues(new Uint8Array(32)));
+        localStorage.setItem(SESSION_SECRET_KEY, secret);
+    }
+    return crypto.subtle.importKey('raw', base64ToBytes(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+/**
+ * Issues a signed session token for a user and stores it
+ * @param {string} userId - User ID
+ * @param {boolean} remember - Keep the session after the browser closes
+ */
+async function createSession(userId, remember) {
+    const issuedAt = Date.now();
+    const payload = toBase64Url(JSON.stringify({
+        userId,
+        issuedAt,
+        expiresAt: issuedAt + (remember ? REMEMBERED_SESSION_DURATION_MS : SESSION_DURATION_MS),
+        remember
+    }));
+    const signature = await crypto.subtle.sign('HMAC', await getSessionSigningKey(), new TextEncoder().encode(payload));
+    const token = `${payload}.${toBase64Url(signature)}`;
+
+    clearSession();
+    (remember ? localStorage : sessionStorage).setItem(SESSION_STORAGE_KEY, token);
+}
+
+/**
+ * Reads and verifies the stored session token
+ * @returns {Promise<object|null>} Session payload, or null if missing, tampered or expired
+ */
+async function readSession() {
+    const token = sessionStorage.getItem(SESSION_STORAGE_KEY) || localStorage.getItem(SESSION_STORAGE_KEY);
+    if (!token) return null;
+
+    try {
+        const [payload, signature] = token.split('.');
+        const valid = await crypto.subtle.verify('HMAC', await getSessionSigningKey(), fromBase64Url(signature), new TextEncoder().encode(payload));
+        if (!valid) throw new Error('Invalid session signature');
+
+        const session = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+        if (Date.now() > session.expiresAt) {
+            clearSession();
+            return null;
+        }
+        return session;
+    } catch (error) {
+        console.error('Discarding invalid session:', error);
+        clearSession();
+        return null;
+    }
+}
+
+/**
+ * Removes the session token from both storages
+ */
+function clearSession() {
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    // Sessions from older versions stored only the bare user ID
+    localStorage.removeItem('swift_task_current_user');
+}
+
+/**
+ * Reads the failed login counters
+ * @returns {object} Map of account ID to { failures, lockedUntil }
+ */
+function loadLoginAttempts() {
+    try {
+        return JSON.parse(localStorage.getItem(LOGIN_ATTEMPTS_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Returns how long an account must still wait before the next login attempt
+ * @param {object} account - Account being tried
+ * @returns {number} Milliseconds to wait (0 if an attempt is allowed now)
+ */
+function getLoginLockRemaining(account) {
+    const attempt = loadLoginAttempts()[account.id];
+    return attempt ? Math.max(0, attempt.lockedUntil - Date.now()) : 0;
+}
+
+/**
+ * Records a failed login and applies exponential back-off
+ * @param {object} account - Account whose password was wrong
+ */
+function recordFailedLogin(account) {
+    const attempts = loadLoginAttempts();
+    const key = account.id;
+    const failures = (attempts[key] ? attempts[key].failures : 0) + 1;
+
+    const delay = failures < FREE_LOGIN_ATTEMPTS
+        ? 0
+        : Math.min(LOGIN_BACKOFF_BASE_MS * 2 ** (failures - FREE_LOGIN_ATTEMPTS), LOGIN_BACKOFF_MAX_MS);
+
+    attempts[key] = { failures, lockedUntil: Date.now() + delay };
+    localStorage.setItem(LOGIN_ATTEMPTS_KEY, JSON.stringify(attempts));
+}
+
+/**
+ * Clears the failed login counter after a successful login
+ * @param {object} account - Account that logged in
+ */
+function clearFailedLogins(account) {
+    const attempts = loadLoginAttempts();
+    if (!attempts[account.id]) return;
+    delete attempts[account.id];
+    localStorage.setItem(LOGIN_ATTEMPTS_KEY, JSON.stringify(attempts));
+}
+
+/**
+ * Returns the idle timeout chosen by the current user
+ * @returns {number} Minutes of inactivity before locking (0 = never)
+ */
+function getIdleTimeoutMinutes() {
+    if (!currentUser) return 0;
+    if (idleTimeoutCache && idleTimeoutCache.userId === currentUser.id) return idleTimeoutCache.minutes;
+
+    const account = loadAccounts().find(a => a.id === currentUser.id);
+    const minutes = account && typeof account.idleTimeoutMinutes === 'number'
+        ? account.idleTimeoutMinutes
+        : DEFAULT_IDLE_TIMEOUT_MINUTES;
+    idleTimeoutCache = { userId: currentUser.id, minutes };
+    return minutes;
+}
+
+/**
+ * Saves the current user's idle timeout
+ * @param {number} minutes - Minutes of inactivity before locking (0 = never)
+ */
+function setIdleTimeoutMinutes(minutes) {
+    const accounts = loadAccounts();
+    const account = accounts.find(a => a.id === currentUser.id);
+    if (!account) return;
+
+    account.idleTimeoutMinutes = minutes;
+    saveAccounts(accounts);
+    idleTimeoutCache = { userId: currentUser.id, minutes };
+    showNotification(minutes > 0 ? `Dashboard will lock after ${minutes} minutes of inactivity` : 'Idle lock turned off', 'success');
+}
+
+/**
+ * Records user activity for the idle lock
+ */
+function recordActivity() {
+    lastActivityAt = Date.now();
+}
+
+/**
+ * Locks the dashboard once the user has been idle longer than their timeout
+ * Called every second by the timer set up in initApp.
+ */
+function checkIdleTimeout() {
+    if (!currentUser) return;
+
+    const timeoutMinutes = getIdleTimeoutMinutes();
+    if (timeoutMinutes > 0 && Date.now() - lastActivityAt > timeoutMinutes * 60 * 1000) {
+        lockSession(timeoutMinutes);
+    }
+}
+
+/**
+ * Returns to the login screen after inactivity, keeping the username filled in
+ * @param {number} timeoutMinutes - Idle timeout that triggered the lock
+ */
+function lockSession(timeoutMinutes) {
+    const username = currentUser.username;
+    logoutUser();
+
+    usernameInput.value = username;
+    passwordInput.focus();
+    showNotification(`Locked after ${timeoutMinutes} minutes of inactivity. Please log in again.`, 'info', 6000);
+}
+
+// ========================================
+// USER MANAGEMENT
+// ========================================
+
+/**
+ * Signs a user in: loads their data and shows the dashboard
+ * @param {object} user - Session user from toSessionUser
+ * @param {object} [options] - Session options
+ * @param {boolean} [options.remember] - Keep the session after the browser closes
+ * @param {boolean} [options.restored] - Session was restored from a stored token (don't issue a new one)
+ * @returns {Promise<boolean>} Resolves false if the workspace could not be decrypted
+ */
+async function startUserSession(user, options = {}) {
+    currentUser = user;
+    recordActivity();
+    clearUndoHistory();
+
+    // Store a signed session token for auto-login
+    if (!options.restored) {
+        await createSession(user.id, !!options.remember);
+    }
+
+    // Update UI to show logged-in user
+    currentUserSpan.textContent = user.username;
+
+    // Load user's saved data from storage
+    try {
+        currentData = await loadData(user.id);
+    } catch (error) {
+        // Wrong key or tampered data: stay on the login screen and keep the stored data untouched
+        console.error('Error decrypting data:', error);
+        currentUser = null;
+        currentEncryptionKey = null;
+        currentData = createEmptyData();
+        clearSession();
+        showNotification(error.message, 'error', 6000);
+        return false;
+    }
+
+    // Drop deleted items that have been in the trash longer than the user keeps them
+    purgeExpiredTrash();
+
+    // Switch from login screen to dashboard
+    loginScreen.style.display = 'none';
+    dashboardScreen.style.display = 'block';
+
+    // Render the dashboard with user's data
+    renderDashboard();
+    return true;
+}
+
+/**
+ * Handles user login with username and password authentication
+ * @param {string} username - Username to login (case-insensitive)
+ * @param {string} password - Password to verify (case-sensitive)
+ * @param {boolean} [remember] - Keep the session after the browser closes ("remember me")
+ * @returns {Promise<boolean>} - Resolves true if login successful, false otherwise
+ * 
+ * AUTHENTICATION PROCESS:
+ * 1. Validates that both username and password are provided
+ * 2. Refuses the attempt while the username is in login back-off
+ * 3. Looks up the account by username (case-insensitive)
+ * 4. Hashes the password with the account's salt and compares the hashes
+ * 5. Derives the workspace key from the password if the account is encrypted
+ * 6. If match found, issues a signed session token and loads user data
+ * 7. Switches to dashboard view
+ * 8. Shows success/error notification
+ * 
+ * SECURITY NOTES:
+ * - Passwords are stored as salted PBKDF2 hashes, never in plain text
+ * - Repeated failures trigger exponential back-off per username
+ * - Use HTTPS for secure transmission of credentials
+ */
+async function loginUser(username, password, remember = false) {
+    // Validate input parameters
+    if (!username || !password) {
+        showNotification('Please enter both username and password', 'error');
+        return false;
+    }
+
+    // Username comparison is case-insensitive, password is case-sensitive
+    await initAccounts();
+    const account = findAccountByUsername(username);
+
+    if (!account) {
+        showNotification('Invalid username or password', 'error');
+        return false;
+    }
+
+    // Too many recent failures for this account - make them wait
+    const lockRemaining = getLoginLockRemaining(account);
+    if (lockRemaining > 0) {
+        showNotification(`Too many failed attempts. Try again in ${Math.ceil(lockRemaining / 1000)} seconds.`, 'error');
+        return false;
+    }
+
+    if (!(await verifyPassword(password, account))) {
+        recordFailedLogin(account);
+        showNotification('Invalid username or password', 'error');
+        return false;
+    }
+
+    clearFailedLogins(account);
+
+    // Encrypted workspace: the key only exists while the user is logged in
+    currentEncryptionKey = account.encryption ? await deriveEncryptionKey(password, account.encryption) : null;
+
+    // Authentication successful - set current user and open the dashboard
+    if (!(await startUserSession(toSessionUser(account), { remember }))) {
+        return false;
+    }
+
+    // Show welcome message
+    showNotification(`Welcome back, ${account.username}!`, 'success');
+
+    return true;
+}
+
+/**
+ * Registers a new account and signs it in
+ * @param {string} username - Desired username (must be unique, case-insensitive)
+ * @param {string} password - Password (at least PASSWORD_MIN_LENGTH characters)
+ * @param {string} confirmPassword - Password repeated for confirmation
+ * @returns {Promise<boolean>} - Resolves true if the account was created
+ */
+async function registerUser(username, password, confirmPassword) {
+    if (!username || !password) {
+        showNotification('Please enter a username and password', 'error');
+        return false;
+    }
+
+    if (username.length < 3 || username.length > 40) {
+        showNotification('Username must be between 3 and 40 characters', 'error');
+        return false;
+    }
+
+    await initAccounts();
+    if (findAccountByUsername(username)) {
+        showNotification('That username is already taken', 'error');
+        return false;
+    }
+
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        showNotification(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`, 'error');
+        return false;
+    }
+
+    if (password !== confirmPassword) {
+        showNotification('Passwords do not match', 'error');
+        return false;
+    }
+
+    const { hash, salt, iterations } = await hashPassword(password);
+    const account = {
+        id: `user_${generateId()}`,
+        username,
+        joinDate: new Date().toISOString().split('T')[0],
+        passwordHash: hash,
+        passwordSalt: salt,
+        passwordIterations: iterations
+    };
+
+    const accounts = loadAccounts();
+    accounts.push(account);
+    saveAccounts(accounts);
+
+    registerForm.reset();
+    showLoginForm();
+    await startUserSession(toSessionUser(account));
+    showNotification(`Welcome to Swift Task, ${account.username}!`, 'success');
+
+    return true;
+}
+
+/**
+ * Changes the current user's password after checking the old one
+ * @param {string} currentPassword - Existing password
+ * @param {string} newPassword - New password
+ * @param {string} confirmPassword - New password repeated
+ * @returns {Promise<boolean>} - Resolves true if the password was changed
+ */
+async function changePassword(currentPassword, newPassword, confirmPassword) {
+    if (!currentUser) return false;
+
+    const accounts = loadAccounts();
+    const account = accounts.find(a => a.id === currentUser.id);
+    if (!account) return false;
+
+    if (!(await verifyPassword(currentPassword, account))) {
+        showNotification('Current password is incorrect', 'error');
+        return false;
+    }
+
+    if (newPassword.length < PASSWORD_MIN_LENGTH) {
+        showNotification(`New password must be at least ${PASSWORD_MIN_LENGTH} characters`, 'error');
+        return false;
+    }
+
+    if (newPassword !== confirmPassword) {
+        showNotification('New passwords do not match', 'error');
+        return false;
+    }
+
+    const { hash, salt, iterations } = await hashPassword(newPassword);
+
+    // Encrypted workspace: re-encrypt everything with a key from the new password before
+    // the account changes, so a failure leaves both the password and the stored data as they were
+    if (account.encryption) {
+        const encryption = createEncryptionSettings();
+        const newKey = await deriveEncryptionKey(newPassword, encryption);
+        if (!(await rewriteWorkspace(newKey))) {
+            showNotification('Your data could not be re-encrypted, so the password was not changed', 'error');
+            return false;
+        }
+        account.encryption = encryption;
+    }
+
+    account.passwordHash = hash;
+    account.passwordSalt = salt;
+    account.passwordIterations = iterations;
+    // Sessions issued before the change (e.g. "remember me" on another browser profile) stop working
+    account.sessionsValidFrom = Date.now();
+    saveAccounts(accounts);
+
+    // Keep this browser signed in with a fresh token
+    const session = await readSession();
+    await createSession(currentUser.id, !!(session && session.remember));
+
+    changePasswordModal.hide();
+    document.getElementById('changePasswordForm').reset();
+    showNotification('Password changed successfully', 'success');
+    return true;
+}
+
+/**
+ * Turns encryption at rest on or off for the current user's workspace
+ * @param {boolean} enabled - True to encrypt, false to go back to plain text
+ * @param {string} password - Current password (the key is derived from it)
+ * @returns {Promise<boolean>} - Resolves true if the setting was changed
+ *
+ * The workspace is rewritten first and the account updated only afterwards,
+ * so the account never claims a state the stored data is not in.
+ */
+async function setWorkspaceEncryption(enabled, password) {
+    if (!currentUser) return false;
+
+    const accounts = loadAccounts();
+    const account = accounts.find(a => a.id === currentUser.id);
+    if (!account) return false;
+
+    if (!(await verifyPassword(password, account))) {
+        showNotification('Password is incorrect', 'error');
+        return false;
+    }
+
+    const encryption = enabled ? createEncryptionSettings() : null;
+    const newKey = enabled ? await deriveEncryptionKey(password, encryption) : null;
+    if (!(await rewriteWorkspace(newKey))) {
+        showNotification(`Your data could not be ${enabled ? 'encrypted' : 'decrypted'}`, 'error');
+        return false;
+    }
+
+    if (enabled) {
+        account.encryption = encryption;
+    } else {
+        delete account.encryption;
+    }
+    saveAccounts(accounts);
+
+    encryptionModal.hide();
+    document.getElementById('encryptionForm').reset();
+    showNotification(enabled
+        ? 'Your data is now encrypted. If you forget your password it cannot be recovered.'
+        : 'Encryption turned off', enabled ? 'success' : 'info', enabled ? 6000 : 3000);
+    return true;
+}
+
+/**
+ * Opens the modal that turns encryption at rest on or off
+ */
+function showEncryptionModal() {
+    const encrypted = isWorkspaceEncrypted();
+
+    document.getElementById('encryptionModalTitle').textContent = encrypted ? 'Stop Encrypting My Data' : 'Encrypt My Data';
+    document.getElementById('encryptionModalInfo').textContent = encrypted
+        ? 'Your boards will be stored in plain text again. Anyone with access to this browser profile can read them.'
+        : 'Your boards will be encrypted with a key made from your password. Without the password they cannot be read - not even by resetting it.';
+    document.getElementById('confirmEncryptionLabel').textContent = encrypted ? 'Turn Off' : 'Encrypt';
+    document.getElementById('encryptionForm').reset();
+
+    profileModal.hide();
+    encryptionModal.show();
+}
+
+/**
+ * Checks whether the current user's workspace is encrypted at rest
+ * @returns {boolean} True if the account has encryption turned on
+ */
+function isWorkspaceEncrypted() {
+    if (!currentUser) return false;
+    const account = loadAccounts().find(a => a.id === currentUser.id);
+    return !!(account && account.encryption);
+}
+
+/**
+ * Permanently deletes the current account and all of its boards
+ * @param {string} password - Current password, required as confirmation
+ * @returns {Promise<boolean>} - Resolves true if the account was deleted
+ */
+async function deleteAccount(password) {
+    if (!currentUser) return false;
+
+    const accounts = loadAccounts();
+    const account = accounts.find(a => a.id === currentUser.id);
+    if (!account) return false;
+
+    if (!(await verifyPassword(password, account))) {
+        showNotification('Password is incorrect', 'error');
+        return false;
+    }
+
+    const userId = currentUser.id;
+    saveAccounts(accounts.filter(a => a.id !== userId));
+
+    // Remove the workspace from storage (and any copy left behind in localStorage)
+    await storageQueue;
+    try {
+        await storageBackend.remove(userId);
+        localStorage.removeItem(`swift_task_${userId}`);
+    } catch (error) {
+        console.error('Error deleting account data:', error);
+    }
+
+    deleteAccountModal.hide();
+    document.getElementById('deleteAccountForm').reset();
+
+    // Clear the session without saving the workspace back
+    currentUser = null;
+    logoutUser();
+    showNotification('Your account and all of its data were deleted', 'info');
+    return true;
+}
+
+/**
+ * Shows the login form and hides the registration form
+ */
+function showLoginForm() {
+    registerForm.style.display = 'none';
+    loginForm.style.display = 'block';
+    document.getElementById('showRegisterLink').parentElement.style.display = 'block';
+}
+
+/**
+ * Shows the registration form and hides the login form
+ */
+function showRegisterForm() {
+    loginForm.style.display = 'none';
+    registerForm.style.display = 'block';
+    document.getElementById('showRegisterLink').parentElement.style.display = 'none';
+}
+
+/**
+ * Handles user logout and session cleanup
+ * 
+ * LOGOUT PROCESS:
+ * 1. Saves current user data to localStorage
+ * 2. Clears current user session
+ * 3. Resets application state
+ * 4. Removes the session token from storage
+ * 5. Switches back to login screen
+ * 6. Clears login form for security
+ * 7. Shows logout confirmation
+ * 
+ * SECURITY NOTES:
+ * - Clears all sensitive data from memory
+ * - Removes session token from localStorage
+ * - Resets form to prevent credential exposure
+ * - Ensures complete session termination
+ */
+function logoutUser() {
+    // Save current user's data before logout to preserve work
+    if (currentUser) {
+        saveData(currentUser.id, currentData);
+    }
+
+    // Clear current user session and reset application state
+    currentUser = null;
+    currentData = createEmptyData();
+    currentEncryptionKey = null;
+    clearUndoHistory();
+    
+    // Remove session token for security
+    clearSession();
+    
+    // Switch from dashboard back to login screen
+    dashboardScreen.style.display = 'none';
+    loginScreen.style.display = 'block';
+
+    // Clear login form to prevent credential exposure
+    loginForm.reset();
+
+    // Show logout confirmation message
+    showNotification('Logged out successfully', 'info');
+}
+
+// ========================================
+// UNDO / REDO HISTORY
+// ========================================
+
+/**
+ * UNDO / REDO
+ * Every board, folder and task mutation pushes a command onto undoStack.
+ * A command remembers the affected top-level board (the one containing the changed sub-board) before and after the change:
+ * { label, before: { boardId, index, board }, after: { boardId, index, board }, trashAdded, trashRemoved }
+ * where board is a deep copy, or null when the board did not exist (added/deleted),
+ * and trashAdded/trashRemoved are the trash entries the change created or took out.
+ * Changes spanning two boards (moves) store arrays of board states in before/after.
+ *
+ * Undo restores `before`, redo restores `after`. Making a new change clears the redo stack.
+ * History belongs to the logged-in user and is cleared on login and logout.
+ */
+const UNDO_HISTORY_LIMIT = 50;
+
+let undoStack = [];
+let redoStack = [];
+
+/**
+ * Takes a copy of a top-level board so it can be restored later
+ * @param {string|null} boardId - Board ID; for a sub-board the top-level board containing it is copied.
+ * null copies only the trash and tags, for changes that touch no board (e.g. renaming a tag)
+ * @returns {object} { boardId, index, board, trash } - board is null if it does not exist
+ */
+function captureBoardState(boardId) {
+    const path = getBoardPath(boardId);
+    if (path.length > 0) boardId = path[0].id;
+    const index = currentData.boards.findIndex(b => b.id === boardId);
+    return {
+        boardId,
+        index: index === -1 ? currentData.boards.length : index,
+        board: index === -1 ? null : JSON.parse(JSON.stringify(currentData.boards[index])),
+        // Trash entries are never modified, only added or removed, so a shallow copy is enough
+        trash: (currentData.trash || []).slice(),
+        // The same goes for tags (see TASK TAGS)
+        tags: (currentData.tags || []).slice()
+    };
+}
+
+/**
+ * Adds and removes trash entries (used when undoing and redoing)
+ * @param {object[]} added - Entries to put back into the trash
+ * @param {object[]} removed - Entries to take out of the trash
+ */
+function applyTrashChange(added, removed) {
+    const removedIds = new Set(removed.map(entry => entry.id));
+    const trash = (currentData.trash || []).filter(entry => !removedIds.has(entry.id));
+    const existingIds = new Set(trash.map(entry => entry.id));
+    currentData.trash = [...added.filter(entry => !existingIds.has(entry.id)), ...trash];
+}
+
+/**
+ * Adds and removes tags (used when undoing and redoing)
+ * @param {object[]} added - Tags to put back
+ * @param {object[]} removed - Tags to take out
+ */
+function applyTagChange(added, removed) {
+    // A renamed or recolored tag goes back into the place of the version it replaced
+    const addedById = new Map(added.map(tag => [tag.id, tag]));
+    const tags = (currentData.tags || []).flatMap(tag => {
+        if (!removed.includes(tag)) return [tag];
+        return addedById.has(tag.id) ? [addedById.get(tag.id)] : [];
+    });
+    const existingIds = new Set(tags.map(tag => tag.id));
+    currentData.tags = [...tags, ...added.filter(tag => !existingIds.has(tag.id))];
+}
+
+/**
+ * Puts boards back into the state captured by captureBoardState
+ * @param {object|object[]} states - Captured board state, or one per board
+ */
+function restoreBoardState(states) {
+    [].concat(states).forEach(state => {
+        currentData.boards = currentData.boards.filter(b => b.id !== state.boardId);
+        if (state.board) {
+            const index = Math.min(state.index, currentData.boards.length);
+            currentData.boards.splice(index, 0, JSON.parse(JSON.stringify(state.board)));
+        }
+    });
+}
+
+/**
+ * Records a finished mutation so it can be undone
+ * @param {string} label - Short description shown in notifications (e.g. 'Delete task "Report"')
+ * @param {object|object[]} before - State captured with captureBoardState before the change (one per board it touches)
+ */
+function recordChange(label, before) {
+    const after = Array.isArray(before)
+        ? before.map(state => captureBoardState(state.boardId))
+        : captureBoardState(before.boardId);
+    const [trashBefore, trashAfter] = [before, after].map(states => [].concat(states)[0].trash);
+    const [tagsBefore, tagsAfter] = [before, after].map(states => [].concat(states)[0].tags);
+    undoStack.push({
+        label,
+        before,
+        after,
+        trashAdded: trashAfter.filter(entry => !trashBefore.includes(entry)),
+        trashRemoved: trashBefore.filter(entry => !trashAfter.includes(entry)),
+        tagsAdded: tagsAfter.filter(tag => !tagsBefore.includes(tag)),
+        tagsRemoved: tagsBefore.filter(tag => !tagsAfter.includes(tag))
+    });
+    if (undoStack.length > UNDO_HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack = [];
+}
+
+/**
+ * Clears the undo and redo stacks
+ */
+function clearUndoHistory() {
+    undoStack = [];
+    redoStack = [];
+}
+
+/**
+ * Reverts the most recent change
+ */
+function undoLastChange() {
+    if (!currentUser) return;
+
+    const command = undoStack.pop();
+    if (!command) {
+        showNotification('Nothing to undo', 'info');
+        return;
+    }
+
+    restoreBoardState(command.before);
+    applyTrashChange(command.trashRemoved, command.trashAdded);
+    applyTagChange(command.tagsRemoved, command.tagsAdded);
+    redoStack.push(command);
+
+    // The whole board may have come back, so write everything rather than a single entity
+    saveData(currentUser.id, currentData);
+    setTimeout(() => {
+        renderDashboard();
+        showNotification(`Undone: ${command.label}`, 'info', 5000, { label: 'Redo', onClick: redoLastChange });
+    }, 10);
+}
+
+/**
+ * Re-applies the most recently undone change
+ */
+function redoLastChange() {
+    if (!currentUser) return;
+
+    const command = redoStack.pop();
+    if (!command) {
+        showNotification('Nothing to redo', 'info');
+        return;
+    }
+
+    restoreBoardState(command.after);
+    applyTrashChange(command.trashAdded, command.trashRemoved);
+    applyTagChange(command.tagsAdded, command.tagsRemoved);
+    undoStack.push(command);
+
+    saveData(currentUser.id, currentData);
+    setTimeout(() => {
+        renderDashboard();
+        showNotification(`Redone: ${command.label}`, 'info', 5000, { label: 'Undo', onClick: undoLastChange });
+    }, 10);
+}
+
+// ========================================
+// BOARD MANAGEMENT
+// ========================================
+
+/**
+ * BOARD TREE
+ * A board can hold sub-boards (board.subBoards) nested to any depth. Sub-boards have
+ * the same shape as top-level boards: folders, tasks, views and an edit policy of their own.
+ * Only top-level boards are listed in currentData.boards; these helpers reach the rest.
+ */
+
+// Board name modal target: { mode: 'subBoard' | 'rename', boardId }
+let boardNameTarget = null;
+
+/**
+ * Lists boards and all of their sub-boards, parents first
+ * @param {object[]} [boards] - Boards to start from (all top-level boards by default)
+ * @returns {object[]} Every board in the tree, depth first
+ */
+function getAllBoards(boards = currentData.boards) {
+    return boards.flatMap(board => [board, ...getAllBoards(board.subBoards || [])]);
+}
+
+/**
+ * Finds a board anywhere in the tree
+ * @param {string} boardId - Board ID
+ * @param {object[]} [boards] - Boards to search (all top-level boards by default)
+ * @param {object} [parent] - Board holding `boards` (used while recursing)
+ * @returns {object|null} { board, parent, siblings } where parent is null for a top-level board
+ * and siblings is the array that holds the board, or null if there is no such board
+ */
+function findBoardLocation(boardId, boards = currentData.boards, parent = null) {
+    for (const board of boards) {
+        if (board.id === boardId) return { board, parent, siblings: boards };
+        const location = findBoardLocation(boardId, board.subBoards || [], board);
+        if (location) return location;
+    }
+    return null;
+}
+
+/**
+ * Finds a board anywhere in the tree
+ * @param {string} boardId - Board ID
+ * @returns {object|null} The board, or null if there is no such board
+ */
+function findBoard(boardId) {
+    const location = findBoardLocation(boardId);
+    return location ? location.board : null;
+}
+
+/**
+ * Returns the boards from the top level down to a board
+ * @param {string} boardId - Board ID
+ * @returns {object[]} [topLevelBoard, ..., board], empty if there is no such board
+ */
+function getBoardPath(boardId) {
+    const location = findBoardLocation(boardId);
+    if (!location) return [];
+    return location.parent ? [...getBoardPath(location.parent.id), location.board] : [location.board];
+}
+
+/**
+ * Returns a board's name prefixed with the names of its parent boards
+ * @param {string} boardId - Board ID
+ * @returns {string} e.g. "Work › Sprint 12"
+ */
+function getBoardPathName(boardId) {
+    return getBoardPath(boardId).map(board => board.name).join(' › ');
+}
+
+/**
+ * Counts the tasks of a board including those in its sub-boards
+ * @param {object} board - Board
+ * @returns {number} Number of tasks
+ */
+function countBoardTasks(board) {
+    return getAllBoards([board]).reduce((sum, b) =>
+        sum + (b.folders || []).reduce((folderSum, folder) => folderSum + (folder.tasks || []).length, 0), 0);
+}
+
+/**
+ * Toggles the visibility of a board's content
+ * @param {string} boardId - Board ID to toggle
+ */
+function toggleBoard(boardId) {
+    const boardContent = document.getElementById(`board-content-${boardId}`);
+    const toggleIcon = document.getElementById(`toggle-icon-${boardId}`);
+
+    if (boardContent.style.display === 'none') {
+        boardContent.style.display = 'block';
+        toggleIcon.className = 'fas fa-chevron-up me-3 board-toggle-icon';
+        boardContent.style.animation = 'slideDown 0.3s ease-out';
+        openBoards.add(boardId);
+    } else {
+        boardContent.style.display = 'none';
+        toggleIcon.className = 'fas fa-chevron-down me-3 board-toggle-icon';
+        openBoards.delete(boardId);
+    }
+}
+
+/**
+ * Toggles the visibility of a folder's tasks
+ * @param {string} boardId - Board ID
+ * @param {string} folderId - Folder ID to toggle
+ */
+function toggleFolder(boardId, folderId) {
+    const folderTasks = document.getElementById(`folder-tasks-${folderId}`);
+    const toggleIcon = document.getElementById(`folder-toggle-icon-${folderId}`);
+
+    if (folderTasks.style.display === 'none') {
+        folderTasks.style.display = 'block';
+        toggleIcon.className = 'fas fa-chevron-down me-3 folder-toggle-icon';
+        folderTasks.style.animation = 'slideDown 0.3s ease-out';
+        openFolders.add(folderId);
+    } else {
+        folderTasks.style.display = 'none';
+        toggleIcon.className = 'fas fa-chevron-right me-3 folder-toggle-icon';
+        openFolders.delete(folderId);
+    }
+}
+
+/**
+ * Adds a new board, at the top level or as a sub-board
+ * @param {string} name - Board name
+ * @param {string} [parentId] - Board to add it to as a sub-board
+ * @returns {boolean} Whether the board was created
+ */
+function addBoard(name, parentId = null) {
+    if (!name.trim()) {
+        showNotification('Please enter a board name', 'error');
+        return false;
+    }
+
+    const parent = parentId ? findBoard(parentId) : null;
+    if (parentId && !parent) return false;
+    if (parent && !parent.subBoards) parent.subBoards = [];
+    const siblings = parent ? parent.subBoards : currentData.boards;
+
+    // Check if board already exists next to the new one
+    if (siblings.some(board => board.name.toLowerCase() === name.trim().toLowerCase())) {
+        showNotification(parent ? `Board "${parent.name}" already has a sub-board with this name` : 'Board already exists', 'error');
+        return false;
+    }
+
+    const newBoard = {
+        id: generateId(),
+        name: name.trim(),
+        createdAt: new Date().toISOString(),
+        folders: [],
+        subBoards: []
+    };
+
+    const before = captureBoardState(parent ? parent.id : newBoard.id);
+    siblings.push(newBoard);
+    recordChange(parent ? `Create sub-board "${newBoard.name}"` : `Create board "${newBoard.name}"`, before);
+    if (parent) openBoards.add(parent.id);
+    saveData(currentUser.id, currentData, { type: 'board', id: newBoard.id, boardId: parentId });
+
+    // Use setTimeout to prevent immediate re-render conflicts
+    setTimeout(() => {
+        renderDashboard();
+        showNotification(parent ? `Sub-board "${newBoard.name}" added to "${parent.name}"` : `Board "${name}" created successfully`, 'success');
+    }, 10);
+    return true;
+}
+
+/**
+ * Renames a board or sub-board
+ * @param {string} boardId - Board ID
+ * @param {string} name - New name
+ * @returns {boolean} Whether the board was renamed
+ */
+function renameBoard(boardId, name) {
+    const location = findBoardLocation(boardId);
+    if (!location) return false;
+    const { board, siblings } = location;
+
+    if (!name.trim()) {
+        showNotification('Please enter a board name', 'error');
+        return false;
+    }
+    if (name.trim() === board.name) return true;
+    if (siblings.some(b => b !== board && b.name.toLowerCase() === name.trim().toLowerCase())) {
+        showNotification('Board already exists', 'error');
+        return false;
+    }
+
+    const oldName = board.name;
+    const before = captureBoardState(boardId);
+    board.name = name.trim();
+    recordChange(`Rename board "${oldName}" to "${board.name}"`, before);
+
+    saveData(currentUser.id, currentData, { type: 'board', id: boardId });
+    setTimeout(() => {
+        renderDashboard();
+        showNotification(`Board "${oldName}" renamed to "${board.name}"`, 'success', 5000, { label: 'Undo', onClick: undoLastChange });
+    }, 10);
+    return true;
+}
+
+/**
+ * Deletes a board together with its sub-boards
+ * @param {string} boardId - Board ID to delete
+ */
+function deleteBoard(boardId) {
+    const location = findBoardLocation(boardId);
+    if (!location) return;
+    const { board, parent, siblings } = location;
+
+    // Remove board and all its folders, tasks and sub-boards
+    const before = captureBoardState(boardId);
+    siblings.splice(siblings.indexOf(board), 1);
+    getAllBoards([board]).forEach(b => (b.folders || []).forEach(folder => (folder.tasks || []).forEach(task => recordTaskHistory(task, { type: 'deleted' }))));
+    moveToTrash('board', board, { board: parent });
+    recordChange(`Delete board "${board.name}"`, before);
+
+    // The board change also rewrites the workspace record that holds the trash
+    saveData(currentUser.id, currentData, { type: 'board', id: boardId, boardId: parent ? parent.id : null });
+    setTimeout(() => {
+        renderDashboard();
+        showNotification(`Board "${board.name}" moved to trash`, 'success', 6000, { label: 'Undo', onClick: undoLastChange });
+    }, 10);
+}
+
+/**
+ * Opens the board name modal to add a sub-board
+ * @param {string} parentId - Board that gets the sub-board
+ */
+function showAddSubBoard(parentId) {
+    const parent = findBoard(parentId);
+    if (!parent) return;
+
+    boardNameTarget = { mode: 'subBoard', boardId: parentId };
+    document.getElementById('boardNameModalTitle').textContent = `Add Sub-Board to "${parent.name}"`;
+    document.getElementById('boardNameModalInput').value = '';
+    document.getElementById('saveBoardNameBtn').innerHTML = '<i class="fas fa-layer-group me-1"></i>Add Sub-Board';
+    boardNameModal.show();
+}
+
+/**
+ * Opens the board name modal to rename a board
+ * @param {string} boardId - Board to rename
+ */
+function showRenameBoard(boardId) {
+    const board = findBoard(boardId);
+    if (!board) return;
+
+    boardNameTarget = { mode: 'rename', boardId };
+    document.getElementById('boardNameModalTitle').textContent = 'Rename Board';
+    document.getElementById('boardNameModalInput').value = board.name;
+    document.getElementById('saveBoardNameBtn').innerHTML = '<i class="fas fa-check me-1"></i>Rename';
+    boardNameModal.show();
+}
+
+/**
+ * Saves the name entered in the board name modal
+ */
+function saveBoardName() {
+    if (!boardNameTarget) return;
+
+    const name = document.getElementById('boardNameModalInput').value;
+    const saved = boardNameTarget.mode === 'rename'
+        ? renameBoard(boardNameTarget.boardId, name)
+        : addBoard(name, boardNameTarget.boardId);
+    if (saved) {
+        boardNameModal.hide();
+        boardNameTarget = null;
+    }
+}
+
+// ========================================
+// FOLDER MANAGEMENT
+// ========================================
+
+/**
+ * Adds a folder to a specific board
+ * @param {string} boardId - Board ID
+ */
+function addFolderToBoard(boardId) {
+    // Store current board ID for folder creation
+    window.currentBoardId = boardId;       //window is used for global scope
+
+    // Clear the form
+    document.getElementById('addFolderForm').reset();
+
+    // Show add folder modal
+    addFolderModal.show();
+}
+
+/**
+ * Creates a new folder in the current board
+ */
+function createFolder() {
+    const folderName = document.getElementById('folderNameInput').value.trim();
+
+    if (!folderName) {
+        showNotification('Please enter a folder name', 'error');
+        return;
+    }
+
+    if (!window.currentBoardId) {
+        showNotification('Please select a board to add folder', 'error');
+        return;
+    }
+
+    const board = findBoard(window.currentBoardId);
+    if (!board) return;
+
+    // Check if folder already exists in this board
+    if (board.folders && board.folders.some(folder => folder.name.toLowerCase() === folderName.toLowerCase())) {
+        showNotification('Folder already exists in this board', 'error');
+        return;
+    }
+
+    const newFolder = {
+        id: generateId(),
+        name: folderName.trim(),
+        createdAt: new Date().toISOString(),
+        tasks: []
+    };
+
+    const before = captureBoardState(board.id);
+    if (!board.folders) board.folders = [];
+    board.folders.push(newFolder);
+    recordChange(`Create folder "${newFolder.name}"`, before);
+
+    // Automatically open the board when a folder is added
+    openBoards.add(window.currentBoardId);
+
+    saveData(currentUser.id, currentData, { type: 'folder', id: newFolder.id, boardId: board.id });
+    setTimeout(() => {
+        renderDashboard();
+        addFolderModal.hide();
+
+        // Clear form
+        document.getElementById('addFolderForm').reset();
+
+        showNotification(`Folder "${folderName}" added to board "${board.name}"`, 'success');
+    }, 10);
+}
+
+/**
+ * Deletes a folder from a board
+ * @param {string} boardId - Board ID
+ * @param {string} folderId - Folder ID
+ */
+function deleteFolderFromBoard(boardId, folderId) {
+    const board = findBoard(boardId);
+    if (!board || !board.folders) return;
+
+    const folder = board.folders.find(f => f.id === folderId);
+    if (!folder) return;
+
+    const before = captureBoardState(boardId);
+    board.folders = board.folders.filter(f => f.id !== folderId);
+    (folder.tasks || []).forEach(task => recordTaskHistory(task, { type: 'deleted' }));
+    moveToTrash('folder', folder, { board });
+    recordChange(`Delete folder "${folder.name}"`, before);
+
+    saveData(currentUser.id, currentData, { type: 'folder', id: folderId, boardId });
+    saveData(currentUser.id, currentData, { type: 'workspace' });
+    setTimeout(() => {
+        renderDashboard();
+        showNotification(`Folder "${folder.name}" moved to trash`, 'success', 6000, { label: 'Undo', onClick: undoLastChange });
+    }, 10);
+}
+
+// ========================================
+// TASK MANAGEMENT
+// ========================================
+
+/**
+ * Finds a task and the board and folder that contain it
+ * @param {string} taskId - Task ID
+ * @returns {object|null} { board, folder, task }, or null if there is no such task
+ */
+function findTaskLocation(taskId) {
+    for (const board of getAllBoards()) {
+        for (const folder of board.folders || []) {
+            const task = (folder.tasks || []).find(t => t.id === taskId);
+            if (task) return { board, folder, task };
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds a folder and the board that contains it
+ * @param {string} folderId - Folder ID
+ * @returns {object|null} { board, folder }, or null if there is no such folder
+ */
+function findFolderLocation(folderId) {
+    for (const board of getAllBoards()) {
+        const folder = (board.folders || []).find(f => f.id === folderId);
+        if (folder) return { board, folder };
+    }
+    return null;
+}
+
+/**
+ * Adds a task to a specific folder
+ * @param {string} boardId - Board ID
+ * @param {string} folderId - Folder ID
+ */
+function addTaskToFolder(boardId, folderId) {
+    const board = findBoard(boardId);
+    if (!board || !board.folders) return;
+
+    const folder = board.folders.find(f => f.id === folderId);
+    if (!folder) return;
+
+    // Store current board and folder for task creation
+    window.currentBoardId = boardId;
+    window.currentFolderId = folderId;
+    setTagPicker('add', []);
+
+    // Set default times
+    const now = new Date();
+    const currentTime = now.toTimeString().slice(0, 5);
+    document.getElementById('startTime').value = currentTime;
+    document.getElementById('dueTime').value = currentTime;
+
+    // Set default start date to tomorrow (current date + 1 day)
+    const tomorrow = new Date(now);
+    tomorrow.setDate(now.getDate() + 1);
+    const tomorrowDate = tomorrow.toISOString().split('T')[0];
+    document.getElementById('startDate').value = tomorrowDate;
+
+    // Set default due date to day after tomorrow (current date + 2 days)
+    const dayAfterTomorrow = new Date(now);
+    dayAfterTomorrow.setDate(now.getDate() + 2);
+    const dayAfterTomorrowDate = dayAfterTomorrow.toISOString().split('T')[0];
+    document.getElementById('dueDate').value = dayAfterTomorrowDate;
+
+
+    // Show add task modal
+    addTaskModal.show();
+}
+
+/**
+ * Validates task fields with the rules used when creating and editing tasks
+ * @param {object} fields - Task fields: title, startDate, startTime, dueDate, dueTime
+ * @param {object} [folder] - Destination folder; when given, duplicate titles in it are rejected
+ * @param {string} [ignoreTaskId] - Task to leave out of the duplicate title check
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+function validateTaskFields(fields, folder = null, ignoreTaskId = null) {
+    const { title, startDate, startTime, dueDate, dueTime } = fields;
+
+    if (!title || !startDate || !startTime || !dueDate || !dueTime) {
+        return 'Please fill in all required fields';
+    }
+
+    const startDateTime = new Date(`${startDate}T${startTime}`);
+    const dueDateTime = new Date(`${dueDate}T${dueTime}`);
+    const now = new Date();
+
+    if (isNaN(startDateTime) || isNaN(dueDateTime)) {
+        return 'Start or due date/time is not a valid date';
+    }
+
+    // Check if due time is in the past
+    if (dueDateTime < now) {
+        return 'Due date/time cannot be in the past';
+    }
+
+    if (startDateTime > dueDateTime) {
+        return 'Start date/time cannot be after due date/time';
+    }
+
+    // Check if task with same name already exists in this folder
+    if (folder && folder.tasks && folder.tasks.some(task =>
+        task.id !== ignoreTaskId && task.title.toLowerCase() === title.toLowerCase())) {
+        return 'A task with this name already exists in this folder';
+    }
+
+    return null;
+}
+
+/**
+ * Adds a new task to the current folder
+ */
+function addTask() {
+
+    const title = document.getElementById('taskTitle').value.trim();
+    const priority = document.getElementById('taskPriority').value;
+    const startDate = document.getElementById('startDate').value;
+    const startTime = document.getElementById('startTime').value;
+    const dueDate = document.getElementById('dueDate').value;
+    const dueTime = document.getElementById('dueTime').value;
+    const description = document.getElementById('taskDescription').value.trim();
+    const recurrenceRule = readRecurrenceForm('repeat');
+    const tagNames = readTagPicker('add');
+    if (!tagNames) return;
+
+    if (!window.currentBoardId || !window.currentFolderId) {
+        showNotification('Please select a folder to add task', 'error');
+        return;
+    }
+
+    const board = findBoard(window.currentBoardId);
+    const folder = board.folders.find(f => f.id === window.currentFolderId);
+
+    // Validation (required fields, dates, duplicate title in this folder)
+    const validationError = validateTaskFields({ title, startDate, startTime, dueDate, dueTime }, folder)
+        || (recurrenceRule && validateRecurrence(recurrenceRule, startDate));
+    if (validationError) {
+        showNotification(validationError, 'error');
+        return;
+    }
+
+    //This is a comment out code that was used to limit the number of tasks in a folder to 3.
+    // if(folder.tasks.length >= 3){
+    //   showNotification('A folder can only have 3 tasks', 'error');
+    // return;
+    // }
+
+    const newTask = {
+        id: generateId(),
+        title,
+        priority,
+        startDate,
+        startTime,
+        dueDate,
+        dueTime,
+        description,
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        editCount: 0,
+        lastEdited: null,
+        history: []
+    };
+    if (recurrenceRule) {
+        newTask.recurrence = createRecurrence(recurrenceRule, newTask);
+    }
+    recordTaskHistory(newTask, { type: 'created' });
+
+    const before = captureBoardState(board.id);
+    const { ids: tagIds, created: createdTags } = resolveTagNames(tagNames);
+    newTask.tags = tagIds;
+    if (!folder.tasks) folder.tasks = [];
+    folder.tasks.push(newTask);
+    recordChange(`Create task "${newTask.title}"`, before);
+
+    // Automatically open the folder when a task is added
+    openFolders.add(window.currentFolderId);
+
+    saveData(currentUser.id, currentData, { type: 'task', id: newTask.id, boardId: board.id, folderId: folder.id });
+    // New tags live in the workspace record
+    if (createdTags > 0) saveData(currentUser.id, currentData, { type: 'workspace' });
+    setTimeout(() => {
+        renderDashboard();
+        addTaskModal.hide();
+
+        // Clear form
+        document.getElementById('addTaskForm').reset();
+        updateRecurrenceForm('repeat');
+        setTagPicker('add', []);
+
+        showNotification('Task created successfully', 'success');
+    }, 10);
+}
+
+/**
+ * Edits an existing task
+ * @param {string} taskId - Task ID to edit
+ */
+function editTask(taskId) {
+    // Find task in the hierarchy
+    let task = null;
+    let board = null;
+    let folder = null;
+
+    for (const b of getAllBoards()) {
+        for (const f of b.folders || []) {
+            const foundTask = f.tasks?.find(t => t.id === taskId);
+            if (foundTask) {
+                task = foundTask;
+                board = b;
+                folder = f;
+                break;
+            }
+        }
+        if (task) break;
+    }
+
+    if (!task) return;
+
+    // Check the board's edit policy (edit limit, locked statuses)
+    const blockReason = getEditBlockReason(task, board);
+    if (blockReason) {
+        showNotification(blockReason, 'error');
+        return;
+    }
+
+    // Store current task info for updating
+    window.currentEditTask = { taskId, boardId: board.id, folderId: folder.id };
+
+    // Populate edit form
+    document.getElementById('editTaskId').value = taskId;
+    document.getElementById('editTaskTitle').value = task.title;
+    document.getElementById('editTaskPriority').value = task.priority;
+    document.getElementById('editStartDate').value = task.startDate;
+    document.getElementById('editStartTime').value = task.startTime;
+    document.getElementById('editDueDate').value = task.dueDate;
+    document.getElementById('editDueTime').value = task.dueTime;
+    document.getElementById('editTaskDescription').value = task.description;
+    document.getElementById('editCountDisplay').textContent = describeEditAllowance(task, board);
+
+    // Repeat rule, and the choice between this occurrence and the rest of the series
+    fillRecurrenceForm('editRepeat', task.recurrence);
+    document.getElementById('editScopeThis').checked = true;
+    document.getElementById('editRecurrenceScope').style.display = task.recurrence ? '' : 'none';
+
+    // Fields the board's policy does not allow to change are shown read-only
+    Object.entries(EDITABLE_TASK_FIELDS).forEach(([field, inputId]) => {
+        document.getElementById(inputId).disabled = !isFieldEditable(board, field);
+    });
+    setTagPicker('edit', getTaskTags(task).map(tag => tag.name));
+
+    editTaskModal.show();
+}
+
+/**
+ * Updates a task after editing
+ */
+function updateTask() {
+    const taskId = document.getElementById('editTaskId').value;
+
+    if (!window.currentEditTask || window.currentEditTask.taskId !== taskId) {
+        showNotification('Task not found', 'error');
+        return;
+    }
+
+    const board = findBoard(window.currentEditTask.boardId);
+    const folder = board.folders.find(f => f.id === window.currentEditTask.folderId);
+    const task = folder.tasks.find(t => t.id === taskId);
+
+    if (!task) return;
+
+    // Check the edit policy again
+    const blockReason = getEditBlockReason(task, board);
+    if (blockReason) {
+        showNotification(blockReason, 'error');
+        editTaskModal.hide();
+        return;
+    }
+
+    // Get form values for validation
+    const newTitle = document.getElementById('editTaskTitle').value.trim();
+    const newPriority = document.getElementById('editTaskPriority').value;
+    const newStartDate = document.getElementById('editStartDate').value;
+    const newStartTime = document.getElementById('editStartTime').value;
+    const newDueDate = document.getElementById('editDueDate').value;
+    const newDueTime = document.getElementById('editDueTime').value;
+    const newDescription = document.getElementById('editTaskDescription').value.trim();
+    const newRecurrence = readRecurrenceForm('editRepeat');
+    const scope = document.querySelector('input[name="editRecurrenceScope"]:checked').value;
+    const newTagNames = readTagPicker('edit');
+    if (!newTagNames) return;
+    const tagsChanged = !sameTaskFieldValue(getTaskTags(task).map(tag => tag.name), newTagNames);
+
+    // Check if Task has been changed or not
+    if (sameRecurrenceRule(task.recurrence, newRecurrence) && !tagsChanged &&
+        task.title === newTitle &&
+        task.priority === newPriority &&
+        task.startDate === newStartDate &&
+        task.startTime === newStartTime &&
+        task.dueDate === newDueDate &&
+        task.dueTime === newDueTime &&
+        task.description === newDescription) {
+        showNotification('No changes made to the task', 'error');
+        editTaskModal.hide();
+        return;
+    }
+
+    // Validation BEFORE updating task data
+    const validationError = validateTaskFields({
+        title: newTitle,
+        startDate: newStartDate,
+        startTime: newStartTime,
+        dueDate: newDueDate,
+        dueTime: newDueTime
+    }) || (newRecurrence && validateRecurrence(newRecurrence, newStartDate));
+    if (validationError) {
+        showNotification(validationError, 'error');
+        return;
+    }
+
+    const newFields = {
+        title: newTitle,
+        priority: newPriority,
+        startDate: newStartDate,
+        startTime: newStartTime,
+        dueDate: newDueDate,
+        dueTime: newDueTime,
+        description: newDescription
+    };
+
+    // Only fields allowed by the board's policy may change
+    const lockedField = Object.keys(newFields).find(field => newFields[field] !== task[field] && !isFieldEditable(board, field))
+        || (tagsChanged && !isFieldEditable(board, 'tags') ? 'tags' : null);
+    if (lockedField) {
+        showNotification(`${TASK_HISTORY_FIELDS[lockedField]} cannot be edited on this board`, 'error');
+        return;
+    }
+
+    // Update task data ONLY after validation passes (the old values are kept in the task's history)
+    const before = captureBoardState(board.id);
+    let createdTags = 0;
+    if (tagsChanged) {
+        const resolved = resolveTagNames(newTagNames);
+        newFields.tags = resolved.ids;
+        createdTags = resolved.created;
+    }
+    applyTaskEdit(task, newFields);
+    const laterOccurrences = updateTaskRecurrence(task, newRecurrence, scope, board);
+    task.editCount++;
+    task.lastEdited = new Date().toISOString();
+    recordChange(`Edit task "${task.title}"`, before);
+
+    saveData(currentUser.id, currentData, { type: 'task', id: taskId, boardId: board.id, folderId: folder.id });
+    // A 'future' edit also rewrote the open occurrences after this one
+    laterOccurrences.forEach(occurrence => {
+        saveData(currentUser.id, currentData, { type: 'task', id: occurrence.task.id, boardId: board.id, folderId: occurrence.folder.id });
+    });
+    if (createdTags > 0) saveData(currentUser.id, currentData, { type: 'workspace' });
+    setTimeout(() => {
+        renderDashboard();
+        editTaskModal.hide();
+
+        const conflicts = getDependencyConflicts(task);
+        if (conflicts.length > 0) {
+            showNotification(`Task updated. Warning: ${describeDependencyConflict(conflicts[0])}`, 'warning', 6000);
+        } else {
+            showNotification('Task updated successfully', 'success');
+        }
+    }, 10);
+}
+
+/**
+ * Deletes a task
+ * @param {string} taskId - Task ID to delete
+ */
+function deleteTask(taskId) {
+    // Find task in the hierarchy
+    for (const board of getAllBoards()) {
+        for (const folder of board.folders || []) {
+            const taskIndex = folder.tasks?.findIndex(t => t.id === taskId);
+            if (taskIndex !== -1 && taskIndex !== undefined) {
+                const before = captureBoardState(board.id);
+                const [task] = folder.tasks.splice(taskIndex, 1);
+                recordTaskHistory(task, { type: 'deleted' });
+                moveToTrash('task', task, { board, folder });
+                recordChange(`Delete task "${task.title}"`, before);
+                saveData(currentUser.id, currentData, { type: 'task', id: taskId, boardId: board.id, folderId: folder.id });
+                saveData(currentUser.id, currentData, { type: 'workspace' });
+                setTimeout(() => {
+                    renderDashboard();
+                    showNotification('Task moved to trash', 'success', 6000, { label: 'Undo', onClick: undoLastChange });
+                }, 10);
+                return;
+            }
+        }
+    }
+}
+
+/**
+ * Sets a task's status and records it in the task's history
+ * @param {object} task - Task
+ * @param {object} folder - Folder containing the task
+ * @param {string} status - New status
+ * @returns {object|null} Next occurrence, if completing a repeating task created one
+ */
+function applyTaskStatus(task, folder, status) {
+    applyTaskEdit(task, { status }, 'status');
+    // Completing an occurrence of a repeating task creates the next one
+    return status === 'completed' ? createNextOccurrence(task, folder) : null;
+}
+
+/**
+ * Changes task status
+ * @param {string} taskId - Task ID
+ * @param {string} status - New status
+ */
+function changeTaskStatus(taskId, status) {
+    // Find task in the hierarchy
+    for (const board of getAllBoards()) {
+        for (const folder of board.folders || []) {
+            const task = folder.tasks?.find(t => t.id === taskId);
+            if (task) {
+                // A task cannot start or finish while the tasks it depends on are unfinished
+                const blockers = status !== 'pending' ? getIncompletePredecessors(task) : [];
+                if (blockers.length > 0) {
+                    showNotification(`Cannot ${status === 'active' ? 'start' : 'complete'} this task yet - waiting for ${blockers.map(blocker => `"${blocker.title}"`).join(', ')}`, 'error', 5000);
+                    return;
+                }
+
+                const before = captureBoardState(board.id);
+                const nextTask = applyTaskStatus(task, folder, status);
+                recordChange(`Mark task "${task.title}" ${status}`, before);
+                saveData(currentUser.id, currentData, { type: 'task', id: taskId, boardId: board.id, folderId: folder.id });
+                if (nextTask) {
+                    saveData(currentUser.id, currentData, { type: 'task', id: nextTask.id, boardId: board.id, folderId: folder.id });
+                }
+                setTimeout(() => {
+                    renderDashboard();
+                    showNotification(nextTask
+                        ? `Task completed. Next occurrence due ${formatDateTime(nextTask.dueDate, nextTask.dueTime)}`
+                        : `Task status changed to ${status}`, 'success');
+                }, 10);
+                return;
+            }
+        }
+    }
+}
+
+// ========================================
+// TASK HISTORY
+// ========================================
+
+/**
+ * TASK ACTIVITY LOG
+ * Every task keeps an append-only list of what happened to it in task.history:
+ * { at, type, changes?, from?, to?, revision? }
+ *
+ * TYPES:
+ * - created / imported: Task was added (by hand or from a CSV file)
+ * - edited:   Fields changed in the edit dialog
+ * - status:   Status changed with the Pending/Active/Completed buttons
+ * - reverted: Fields set back to an earlier revision (revision = index of that entry)
+ * - moved:    Task moved to another folder; from/to are { boardName, folderName }
+ * - deleted / restored: Task went to the trash and came back
+ * - edits-reset: The owner reset editCount; keeps previousCount, reason and by (username)
+ * - repeated:   Task was created as the next occurrence of a repeating task (occurrence = its number)
+ * - recurrence: Repeat rule changed; from/to describe the old and new rule
+ * - checklist:  Subtask added, checked, unchecked or removed (action, subtask = its title)
+ * - dependency: Predecessor linked or unlinked (action, predecessor = its title)
+ * - tags:       Tags changed by the tag manager (action describes the merge or delete)
+ *
+ * `changes` lists every field that changed: [{ field, from, to }].
+ * Replaying those backwards from the current task gives the task as it was
+ * after any entry, which is what reverting uses.
+ */
+const TASK_HISTORY_FIELDS = {
+    title: 'Title',
+    priority: 'Priority',
+    startDate: 'Start date',
+    startTime: 'Start time',
+    dueDate: 'Due date',
+    dueTime: 'Due time',
+    description: 'Description',
+    status: 'Status',
+    tags: 'Tags'
+};
+
+// Task IDs whose history timeline is currently expanded
+let openTaskHistories = new Set();
+
+/**
+ * Appends an entry to a task's history
+ * @param {object} task - Task to record on
+ * @param {object} entry - Entry without its timestamp, e.g. { type: 'deleted' }
+ */
+function recordTaskHistory(task, entry) {
+    if (!task.history) task.history = [];
+    task.history.push({ at: new Date().toISOString(), ...entry });
+}
+
+/**
+ * Compares two values of a task field (lists such as tags are compared item by item)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are the same
+ */
+function sameTaskFieldValue(a, b) {
+    if (Array.isArray(a) || Array.isArray(b)) {
+        const [listA, listB] = [a || [], b || []];
+        return listA.length === listB.length && listA.every((item, index) => item === listB[index]);
+    }
+    return a === b;
+}
+
+/**
+ * Changes task fields and records what changed in the task's history
+ * @param {object} task - Task to change
+ * @param {object} fields - New values for any of the TASK_HISTORY_FIELDS
+ * @param {string} [type] - History entry type ('edited', 'status' or 'reverted')
+ * @param {object} [details] - Extra properties for the history entry
+ * @returns {object[]} The changes made: [{ field, from, to }] (empty if nothing changed)
+ */
+function applyTaskEdit(task, fields, type = 'edited', details = {}) {
+    const changes = Object.keys(TASK_HISTORY_FIELDS)
+        .filter(field => field in fields && !sameTaskFieldValue(fields[field], task[field]))
+        .map(field => ({ field, from: task[field], to: fields[field] }));
+
+    if (changes.length === 0) return changes;
+
+    changes.forEach(change => {
+        task[change.field] = change.to;
+    });
+    recordTaskHistory(task, { type, changes, ...details });
+    return changes;
+}
+
+/**
+ * Works out what a task looked like right after one of its history entries
+ * @param {object} task - Task with history
+ * @param {number} index - Index of the history entry
+ * @returns {object} Values of the TASK_HISTORY_FIELDS at that revision
+ */
+function getTaskRevision(task, index) {
+    const fields = {};
+    Object.keys(TASK_HISTORY_FIELDS).forEach(field => {
+        fields[field] = task[field];
+    });
+
+    // Undo every later change, newest first
+    const history = task.history || [];
+    for (let i = history.length - 1; i > index; i--) {
+        (history[i].changes || []).slice().reverse().forEach(change => {
+            fields[change.field] = change.from;
+        });
+    }
+    return fields;
+}
+
+/**
+ * Sets a task back to how it was after an earlier history entry
+ * @param {string} taskId - Task ID
+ * @param {number} index - Index of the history entry to go back to
+ *
+ * A revert is recorded as a new history entry (nothing is removed) and
+ * counts as an edit, so the board's edit policy applies to it. Status is
+ * left alone: it only changes through changeTaskStatus, which enforces
+ * dependencies and creates the next occurrence of recurring tasks.
+ */
+function revertTask(taskId, index) {
+    const location = findTaskLocation(taskId);
+    if (!location) return;
+    const { board, folder, task } = location;
+
+    const blockReason = getEditBlockReason(task, board);
+    if (blockReason) {
+        showNotification(blockReason, 'error');
+        return;
+    }
+
+    const revision = getTaskRevision(task, index);
+    const revisionStatus = revision.status;
+    delete revision.status;
+    // Tags deleted since then cannot come back
+    const tagIds = new Set(getTags().map(tag => tag.id));
+    revision.tags = (revision.tags || []).filter(tagId => tagIds.has(tagId));
+
+    // Status is set with the status buttons, every other field must be editable under the board's policy
+    const lockedField = Object.keys(EDITABLE_TASK_FIELDS).find(field => !sameTaskFieldValue(revision[field], task[field]) && !isFieldEditable(board, field));
+    if (lockedField) {
+        showNotification(`Cannot revert: ${TASK_HISTORY_FIELDS[lockedField].toLowerCase()} cannot be edited on this board`, 'error');
+        return;
+    }
+
+    const validationError = validateTaskFields(revision, folder, task.id);
+    if (validationError) {
+        showNotification(`Cannot revert: ${validationError}`, 'error');
+        return;
+    }
+
+    const before = captureBoardState(board.id);
+    const changes = applyTaskEdit(task, revision, 'reverted', { revision: index });
+    const statusNote = revisionStatus !== task.status
+        ? ` Status stays "${task.status}" - use the status buttons to change it.`
+        : '';
+    if (changes.length === 0) {
+        showNotification(`The task already matches that version.${statusNote}`, 'info');
+        return;
+    }
+    task.editCount++;
+    task.lastEdited = new Date().toISOString();
+    recordChange(`Revert task "${task.title}"`, before);
+
+    saveData(currentUser.id, currentData, { type: 'task', id: task.id, boardId: board.id, folderId: folder.id });
+    setTimeout(() => {
+        renderDashboard();
+        showNotification(`Task reverted (${changes.length} fields changed).${statusNote}`, 'success', 6000, { label: 'Undo', onClick: undoLastChange });
+    }, 10);
+}
+
+/**
+ * Shows or hides the history timeline of a task
+ * @param {string} taskId - Task ID
+ */
+function toggleTaskHistory(taskId) {
+    if (openTaskHistories.has(taskId)) {
+        openTaskHistories.delete(taskId);
+    } else {
+        openTaskHistories.add(taskId);
+    }
+    renderDashboard();
+}
+
+/**
+ * Formats a field value for the history timeline
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {string} Escaped HTML
+ */
+function formatHistoryValue(field, value) {
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+        return '<em>empty</em>';
+    }
+    if (field === 'tags') {
+        return value.map(tagId => {
+            const tag = getTags().find(t => t.id === tagId);
+            return tag ? escapeHtml(tag.name) : '<em>deleted tag</em>';
+        }).join(', ');
+    }
+    if (field === 'startDate' || field === 'dueDate') {
+        return escapeHtml(formatDate(`${value}T00:00`));
+    }
+    return escapeHtml(value);
+}
+
+/**
+ * Describes a history entry for the timeline
+ * @param {object} entry - History entry
+ * @returns {string} HTML description
+ */
+function describeHistoryEntry(entry) {
+    const changeList = (entry.changes || []).map(change => `
+        <li>${TASK_HISTORY_FIELDS[change.field]}: ${formatHistoryValue(change.field, change.from)}
+        &rarr; ${formatHistoryValue(change.field, change.to)}</li>
+    `).join('');
+    const place = location => location ? `${escapeHtml(location.boardName)} &rsaquo; ${escapeHtml(location.folderName)}` : '?';
+
+    switch (entry.type) {
+        case 'created':
+            return 'Created';
+        case 'imported':
+            return 'Imported from CSV';
+        case 'edited':
+            return `Edited<ul class="task-history-changes">${changeList}</ul>`;
+        case 'status':
+            return `Status changed<ul class="task-history-changes">${changeList}</ul>`;
+        case 'reverted':
+            return `Reverted to revision ${entry.revision + 1}<ul class="task-history-changes">${changeList}</ul>`;
+        case 'moved':
+            return `Moved from ${place(entry.from)} to ${place(entry.to)}`;
+        case 'dependency':
+            return `Dependency ${entry.action}: <em>${escapeHtml(entry.predecessor)}</em>`;
+        case 'checklist':
+            return `Subtask ${entry.action}: <em>${escapeHtml(entry.subtask)}</em>`;
+        case 'tags':
+            return `Tag ${escapeHtml(entry.action)}<ul class="task-history-changes">${changeList}</ul>`;
+        case 'repeated':
+            return `Created as occurrence ${entry.occurrence} of a repeating task`;
+        case 'recurrence':
+            return `Repeat changed from <em>${escapeHtml(entry.from)}</em> to <em>${escapeHtml(entry.to)}</em>`;
+        case 'deleted':
+            return 'Moved to trash';
+        case 'restored':
+            return 'Restored from trash';
+        case 'edits-reset':
+            return `Edit count reset from ${entry.previousCount} by ${escapeHtml(entry.by)}: <em>${escapeHtml(entry.reason)}</em>`;
+        default:
+            return escapeHtml(entry.type);
+    }
+}
+
+/**
+ * Renders a task's history as a timeline (newest first) with revert buttons
+ * @param {object} task - Task to render
+ * @param {object} board - Board containing the task (for its edit policy)
+ * @returns {string} HTML for the timeline
+ */
+function renderTaskHistory(task, board) {
+    const history = task.history || [];
+    if (history.length === 0) {
+        return '<div class="task-history"><small class="text-muted">No history recorded for this task</small></div>';
+    }
+
+    const items = history.map((entry, index) => `
+        <li class="task-history-entry history-${entry.type}">
+            <div class="d-flex justify-content-between align-items-start">
+                <div>
+                    <small class="text-muted">#${index + 1} &middot; ${escapeHtml(new Date(entry.at).toLocaleString('en-US'))}</small>
+                    <div>${describeHistoryEntry(entry)}</div>
+                </div>
+                ${index < history.length - 1 ? `
+                    <button class="btn btn-outline-secondary btn-sm" onclick="revertTask('${task.id}', ${index})" ${getEditBlockReason(task, board) ? 'disabled' : ''}>
+                        <i class="fas fa-history me-1"></i>Revert to this
+                    </button>` : ''}
+            </div>
+        </li>
+    `).reverse().join('');
+
+    return `<div class="task-history"><ul class="task-history-timeline">${items}</ul></div>`;
+}
+
+// ========================================
+// RECURRING TASKS
+// ========================================
+
+/**
+ * RECURRING TASKS
+ * A repeating task carries task.recurrence:
+ * { frequency, interval, weekdays, monthlyMode, endDate, count,
+ *   seriesId, occurrence, anchorDate, scheduledDate, template, nextTaskId }
+ * - frequency is 'daily', 'weekly' or 'monthly', repeated every `interval` days/weeks/months
+ * - weekdays (0 = Sunday) are the days of weekly repeats; empty means the weekday of anchorDate
+ * - monthlyMode is 'date' (same day of the month) or 'weekday' (e.g. 2nd Tuesday) for monthly repeats
+ * - endDate (last start date) and count (number of occurrences) are null when unused
+ * - seriesId links the occurrences; occurrence numbers them from 1, counting skipped ones
+ * - anchorDate is the start date the series is counted from, scheduledDate the start date
+ *   the rule gave this occurrence (so moving one occurrence does not move the series)
+ * - template holds what the next occurrence is created from:
+ *   { title, priority, description, startTime, dueTime, dueOffsetDays }
+ * - nextTaskId is set once the next occurrence exists
+ *
+ * Completing an occurrence (changeTaskStatus) creates the next one. An edit changes either
+ * only that occurrence, or also the template and the later open occurrences of the series.
+ */
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const RECURRENCE_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+const RECURRENCE_RULE_FIELDS = ['frequency', 'interval', 'weekdays', 'monthlyMode', 'endDate', 'count'];
+
+/**
+ * Adds days to a YYYY-MM-DD date
+ * @param {string} dateString - Date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} New date
+ */
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00`);
+    date.setDate(date.getDate() + days);
+    return toLocalDateString(date);
+}
+
+/**
+ * Counts the days between two YYYY-MM-DD dates
+ * @param {string} fromDate - First date
+ * @param {string} toDate - Second date
+ * @returns {number} Whole days from fromDate to toDate
+ */
+function daysBetween(fromDate, toDate) {
+    return Math.round((new Date(`${toDate}T00:00`) - new Date(`${fromDate}T00:00`)) / 86400000);
+}
+
+/**
+ * Reads the repeat rule from the add or edit task form
+ * @param {string} prefix - ID prefix of the form fields ('repeat' or 'editRepeat')
+ * @returns {object|null} Rule fields, or null if the task does not repeat
+ */
+function readRecurrenceForm(prefix) {
+    const frequency = document.getElementById(`${prefix}Frequency`).value;
+    if (!frequency) return null;
+
+    const end = document.getElementById(`${prefix}End`).value;
+    return {
+        frequency,
+        interval: parseInt(document.getElementById(`${prefix}Interval`).value, 10),
+        weekdays: frequency === 'weekly'
+            ? WEEKDAY_NAMES.map((_, day) => day).filter(day => document.getElementById(`${prefix}Weekday${day}`).checked)
+            : [],
+        monthlyMode: frequency === 'monthly' ? document.getElementById(`${prefix}MonthlyMode`).value : 'date',
+        endDate: end === 'date' ? document.getElementById(`${prefix}Until`).value : null,
+        count: end === 'count' ? parseInt(document.getElementById(`${prefix}Count`).value, 10) : null
+    };
+}
+
+/**
+ * Fills the repeat fields of a task form
+ * @param {string} prefix - ID prefix of the form fields
+ * @param {object} [recurrence] - Rule to show (clears the fields when omitted)
+ */
+function fillRecurrenceForm(prefix, recurrence = null) {
+    const rule = recurrence || { frequency: '', interval: 1, weekdays: [], monthlyMode: 'date', endDate: null, count: null };
+
+    document.getElementById(`${prefix}Frequency`).value = rule.frequency;
+    document.getElementById(`${prefix}Interval`).value = rule.interval;
+    WEEKDAY_NAMES.forEach((_, day) => {
+        document.getElementById(`${prefix}Weekday${day}`).checked = rule.weekdays.includes(day);
+    });
+    document.getElementById(`${prefix}MonthlyMode`).value = rule.monthlyMode;
+    document.getElementById(`${prefix}End`).value = rule.endDate ? 'date' : rule.count ? 'count' : 'never';
+    document.getElementById(`${prefix}Until`).value = rule.endDate || '';
+    document.getElementById(`${prefix}Count`).value = rule.count || 10;
+    updateRecurrenceForm(prefix);
+}
+
+/**
+ * Shows only the repeat fields that apply to the chosen frequency and end
+ * @param {string} prefix - ID prefix of the form fields
+ */
+function updateRecurrenceForm(prefix) {
+    const container = document.getElementById(`${prefix}Fields`);
+    const frequency = document.getElementById(`${prefix}Frequency`).value;
+    const end = document.getElementById(`${prefix}End`).value;
+
+    container.querySelectorAll('.recurrence-option').forEach(element => {
+        const visible = frequency && (!element.dataset.frequency || element.dataset.frequency === frequency);
+        element.style.display = visible ? '' : 'none';
+    });
+    container.querySelectorAll('.recurrence-end-option').forEach(element => {
+        element.style.display = element.dataset.end === end ? '' : 'none';
+    });
+    if (frequency) {
+        document.getElementById(`${prefix}IntervalUnit`).textContent = `${RECURRENCE_UNITS[frequency]}(s)`;
+    }
+}
+
+/**
+ * Checks a repeat rule before it is saved
+ * @param {object} rule - Rule fields from readRecurrenceForm
+ * @param {string} startDate - Start date of the task
+ * @returns {string|null} Error message, or null if the rule is valid
+ */
+function validateRecurrence(rule, startDate) {
+    if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+        return 'Repeat interval must be a whole number of at least 1';
+    }
+    if (rule.count !== null && (!Number.isInteger(rule.count) || rule.count < 1)) {
+        return 'Number of occurrences must be a whole number of at least 1';
+    }
+    if (rule.endDate !== null && (!rule.endDate || rule.endDate < startDate)) {
+        return 'Repeat end date cannot be before the start date';
+    }
+    return null;
+}
+
+/**
+ * Checks whether two repeat rules are the same
+ * @param {object} a - Rule or recurrence
+ * @param {object} b - Rule or recurrence
+ * @returns {boolean} True if every rule field matches
+ */
+function sameRecurrenceRule(a, b) {
+    if (!a || !b) return !a && !b;
+    return RECURRENCE_RULE_FIELDS.every(field => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+}
+
+/**
+ * Takes the fields the next occurrences are created from
+ * @param {object} task - Occurrence
+ * @returns {object} Template for task.recurrence.template
+ */
+function recurrenceTemplate(task) {
+    return {
+        title: task.title,
+        priority: task.priority,
+        description: task.description,
+        startTime: task.startTime,
+        dueTime: task.dueTime,
+        dueOffsetDays: daysBetween(task.startDate, task.dueDate)
+    };
+}
+
+/**
+ * Starts a new series for a task
+ * @param {object} rule - Rule fields from readRecurrenceForm
+ * @param {object} task - First occurrence
+ * @returns {object} Recurrence for task.recurrence
+ */
+function createRecurrence(rule, task) {
+    return {
+        ...rule,
+        seriesId: generateId(),
+        occurrence: 1,
+        anchorDate: task.startDate,
+        scheduledDate: task.startDate,
+        template: recurrenceTemplate(task),
+        nextTaskId: null
+    };
+}
+
+/**
+ * Works out the start date of the occurrence after a given one
+ * @param {object} recurrence - Recurrence of the series
+ * @param {string} fromDate - Scheduled start date of the current occurrence
+ * @returns {string} Start date of the next occurrence (YYYY-MM-DD)
+ */
+function getNextOccurrenceDate(recurrence, fromDate) {
+    const from = new Date(`${fromDate}T00:00`);
+    const anchor = new Date(`${recurrence.anchorDate}T00:00`);
+    const interval = recurrence.interval || 1;
+
+    if (recurrence.frequency === 'daily') {
+        return addDays(fromDate, interval);
+    }
+
+    if (recurrence.frequency === 'weekly') {
+        const weekdays = recurrence.weekdays.length > 0 ? recurrence.weekdays : [anchor.getDay()];
+        const anchorWeek = addDays(recurrence.anchorDate, -anchor.getDay());
+        // Every weekday in the weeks counted from the anchor week that are a multiple of the interval apart
+        for (let offset = 1; offset <= 7 * (interval + 1); offset++) {
+            const candidate = addDays(fromDate, offset);
+            const day = new Date(`${candidate}T00:00`).getDay();
+            const weeks = daysBetween(anchorWeek, addDays(candidate, -day)) / 7;
+            if (weekdays.includes(day) && weeks % interval === 0) {
+                return candidate;
+            }
+        }
+        // Only reached when no weekday can match (e.g. weekdays edited outside the app)
+        return addDays(fromDate, 7 * interval);
+    }
+
+    // Monthly: same date (clamped to short months) or same nth weekday, `interval` months later
+    const target = new Date(from.getFullYear(), from.getMonth() + interval, 1);
+    const daysInMonth = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    if (recurrence.monthlyMode === 'weekday') {
+        const nth = Math.ceil(anchor.getDate() / 7);
+        let day = 1 + (anchor.getDay() - target.getDay() + 7) % 7 + (nth - 1) * 7;
+        // A 5th weekday the month does not have becomes the last one
+        if (day > daysInMonth) day -= 7;
+        target.setDate(day);
+    } else {
+        target.setDate(Math.min(anchor.getDate(), daysInMonth));
+    }
+    return toLocalDateString(target);
+}
+
+/**
+ * Describes a repeat rule for task cards
+ * @param {object} recurrence - Recurrence
+ * @returns {string} E.g. "Every 2 weeks on Mon, Wed, 3 of 10"
+ */
+function describeRecurrence(recurrence) {
+    const unit = RECURRENCE_UNITS[recurrence.frequency];
+    const anchor = new Date(`${recurrence.anchorDate}T00:00`);
+    let text = recurrence.interval === 1
+        ? { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' }[recurrence.frequency]
+        : `Every ${recurrence.interval} ${unit}s`;
+
+    if (recurrence.frequency === 'weekly') {
+        const weekdays = recurrence.weekdays.length > 0 ? recurrence.weekdays : [anchor.getDay()];
+        text += ` on ${weekdays.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+    } else if (recurrence.frequency === 'monthly') {
+        const nth = Math.ceil(anchor.getDate() / 7);
+        text += recurrence.monthlyMode === 'weekday'
+            ? ` on the ${nth > 4 ? 'last' : ['1st', '2nd', '3rd', '4th'][nth - 1]} ${WEEKDAY_NAMES[anchor.getDay()]}`
+            : ` on day ${anchor.getDate()}`;
+    }
+
+    if (recurrence.count) {
+        text += ` (${recurrence.occurrence} of ${recurrence.count})`;
+    } else if (recurrence.endDate) {
+        text += ` until ${formatDate(`${recurrence.endDate}T00:00`)}`;
+    }
+    return text;
+}
+
+/**
+ * Creates the next occurrence of a completed repeating task in the same folder.
+ * Occurrences that would already be overdue (e.g. a daily task completed a week late) are skipped.
+ * @param {object} task - Completed occurrence
+ * @param {object} folder - Folder containing it
+ * @returns {object|null} New occurrence, or null if the series has ended or it already exists
+ */
+function createNextOccurrence(task, folder) {
+    const recurrence = task.recurrence;
+    if (!recurrence || recurrence.nextTaskId) return null;
+
+    const { template } = recurrence;
+    const now = new Date();
+    let occurrence = recurrence.occurrence;
+    let startDate = recurrence.scheduledDate;
+    do {
+        startDate = getNextOccurrenceDate(recurrence, startDate);
+        occurrence++;
+        if ((recurrence.count && occurrence > recurrence.count) || (recurrence.endDate && startDate > recurrence.endDate)) {
+            return null;
+        }
+    } while (new Date(`${addDays(startDate, template.dueOffsetDays)}T${template.dueTime}`) < now);
+
+    // Occurrences share their title, so the duplicate title check of addTask does not apply here
+    const nextTask = {
+        id: generateId(),
+        title: template.title,
+        priority: template.priority,
+        startDate,
+        startTime: template.startTime,
+        dueDate: addDays(startDate, template.dueOffsetDays),
+        dueTime: template.dueTime,
+        description: template.description,
+        status: 'pending',
+        createdAt: now.toISOString(),
+        editCount: 0,
+        lastEdited: null,
+        history: [],
+        // The checklist starts over, with subtask due dates moved along with the task
+        subtasks: (task.subtasks || []).map(subtask => ({
+            ...subtask,
+            id: generateId(),
+            done: false,
+            dueDate: subtask.dueDate ? addDays(subtask.dueDate, daysBetween(recurrence.scheduledDate, startDate)) : null,
+            createdAt: now.toISOString(),
+            completedAt: null
+        })),
+        autoComplete: task.autoComplete,
+        tags: [...(task.tags || [])],
+        recurrence: {
+            ...recurrence,
+            weekdays: [...recurrence.weekdays],
+            occurrence,
+            scheduledDate: startDate,
+            template: { ...template },
+            nextTaskId: null
+        }
+    };
+    recordTaskHistory(nextTask, { type: 'repeated', occurrence });
+
+    recurrence.nextTaskId = nextTask.id;
+    folder.tasks.push(nextTask);
+    return nextTask;
+}
+
+/**
+ * Applies the repeat part of an edit to an occurrence
+ * @param {object} task - Edited occurrence (its fields are already updated)
+ * @param {object|null} rule - Rule from the edit form, null to stop repeating
+ * @param {string} scope - 'this' for this occurrence only, 'future' for the rest of the series too
+ * @param {object} board - Board containing the task (later occurrences are looked up here)
+ * @returns {object[]} Later occurrences that were changed too, as { folder, task }
+ */
+function updateTaskRecurrence(task, rule, scope, board) {
+    const previous = task.recurrence;
+
+    if (!sameRecurrenceRule(previous, rule)) {
+        recordTaskHistory(task, {
+            type: 'recurrence',
+            from: previous ? describeRecurrence(previous) : 'Does not repeat',
+            to: rule ? describeRecurrence({ ...(previous || createRecurrence(rule, task)), ...rule }) : 'Does not repeat'
+        });
+    }
+
+    if (!rule) {
+        delete task.recurrence;
+        return [];
+    }
+    if (!previous) {
+        task.recurrence = createRecurrence(rule, task);
+        return [];
+    }
+
+    Object.assign(previous, rule);
+    if (scope !== 'future') return [];
+
+    // The series continues from this occurrence as it is now
+    previous.template = recurrenceTemplate(task);
+    previous.anchorDate = previous.scheduledDate = task.startDate;
+
+    // Later occurrences that are still open take over the same rule and fields
+    const later = (board.folders || []).flatMap(folder => (folder.tasks || []).map(other => ({ folder, task: other })))
+        .filter(({ task: other }) => other !== task && other.status !== 'completed' && other.recurrence &&
+            other.recurrence.seriesId === previous.seriesId && other.recurrence.occurrence > previous.occurrence);
+    later.forEach(({ task: other }) => {
+        const { dueOffsetDays, ...fields } = previous.template;
+        applyTaskEdit(other, { ...fields, dueDate: addDays(other.startDate, dueOffsetDays) });
+        Object.assign(other.recurrence, rule, { template: { ...previous.template }, anchorDate: previous.anchorDate });
+    });
+    return later;
+}
+
+// ========================================
+// SUBTASKS AND CHECKLISTS
+// ========================================
+
+/**
+ * SUBTASKS AND CHECKLISTS
+ * A task can carry a checklist in task.subtasks:
+ * [{ id, title, done, dueDate, createdAt, completedAt }]
+ * where dueDate (YYYY-MM-DD) and completedAt are null when not set.
+ *
+ * With task.autoComplete set, checking the last open subtask completes the task
+ * the same way the Completed button does. Checklist changes are not counted as edits.
+ */
+
+/**
+ * Counts the finished subtasks of a task
+ * @param {object} task - Task
+ * @returns {object} { done, total, percent }
+ */
+function getSubtaskProgress(task) {
+    const subtasks = task.subtasks || [];
+    const done = subtasks.filter(subtask => subtask.done).length;
+    return { done, total: subtasks.length, percent: subtasks.length ? Math.round(done / subtasks.length * 100) : 0 };
+}
+
+/**
+ * Runs a checklist change on a task and saves it
+ * @param {string} taskId - Task ID
+ * @param {string} label - Description for undo
+ * @param {Function} change - Receives (task, folder); returns false to cancel
+ */
+function changeChecklist(taskId, label, change) {
+    const location = findTaskLocation(taskId);
+    if (!location) return;
+    const { board, folder, task } = location;
+
+    const before = captureBoardState(board.id);
+    if (change(task, folder) === false) return;
+
+    // Checking the last open subtask can complete the whole task, unless it is still waiting for predecessors
+    let nextTask = null;
+    let completed = false;
+    let blockers = [];
+    const progress = getSubtaskProgress(task);
+    if (task.autoComplete && progress.total > 0 && progress.done === progress.total && task.status !== 'completed') {
+        blockers = getIncompletePredecessors(task);
+        if (blockers.length === 0) {
+            nextTask = applyTaskStatus(task, folder, 'completed');
+            completed = true;
+        }
+    }
+    recordChange(label, before);
+
+    saveData(currentUser.id, currentData, { type: 'task', id: task.id, boardId: board.id, folderId: folder.id });
+    if (nextTask) {
+        saveData(currentUser.id, currentData, { type: 'task', id: nextTask.id, boardId: board.id, folderId: folder.id });
+    }
+    setTimeout(() => {
+        renderDashboard();
+        if (completed) {
+            showNotification(`All subtasks done - "${task.title}" completed`, 'success', 5000, { label: 'Undo', onClick: undoLastChange });
+        } else if (blockers.length > 0) {
+            showNotification(`All subtasks done, but "${task.title}" stays open until ${blockers.map(blocker => `"${blocker.title}"`).join(', ')} ${blockers.length === 1 ? 'is' : 'are'} completed`, 'warning', 6000);
+        }
+    }, 10);
+}
+
+/**
+ * Adds a subtask from the checklist form under a task
+ * @param {string} taskId - Task ID
+ * @param {HTMLFormElement} form - Form with `title` and `dueDate` inputs
+ */
+function addSubtask(taskId, form) {
+    const title = form.elements.title.value.trim();
+    const dueDate = form.elements.dueDate.value || null;
+    if (!title) {
+        showNotification('Please enter a subtask', 'error');
+        return;
+    }
+
+    changeChecklist(taskId, `Add subtask "${title}"`, task => {
+        if (!task.subtasks) task.subtasks = [];
+        task.subtasks.push({ id: generateId(), title, done: false, dueDate, createdAt: new Date().toISOString(), completedAt: null });
+        recordTaskHistory(task, { type: 'checklist', action: 'added', subtask: title });
+    });
+
+    // Keep typing into the same checklist
+    pendingFocusSelector = `#subtask-input-${taskId}`;
+}
+
+/**
+ * Checks or unchecks a subtask
+ * @param {string} taskId - Task ID
+ * @param {string} subtaskId - Subtask ID
+ */
+function toggleSubtask(taskId, subtaskId) {
+    const location = findTaskLocation(taskId);
+    const subtask = location && (location.task.subtasks || []).find(s => s.id === subtaskId);
+    if (!subtask) return;
+
+    changeChecklist(taskId, `${subtask.done ? 'Uncheck' : 'Check'} subtask "${subtask.title}"`, task => {
+        subtask.done = !subtask.done;
+        subtask.completedAt = subtask.done ? new Date().toISOString() : null;
+        recordTaskHistory(task, { type: 'checklist', action: subtask.done ? 'checked' : 'unchecked', subtask: subtask.title });
+    });
+}
+
+/**
+ * Removes a subtask from a checklist
+ * @param {string} taskId - Task ID
+ * @param {string} subtaskId - Subtask ID
+ */
+function deleteSubtask(taskId, subtaskId) {
+    const location = findTaskLocation(taskId);
+    const subtask = location && (location.task.subtasks || []).find(s => s.id === subtaskId);
+    if (!subtask) return;
+
+    changeChecklist(taskId, `Remove subtask "${subtask.title}"`, task => {
+        task.subtasks = task.subtasks.filter(s => s.id !== subtaskId);
+        recordTaskHistory(task, { type: 'checklist', action: 'removed', subtask: subtask.title });
+    });
+}
+
+/**
+ * Turns completing the task together with its last subtask on or off
+ * @param {string} taskId - Task ID
+ * @param {boolean} enabled - Whether to complete the task automatically
+ */
+function setSubtaskAutoComplete(taskId, enabled) {
+    changeChecklist(taskId, `${enabled ? 'Enable' : 'Disable'} auto-complete`, task => {
+        task.autoComplete = enabled;
+    });
+}
+
+/**
+ * Renders the checklist of a task card
+ * @param {object} task - Task
+ * @param {string} searchTerm - Search term for highlighting
+ * @returns {string} HTML for the checklist
+ */
+function renderSubtasks(task, searchTerm = '') {
+    const subtasks = task.subtasks || [];
+    const progress = getSubtaskProgress(task);
+    const today = toLocalDateString(new Date());
+
+    return `
+        <div class="task-checklist">
+            ${subtasks.length > 0 ? `
+                <div class="d-flex align-items-center mb-2">
+                    <small class="text-muted me-2"><i class="fas fa-tasks me-1"></i>${progress.done}/${progress.total}</small>
+                    <div class="progress flex-grow-1" role="progressbar" aria-label="Checklist progress"
+                        aria-valuenow="${progress.percent}" aria-valuemin="0" aria-valuemax="100">
+                        <div class="progress-bar ${progress.done === progress.total ? 'bg-success' : ''}" style="width: ${progress.percent}%"></div>
+                    </div>
+                </div>
+                <ul class="subtask-list">
+                    ${subtasks.map(subtask => `
+                        <li class="subtask-item ${subtask.done ? 'done' : ''}">
+                            <input class="form-check-input" type="checkbox" id="subtask-${subtask.id}" ${subtask.done ? 'checked' : ''}
+                                onchange="toggleSubtask('${task.id}', '${subtask.id}')">
+                            <label class="form-check-label" for="subtask-${subtask.id}">${highlightSearchTerm(subtask.title, searchTerm)}</label>
+                            ${subtask.dueDate ? `
+                                <span class="subtask-due ${!subtask.done && subtask.dueDate < today ? 'overdue' : ''}">
+                                    <i class="fas fa-calendar me-1"></i>${formatDate(`${subtask.dueDate}T00:00`)}
+                                </span>` : ''}
+                            <button class="btn btn-link btn-sm text-danger p-0 ms-auto" onclick="deleteSubtask('${task.id}', '${subtask.id}')" aria-label="Remove subtask">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+                <div class="form-check form-switch mb-2">
+                    <input class="form-check-input" type="checkbox" id="subtask-auto-${task.id}" ${task.autoComplete ? 'checked' : ''}
+                        onchange="setSubtaskAutoComplete('${task.id}', this.checked)">
+                    <label class="form-check-label small" for="subtask-auto-${task.id}">Complete the task when all subtasks are done</label>
+                </div>
+            ` : ''}
+            <form class="subtask-form" onsubmit="event.preventDefault(); addSubtask('${task.id}', this)">
+                <input type="text" class="form-control form-control-sm" name="title" id="subtask-input-${task.id}" placeholder="Add a subtask..." aria-label="New subtask">
+                <input type="date" class="form-control form-control-sm" name="dueDate" aria-label="Subtask due date (optional)" title="Due date (optional)">
+                <button type="submit" class="btn btn-outline-primary btn-sm" aria-label="Add subtask"><i class="fas fa-plus"></i></button>
+            </form>
+        </div>
+    `;
+}
+
+// ========================================
+// TASK DEPENDENCIES
+// ========================================
+
+/**
+ * TASK DEPENDENCIES
+ * task.dependsOn lists the IDs of the tasks (in any folder or board) that must be
+ * completed before the task can be started. Links to tasks that no longer exist
+ * (e.g. in the trash) are ignored.
+ *
+ * - A task with incomplete predecessors cannot be set to active or completed
+ *   (changeTaskStatus, and checklist auto-complete leaves it open)
+ * - Links that would make a task depend on itself, directly or through others, are rejected
+ * - A task due before one of its predecessors is flagged on its card and when it is saved
+ */
+
+// Task whose dependencies are open in the dependencies modal
+let dependencyTaskId = null;
+
+/**
+ * Looks up the predecessors of a task that still exist
+ * @param {object} task - Task
+ * @returns {object[]} Locations ({ board, folder, task }) of the predecessors
+ */
+function getPredecessors(task) {
+    return (task.dependsOn || []).map(findTaskLocation).filter(Boolean);
+}
+
+/**
+ * Looks up the tasks that depend on a task
+ * @param {object} task - Task
+ * @returns {object[]} Tasks that list this task as a predecessor
+ */
+function getSuccessors(task) {
+    return getAllBoards().flatMap(board => (board.folders || []).flatMap(folder => folder.tasks || []))
+        .filter(other => (other.dependsOn || []).includes(task.id));
+}
+
+/**
+ * Lists the predecessors that are not completed yet
+ * @param {object} task - Task
+ * @returns {object[]} Predecessor tasks that block this task
+ */
+function getIncompletePredecessors(task) {
+    return getPredecessors(task).map(location => location.task).filter(predecessor => predecessor.status !== 'completed');
+}
+
+/**
+ * Checks whether a task depends on another one, directly or through other tasks
+ * @param {string} taskId - Task to start from
+ * @param {string} targetId - Task to look for among its predecessors
+ * @returns {boolean} True if targetId is reachable through dependsOn links
+ */
+function dependsOnTransitively(taskId, targetId) {
+    const visited = new Set();
+    const pending = [taskId];
+    while (pending.length > 0) {
+        const id = pending.pop();
+        if (id === targetId) return true;
+        if (visited.has(id)) continue;
+        visited.add(id);
+
+        const location = findTaskLocation(id);
+        if (location) pending.push(...(location.task.dependsOn || []));
+    }
+    return false;
+}
+
+/**
+ * Finds due dates that contradict the dependencies of a task, in both directions
+ * @param {object} task - Task
+ * @returns {object[]} { successor, predecessor } pairs where the successor is due first
+ */
+function getDependencyConflicts(task) {
+    const due = t => new Date(`${t.dueDate}T${t.dueTime}`);
+    return [
+        ...getPredecessors(task)
+            .filter(location => due(task) < due(location.task))
+            .map(location => ({ successor: task, predecessor: location.task })),
+        ...getSuccessors(task)
+            .filter(successor => due(successor) < due(task))
+            .map(successor => ({ successor, predecessor: task }))
+    ];
+}
+
+/**
+ * Describes a due date conflict for notifications and task cards
+ * @param {object} conflict - Pair from getDependencyConflicts
+ * @returns {string} Warning text (plain text)
+ */
+function describeDependencyConflict({ successor, predecessor }) {
+    return `"${successor.title}" is due before its predecessor "${predecessor.title}"`;
+}
+
+/**
+ * Makes a task depend on another task
+ * @param {string} taskId - Task that has to wait
+ * @param {string} predecessorId - Task that has to be completed first
+ */
+function addDependency(taskId, predecessorId) {
+    const location = findTaskLocation(taskId);
+    const predecessor = findTaskLocation(predecessorId);
+    if (!location || !predecessor) {
+        showNotification('Please select a task', 'error');
+        return;
+    }
+
+    const { board, folder, task } = location;
+    if ((task.dependsOn || []).includes(predecessorId)) {
+        showNotification('This dependency already exists', 'error');
+        return;
+    }
+    // The new link closes a loop if the predecessor already waits for this task
+    if (dependsOnTransitively(predecessorId, taskId)) {
+        showNotification(`"${predecessor.task.title}" already depends on this task - that would be a circular dependency`, 'error');
+        return;
+    }
+
+    const before = captureBoardState(board.id);
+    task.dependsOn = [...(task.dependsOn || []), predecessorId];
+    recordTaskHistory(task, { type: 'dependency', action: 'added', predecessor: predecessor.task.title });
+    recordChange(`Make "${task.title}" depend on "${predecessor.task.title}"`, before);
+
+    saveData(currentUser.id, currentData, { type: 'task', id: task.id, boardId: board.id, folderId: folder.id });
+    setTimeout(() => {
+        renderDashboard();
+        renderDependencyModal();
+
+        const conflicts = getDependencyConflicts(task);
+        showNotification(conflicts.length ? `Dependency added. Warning: ${describeDependencyConflict(conflicts[0])}` : 'Dependency added',
+            conflicts.length ? 'warning' : 'success', conflicts.length ? 6000 : 3000);
+    }, 10);
+}
+
+/**
+ * Removes a dependency link
+ * @param {string} taskId - Task that waits
+ * @param {string} predecessorId - Predecessor to unlink
+ */
+function removeDependency(taskId, predecessorId) {
+    const location = findTaskLocation(taskId);
+    if (!location) return;
+    const { board, folder, task } = location;
+
+    const predecessor = findTaskLocation(predecessorId);
+    const before = captureBoardState(board.id);
+    task.dependsOn = (task.dependsOn || []).filter(id => id !== predecessorId);
+    recordTaskHistory(task, { type: 'dependency', action: 'removed', predecessor: predecessor ? predecessor.task.title : 'deleted task' });
+    recordChange(`Remove a dependency of "${task.title}"`, before);
+
+    saveData(currentUser.id, currentData, { type: 'task', id: task.id, boardId: board.id, folderId: folder.id });
+    setTimeout(() => {
+        renderDashboard();
+        renderDependencyModal();
+        showNotification('Dependency removed', 'success');
+    }, 10);
+}
+
+/**
+ * Opens the dependencies modal for a task
+ * @param {string} taskId - Task ID
+ */
+function showDependencies(taskId) {
+    if (!findTaskLocation(taskId)) return;
+    dependencyTaskId = taskId;
+    renderDependencyModal();
+    dependencyModal.show();
+}
+
+/**
+ * Fills the dependencies modal: current predecessors and the tasks that can be added
+ */
+function renderDependencyModal() {
+    const location = dependencyTaskId && findTaskLocation(dependencyTaskId);
+    if (!location) return;
+    const { task } = location;
+
+    document.getElementById('dependencyTaskTitle').textContent = task.title;
+
+    const predecessors = getPredecessors(task);
+    document.getElementById('dependencyList').innerHTML = predecessors.length === 0
+        ? '<li class="list-group-item text-muted">This task does not depend on other tasks</li>'
+        : predecessors.map(({ board, folder, task: predecessor }) => `
+            <li class="list-group-item d-flex justify-content-between align-items-center">
+                <div>
+                    <strong>${escapeHtml(predecessor.title)}</strong>
+                    <span class="badge status-${predecessor.status} ms-1">${predecessor.status}</span><br>
+                    <small class="text-muted">${escapeHtml(board.name)} &rsaquo; ${escapeHtml(folder.name)} &middot;
+                        Due ${formatDateTime(predecessor.dueDate, predecessor.dueTime)}</small>
+                </div>
+                <button class="btn btn-outline-danger btn-sm" onclick="removeDependency('${task.id}', '${predecessor.id}')" aria-label="Remove dependency">
+                    <i class="fas fa-unlink"></i>
+                </button>
+            </li>
+        `).join('');
+
+    // Every other task that is not linked yet, grouped by board and folder
+    const linked = new Set([task.id, ...(task.dependsOn || [])]);
+    document.getElementById('dependencySelect').innerHTML = '<option value="">Select a task...</option>' +
+        getAllBoards().flatMap(board => (board.folders || []).map(folder => {
+            const options = (folder.tasks || []).filter(other => !linked.has(other.id));
+            return options.length === 0 ? '' : `
+                <optgroup label="${escapeHtml(getBoardPathName(board.id))} › ${escapeHtml(folder.name)}">
+                    ${options.map(other => `<option value="${other.id}">${escapeHtml(other.title)} (${other.status})</option>`).join('')}
+                </optgroup>
+            `;
+        })).join('');
+}
+
+/**
+ * Renders the dependency notes of a task card (blocked, date conflicts)
+ * @param {object} task - Task
+ * @returns {string} HTML, empty when the task has no dependencies
+ */
+function renderDependencySummary(task) {
+    const predecessors = getPredecessors(task);
+    if (predecessors.length === 0) return '';
+
+    const blockers = getIncompletePredecessors(task);
+    const conflicts = getDependencyConflicts(task).filter(conflict => conflict.successor === task);
+    return `
+        <div class="task-dependencies">
+            ${blockers.length > 0
+                ? `<div class="dependency-blocked"><i class="fas fa-lock me-1"></i>Waiting for: ${blockers.map(blocker => escapeHtml(blocker.title)).join(', ')}</div>`
+                : `<div class="dependency-ready"><i class="fas fa-lock-open me-1"></i>All ${predecessors.length} predecessors completed</div>`}
+            ${conflicts.map(conflict => `<div class="dependency-conflict"><i class="fas fa-exclamation-triangle me-1"></i>${escapeHtml(describeDependencyConflict(conflict))}</div>`).join('')}
+        </div>
+    `;
+}
+
+// ========================================
+// TASK TAGS
+// ========================================
+
+/**
+ * TASK TAGS
+ * Tags are free-form, colored labels shared by all boards of a workspace:
+ * currentData.tags = [{ id, name, color }], and task.tags lists the IDs of a task's
+ * tags (a missing list means no tags). Tag entries are replaced rather than changed
+ * in place, so the undo history can keep them by reference (see captureBoardState).
+ *
+ * The add and edit task dialogs have a tag picker; a name that does not exist yet
+ * becomes a new tag when the task is saved. The tag manager renames, recolors, merges
+ * and deletes tags in every board. Merging and deleting change the tasks' tags, which
+ * is recorded in their history and can be undone.
+ */
+const TAG_COLORS = ['#4f46e5', '#0891b2', '#059669', '#ca8a04', '#ea580c', '#dc2626', '#db2777', '#7c3aed', '#64748b'];
+
+const TAG_NAME_MAX_LENGTH = 30;
+
+// Inputs of the tag pickers in the add and edit task dialogs
+const TAG_PICKERS = {
+    add: { chips: 'taskTags', input: 'taskTagInput' },
+    edit: { chips: 'editTaskTags', input: 'editTaskTagInput' }
+};
+
+// Tag names chosen in each picker, saved with the task
+let tagPickerSelection = { add: [], edit: [] };
+
+/**
+ * Returns the tags of the current workspace
+ * @returns {object[]} Tags in the order they were created
+ */
+function getTags() {
+    return currentData.tags || [];
+}
+
+/**
+ * Finds a tag by its name, ignoring case
+ * @param {string} name - Tag name
+ * @returns {object|undefined} The tag
+ */
+function findTagByName(name) {
+    const key = name.trim().toLowerCase();
+    return getTags().find(tag => tag.name.toLowerCase() === key);
+}
+
+/**
+ * Returns the tags of a task (IDs of deleted tags are skipped)
+ * @param {object} task - Task
+ * @returns {object[]} Tags
+ */
+function getTaskTags(task) {
+    return (task.tags || []).map(tagId => getTags().find(tag => tag.id === tagId)).filter(Boolean);
+}
+
+/**
+ * Returns the color of a tag, falling back to the first color for anything that is not a hex color
+ * @param {object} tag - Tag
+ * @returns {string} CSS color
+ */
+function getTagColor(tag) {
+    return /^#[0-9a-f]{6}$/i.test(tag.color) ? tag.color : TAG_COLORS[0];
+}
+
+/**
+ * Checks a tag name
+ * @param {string} name - Trimmed tag name
+ * @param {string} [tagId] - Tag being renamed (its own name is not a clash)
+ * @returns {string|null} Error message, or null when the name is fine
+ */
+function validateTagName(name, tagId = null) {
+    if (!name) return 'Please enter a tag name';
+    if (/[,"]/.test(name)) return 'Tag names cannot contain commas or quotes';
+    if (name.length > TAG_NAME_MAX_LENGTH) return `Tag names can be at most ${TAG_NAME_MAX_LENGTH} characters`;
+
+    const existing = findTagByName(name);
+    if (existing && existing.id !== tagId) return `A tag named "${existing.name}" already exists`;
+    return null;
+}
+
+/**
+ * Turns tag names into tag IDs, creating the tags that do not exist yet
+ * @param {string[]} names - Tag names from a tag picker
+ * @returns {object} { ids, created } - created is the number of new tags
+ */
+function resolveTagNames(names) {
+    let created = 0;
+    const ids = names.map(name => {
+        const existing = findTagByName(name);
+        if (existing) return existing.id;
+
+        const tag = { id: generateId(), name, color: TAG_COLORS[getTags().length % TAG_COLORS.length] };
+        currentData.tags = [...getTags(), tag];
+        created++;
+        return tag.id;
+    });
+    return { ids, created };
+}
+
+/**
+ * Counts the tasks that carry a tag
+ * @param {string} tagId - Tag ID
+ * @returns {number} Number of tasks in all boards
+ */
+function countTagUsage(tagId) {
+    return getAllBoards().reduce((sum, board) => sum + (board.folders || []).reduce((folderSum, folder) =>
+        folderSum + (folder.tasks || []).filter(task => (task.tags || []).includes(tagId)).length, 0), 0);
+}
+
+/**
+ * Renders a tag chip
+ * @param {object} tag - Tag
+ * @param {string} [content] - HTML inside the chip (the escaped name when omitted)
+ * @param {string} [attributes] - Extra HTML attributes
+ * @returns {string} HTML for the chip
+ */
+function renderTagChip(tag, content = escapeHtml(tag.name), attributes = '') {
+    return `<span class="task-tag" style="--tag-color: ${getTagColor(tag)}" ${attributes}>${content}</span>`;
+}
+
+/**
+ * Renders the tag chips of a task card; a chip searches for its tag
+ * @param {object} task - Task
+ * @param {string} [searchTerm] - Search term for highlighting
+ * @returns {string} HTML for the chips, empty when the task has no tags
+ */
+function renderTaskTags(task, searchTerm = '') {
+    const tags = getTaskTags(task);
+    if (tags.length === 0) return '';
+
+    return `
+        <div class="task-tags">
+            ${tags.map(tag => renderTagChip(tag, `<i class="fas fa-tag me-1"></i>${highlightSearchTerm(tag.name, searchTerm)}`,
+                `role="button" tabindex="0" title="Show tasks tagged ${escapeHtml(tag.name)}" onclick="searchByTag('${tag.id}')" onkeydown="if (event.key === 'Enter') searchByTag('${tag.id}')"`)).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Searches for every task with a tag
+ * @param {string} tagId - Tag ID
+ */
+function searchByTag(tagId) {
+    const tag = getTags().find(t => t.id === tagId);
+    if (!tag) return;
+
+    searchInput.value = `tag:"${tag.name}"`;
+    searchType.value = 'all';
+    previousSearchTerm = searchInput.value;
+    searchResultLimit = SEARCH_RESULTS_PAGE;
+    updateClearSearchButton();
+    renderDashboard();
+}
+
+/**
+ * Fills a tag picker
+ * @param {string} picker - 'add' or 'edit' (see TAG_PICKERS)
+ * @param {string[]} names - Tag names to show as chosen
+ */
+function setTagPicker(picker, names) {
+    tagPickerSelection[picker] = [...names];
+    document.getElementById(TAG_PICKERS[picker].input).value = '';
+    renderTagPicker(picker);
+}
+
+/**
+ * Renders the chosen tags of a tag picker and the suggestions for its input
+ * @param {string} picker - 'add' or 'edit'
+ */
+function renderTagPicker(picker) {
+    const input = document.getElementById(TAG_PICKERS[picker].input);
+    const names = tagPickerSelection[picker];
+
+    document.getElementById(TAG_PICKERS[picker].chips).innerHTML = names.map((name, index) => {
+        const tag = findTagByName(name) || { name, color: TAG_COLORS[(getTags().length + index) % TAG_COLORS.length] };
+        return renderTagChip(tag, `${escapeHtml(name)}${tag.id ? '' : ' <small>(new)</small>'}${input.disabled ? '' : `
+            <button type="button" class="task-tag-remove" onclick="removePickerTag('${picker}', ${index})" aria-label="Remove tag ${escapeHtml(name)}">
+                <i class="fas fa-times"></i>
+            </button>`}`);
+    }).join('');
+
+    document.getElementById('tagSuggestions').innerHTML = getTags()
+        .filter(tag => !names.some(name => name.toLowerCase() === tag.name.toLowerCase()))
+        .map(tag => `<option value="${escapeHtml(tag.name)}"></option>`).join('');
+}
+
+/**
+ * Adds the tags typed into a tag picker (several can be separated by commas)
+ * @param {string} picker - 'add' or 'edit'
+ * @returns {boolean} False if a typed name was rejected
+ */
+function addPickerTags(picker) {
+    const input = document.getElementById(TAG_PICKERS[picker].input);
+    const names = input.value.split(',').map(name => name.trim().replace(/\s+/g, ' ')).filter(Boolean);
+    input.value = '';
+
+    for (const name of names) {
+        const error = validateTagName(name);
+        const existing = findTagByName(name);
+        if (error && !existing) {
+            showNotification(error, 'error');
+            return false;
+        }
+        // Existing tags keep their own spelling
+        const tagName = existing ? existing.name : name;
+        if (!tagPickerSelection[picker].some(chosen => chosen.toLowerCase() === tagName.toLowerCase())) {
+            tagPickerSelection[picker].push(tagName);
+        }
+    }
+    renderTagPicker(picker);
+    return true;
+}
+
+/**
+ * Removes a tag from a tag picker
+ * @param {string} picker - 'add' or 'edit'
+ * @param {number} index - Position of the tag
+ */
+function removePickerTag(picker, index) {
+    tagPickerSelection[picker].splice(index, 1);
+    renderTagPicker(picker);
+}
+
+/**
+ * Returns the tag names chosen in a tag picker, including a name still typed in its input
+ * @param {string} picker - 'add' or 'edit'
+ * @returns {string[]|null} Tag names, or null if a typed name was rejected
+ */
+function readTagPicker(picker) {
+    return addPickerTags(picker) ? [...tagPickerSelection[picker]] : null;
+}
+
+/**
+ * Handles keys in a tag picker input: Enter or comma adds the tag, Backspace on an empty input removes the last one
+ * @param {KeyboardEvent} event - keydown event
+ * @param {string} picker - 'add' or 'edit'
+ */
+function tagPickerKeydown(event, picker) {
+    if (event.key === 'Enter' || event.key === ',') {
+        event.preventDefault();
+        addPickerTags(picker);
+    } else if (event.key === 'Backspace' && !event.target.value && tagPickerSelection[picker].length > 0) {
+        removePickerTag(picker, tagPickerSelection[picker].length - 1);
+    }
+}
+
+/**
+ * Opens the tag manager
+ */
+function showTagManager() {
+    if (!currentUser) return;
+
+    renderTagManager();
+    tagManagerModal.show();
+}
+
+/**
+ * Renders the tag list of the tag manager
+ */
+function renderTagManager() {
+    const list = document.getElementById('tagManagerList');
+    const tags = getTags();
+
+    if (tags.length === 0) {
+        list.innerHTML = `
+            <div class="text-center text-muted py-4">
+                <i class="fas fa-tags fa-2x mb-2"></i>
+                <p class="mb-0">No tags yet. Add tags to a task in the add or edit task dialog.</p>
+            </div>
+        `;
+        return;
+    }
+
+    list.innerHTML = tags.map(tag => {
+        const usage = countTagUsage(tag.id);
+        return `
+            <div class="tag-manager-row d-flex align-items-center flex-wrap">
+                <input type="color" class="form-control form-control-color form-control-sm me-2" value="${getTagColor(tag)}"
+                    onchange="setTagColor('${tag.id}', this.value)" aria-label="Color of ${escapeHtml(tag.name)}">
+                <input type="text" class="form-control form-control-sm me-2 tag-manager-name" value="${escapeHtml(tag.name)}" maxlength="${TAG_NAME_MAX_LENGTH}"
+                    onchange="renameTag('${tag.id}', this.value)" aria-label="Name of ${escapeHtml(tag.name)}">
+                <small class="text-muted me-auto tag-manager-usage">${usage} ${usage === 1 ? 'task' : 'tasks'}</small>
+                ${tags.length > 1 ? `
+                <select class="form-select form-select-sm w-auto me-2" onchange="if (this.value) mergeTag('${tag.id}', this.value)" aria-label="Merge ${escapeHtml(tag.name)} into another tag">
+                    <option value="">Merge into...</option>
+                    ${tags.filter(other => other.id !== tag.id).map(other => `<option value="${other.id}">${escapeHtml(other.name)}</option>`).join('')}
+                </select>` : ''}
+                <button class="btn btn-outline-danger btn-sm" onclick="deleteTag('${tag.id}')" title="Remove this tag from every task">
+                    <i class="fas fa-trash"></i><span class="visually-hidden">Delete ${escapeHtml(tag.name)}</span>
+                </button>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Replaces a tag in the workspace's tag list (tags are never changed in place)
+ * @param {string} tagId - Tag ID
+ * @param {object} changes - New name and/or color
+ * @param {string} label - Description for undo
+ */
+function replaceTag(tagId, changes, label) {
+    const before = captureBoardState(null);
+    currentData.tags = getTags().map(tag => tag.id === tagId ? { ...tag, ...changes } : tag);
+    recordChange(label, before);
+
+    saveData(currentUser.id, currentData, { type: 'workspace' });
+    renderTagManager();
+    renderDashboard();
+}
+
+/**
+ * Renames a tag in every board
+ * @param {string} tagId - Tag ID
+ * @param {string} name - New name
+ */
+function renameTag(tagId, name) {
+    const tag = getTags().find(t => t.id === tagId);
+    if (!tag) return;
+
+    name = name.trim().replace(/\s+/g, ' ');
+    if (name === tag.name) return;
+    const error = validateTagName(name, tagId);
+    if (error) {
+        showNotification(findTagByName(name) ? `${error} - merge the tags instead` : error, 'error');
+        renderTagManager();
+        return;
+    }
+
+    replaceTag(tagId, { name }, `Rename tag "${tag.name}"`);
+    showNotification(`Tag "${tag.name}" renamed to "${name}"`, 'success', 5000,
+        { label: 'Undo', onClick: () => { undoLastChange(); renderTagManager(); } });
+}
+
+/**
+ * Changes the color of a tag
+ * @param {string} tagId - Tag ID
+ * @param {string} color - Hex color from the color input
+ */
+function setTagColor(tagId, color) {
+    const tag = getTags().find(t => t.id === tagId);
+    if (!tag) return;
+    replaceTag(tagId, { color }, `Change color of tag "${tag.name}"`);
+}
+
+/**
+ * Takes a tag off every task and out of the tag list, optionally putting another tag in its place
+ * @param {object} tag - Tag to remove
+ * @param {object|null} replacement - Tag the tasks get instead (when merging)
+ * @param {string} label - Description for undo and the notification
+ * @returns {number} Number of tasks changed
+ *
+ * Nothing changes if a tagged task's board policy does not allow editing it or its tags:
+ * the tag cannot disappear from some tasks and stay on others.
+ */
+function removeTagEverywhere(tag, replacement, label) {
+    const tagged = getAllBoards().flatMap(board => (board.folders || []).flatMap(folder => (folder.tasks || [])
+        .filter(task => (task.tags || []).includes(tag.id))
+        .map(task => ({ board, task }))));
+
+    const blocked = tagged.map(({ board, task }) => ({
+        task,
+        reason: getEditBlockReason(task, board) || (isFieldEditable(board, 'tags') ? null : `Tags cannot be edited on board "${board.name}"`)
+    })).filter(entry => entry.reason);
+    if (blocked.length > 0) {
+        const others = blocked.length > 1 ? ` and ${blocked.length - 1} more ${blocked.length === 2 ? 'task' : 'tasks'}` : '';
+        showNotification(`Cannot ${replacement ? 'merge' : 'delete'} "${tag.name}": "${blocked[0].task.title}"${others} cannot be changed. ${blocked[0].reason}`, 'error', 6000);
+        return 0;
+    }
+
+    const before = currentData.boards.map(board => captureBoardState(board.id));
+    const action = replacement ? `"${tag.name}" merged into "${replacement.name}"` : `"${tag.name}" deleted`;
+
+    tagged.forEach(({ task }) => {
+        const tags = task.tags.map(tagId => tagId === tag.id && replacement ? replacement.id : tagId)
+            .filter((tagId, index, list) => tagId !== tag.id && list.indexOf(tagId) === index);
+        applyTaskEdit(task, { tags }, 'tags', { action });
+    });
+    const changed = tagged.length;
+    currentData.tags = getTags().filter(t => t.id !== tag.id);
+
+    // An empty workspace has no board state to undo with
+    if (before.length > 0) recordChange(label, before);
+
+    saveData(currentUser.id, currentData);
+    renderTagManager();
+    setTimeout(() => {
+        renderDashboard();
+        showNotification(`${label} (${changed} ${changed === 1 ? 'task' : 'tasks'} changed)`, 'success', 6000,
+            before.length > 0 ? { label: 'Undo', onClick: () => { undoLastChange(); renderTagManager(); } } : null);
+    }, 10);
+    return changed;
+}
+
+/**
+ * Merges a tag into another one: its tasks get the other tag and the tag is removed
+ * @param {string} sourceId - Tag to merge away
+ * @param {string} targetId - Tag to keep
+ */
+function mergeTag(sourceId, targetId) {
+    const source = getTags().find(tag => tag.id === sourceId);
+    const target = getTags().find(tag => tag.id === targetId);
+    if (!source || !target || source === target) return;
+
+    removeTagEverywhere(source, target, `Merge tag "${source.name}" into "${target.name}"`);
+}
+
+/**
+ * Deletes a tag and takes it off every task
+ * @param {string} tagId - Tag ID
+ */
+function deleteTag(tagId) {
+    const tag = getTags().find(t => t.id === tagId);
+    if (!tag) return;
+
+    removeTagEverywhere(tag, null, `Delete tag "${tag.name}"`);
+}
+
+// ========================================
+// EDIT POLICY
+// ========================================
+
+/**
+ * PER-BOARD EDIT POLICY
+ * Each board can set board.editPolicy to control how its tasks may be edited:
+ * - maxEdits:       Edits allowed per task, or null for unlimited
+ * - lockedStatuses: Statuses in which a task can no longer be edited (e.g. ['completed'])
+ * - editableFields: Fields the edit dialog may change, or null for all of them
+ *
+ * Boards without a policy use DEFAULT_EDIT_POLICY (the original 3-edit limit).
+ * The owner can reset a task's editCount; the reason is kept in the task's history.
+ */
+const DEFAULT_EDIT_POLICY = {
+    maxEdits: 3,
+    lockedStatuses: [],
+    editableFields: null
+};
+
+// Fields shown in the edit dialog and the inputs that edit them
+const EDITABLE_TASK_FIELDS = {
+    title: 'editTaskTitle',
+    priority: 'editTaskPriority',
+    startDate: 'editStartDate',
+    startTime: 'editStartTime',
+    dueDate: 'editDueDate',
+    dueTime: 'editDueTime',
+    description: 'editTaskDescription',
+    tags: 'editTaskTagInput'
+};
+
+// Board whose policy is open in the edit policy modal, and task waiting for an edit reset
+let editPolicyBoardId = null;
+let resetEditsTaskId = null;
+
+/**
+ * Returns the edit policy of a board
+ * @param {object} board - Board
+ * @returns {object} Policy with every setting filled in
+ */
+function getEditPolicy(board) {
+    return { ...DEFAULT_EDIT_POLICY, ...(board && board.editPolicy) };
+}
+
+/**
+ * Returns how many more times a task can be edited
+ * @param {object} task - Task
+ * @param {object} board - Board containing the task
+ * @returns {number} Remaining edits (Infinity when unlimited)
+ */
+function getRemainingEdits(task, board) {
+    const { maxEdits } = getEditPolicy(board);
+    return maxEdits === null ? Infinity : Math.max(0, maxEdits - (task.editCount || 0));
+}
+
+/**
+ * Checks whether a task may be edited under its board's policy
+ * @param {object} task - Task
+ * @param {object} board - Board containing the task
+ * @returns {string|null} Why the task cannot be edited, or null if it can
+ */
+function getEditBlockReason(task, board) {
+    const policy = getEditPolicy(board);
+
+    if (policy.lockedStatuses.includes(task.status)) {
+        return `Tasks that are ${task.status} cannot be edited on this board`;
+    }
+    if (getRemainingEdits(task, board) === 0) {
+        return `This task has reached its edit limit (${policy.maxEdits} ${policy.maxEdits === 1 ? 'time' : 'times'})`;
+    }
+    return null;
+}
+
+/**
+ * Checks whether a board's policy allows a field to be edited
+ * @param {object} board - Board
+ * @param {string} field - Task field name
+ * @returns {boolean} True if the field can be changed
+ */
+function isFieldEditable(board, field) {
+    const { editableFields } = getEditPolicy(board);
+    return !editableFields || editableFields.includes(field);
+}
+
+/**
+ * Describes the remaining edits for the edit dialog
+ * @param {object} task - Task
+ * @param {object} board - Board containing the task
+ * @returns {string} Sentence shown in the edit limit alert
+ */
+function describeEditAllowance(task, board) {
+    const remaining = getRemainingEdits(task, board);
+    const { editableFields } = getEditPolicy(board);
+
+    const countText = remaining === Infinity
+        ? 'You can edit this task as often as you like.'
+        : `You can edit this task ${remaining} more ${remaining === 1 ? 'time' : 'times'}.`;
+    const fieldText = editableFields
+        ? ` Only ${editableFields.map(field => TASK_HISTORY_FIELDS[field].toLowerCase()).join(', ')} can be changed on this board.`
+        : '';
+    return countText + fieldText;
+}
+
+/**
+ * Opens the edit policy modal for a board
+ * @param {string} boardId - Board ID
+ */
+function showEditPolicy(boardId) {
+    const board = findBoard(boardId);
+    if (!board) return;
+
+    const policy = getEditPolicy(board);
+    editPolicyBoardId = boardId;
+
+    document.getElementById('editPolicyBoardName').textContent = board.name;
+    document.getElementById(policy.maxEdits === null ? 'policyUnlimited' : 'policyLimited').checked = true;
+    document.getElementById('policyMaxEdits').value = policy.maxEdits === null ? DEFAULT_EDIT_POLICY.maxEdits : policy.maxEdits;
+    document.getElementById('policyLockActive').checked = policy.lockedStatuses.includes('active');
+    document.getElementById('policyLockCompleted').checked = policy.lockedStatuses.includes('completed');
+    document.querySelectorAll('.policy-field').forEach(checkbox => {
+        checkbox.checked = checkbox.value.split(',').every(field => !policy.editableFields || policy.editableFields.includes(field));
+    });
+
+    editPolicyModal.show();
+}
+
+/**
+ * Saves the policy from the edit policy modal onto its board
+ */
+function saveEditPolicy() {
+    const board = findBoard(editPolicyBoardId);
+    if (!board) return;
+
+    const unlimited = document.getElementById('policyUnlimited').checked;
+    const maxEdits = parseInt(document.getElementById('policyMaxEdits').value, 10);
+    if (!unlimited && (isNaN(maxEdits) || maxEdits < 1)) {
+        showNotification('Please enter at least 1 edit, or choose unlimited', 'error');
+        return;
+    }
+
+    const fieldBoxes = [...document.querySelectorAll('.policy-field')];
+    const editableFields = fieldBoxes.filter(box => box.checked).flatMap(box => box.value.split(','));
+    if (editableFields.length === 0) {
+        showNotification('Please allow at least one field, or lock edits by status instead', 'error');
+        return;
+    }
+
+    const before = captureBoardState(board.id);
+    board.editPolicy = {
+        maxEdits: unlimited ? null : maxEdits,
+        lockedStatuses: ['active', 'completed'].filter(status =>
+            document.getElementById(status === 'active' ? 'policyLockActive' : 'policyLockCompleted').checked),
+        // All fields allowed is stored as null so fields added later are editable too
+        editableFields: fieldBoxes.every(box => box.checked) ? null : editableFields
+    };
+    recordChange(`Change edit policy of "${board.name}"`, before);
+
+    saveData(currentUser.id, currentData, { type: 'board', id: board.id });
+    setTimeout(() => {
+        renderDashboard();
+        editPolicyModal.hide();
+        showNotification(`Edit policy for "${board.name}" saved`, 'success');
+    }, 10);
+}
+
+/**
+ * Opens the owner override that resets a task's edit count
+ * @param {string} taskId - Task ID
+ */
+function showResetEdits(taskId) {
+    const location = findTaskLocation(taskId);
+    if (!location) return;
+
+    resetEditsTaskId = taskId;
+    document.getElementById('resetEditsTaskTitle').textContent = location.task.title;
+    document.getElementById('resetEditsForm').reset();
+    resetEditsModal.show();
+}
+
+/**
+ * Resets a task's edit count to zero and records why
+ * @param {string} taskId - Task ID
+ * @param {string} reason - Reason given by the owner
+ */
+function resetTaskEdits(taskId, reason) {
+    const location = findTaskLocation(taskId);
+    if (!location) return;
+    const { board, folder, task } = location;
+
+    if (!reason) {
+        showNotification('Please give a reason for the reset', 'error');
+        return;
+    }
+
+    const before = captureBoardState(board.id);
+    recordTaskHistory(task, { type: 'edits-reset', previousCount: task.editCount, reason, by: currentUser.username });
+    task.editCount = 0;
+    recordChange(`Reset edits of "${task.title}"`, before);
+
+    saveData(currentUser.id, currentData, { type: 'task', id: task.id, boardId: board.id, folderId: folder.id });
+    setTimeout(() => {
+        renderDashboard();
+        resetEditsModal.hide();
+        showNotification(`Edit count of "${task.title}" reset`, 'success');
+    }, 10);
+}
+
+// ========================================
+// TRASH
+// ========================================
+
+/**
+ * TRASH BIN
+ * Deleting a board, folder or task moves it to currentData.trash instead of
+ * destroying it. Each entry remembers where the item came from:
+ * { id, type: 'board' | 'folder' | 'task', item, boardId, boardName, folderId, folderName, deletedAt }
+ *
+ * Restoring puts the item back in its original board/folder, recreating the
+ * parent if it has been deleted since. Entries older than the user's retention
+ * setting (currentData.settings.trashRetentionDays, 0 = never) are purged at login.
+ */
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Moves a deleted item into the trash
+ * @param {string} type - 'board', 'folder' or 'task'
+ * @param {object} item - The removed board, folder or task
+ * @param {object} [location] - Where it was: { board, folder }
+ * @returns {object} The new trash entry
+ */
+function moveToTrash(type, item, location = {}) {
+    const entry = {
+        id: generateId(),
+        type,
+        item,
+        boardId: location.board ? location.board.id : null,
+        boardName: location.board ? location.board.name : null,
+        folderId: location.folder ? location.folder.id : null,
+        folderName: location.folder ? location.folder.name : null,
+        deletedAt: new Date().toISOString()
+    };
+
+    if (!currentData.trash) currentData.trash = [];
+    currentData.trash.unshift(entry);
+    return entry;
+}
+
+/**
+ * Returns how many days deleted items are kept
+ * @returns {number} Days to keep items in the trash (0 = keep forever)
+ */
+function getTrashRetentionDays() {
+    const days = currentData.settings && currentData.settings.trashRetentionDays;
+    return typeof days === 'number' ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Saves how many days deleted items are kept
+ * @param {number} days - Days to keep items (0 = keep forever)
+ */
+function setTrashRetentionDays(days) {
+    currentData.settings = { ...currentData.settings, trashRetentionDays: days };
+    const purged = purgeExpiredTrash();
+    if (purged === 0) {
+        saveData(currentUser.id, currentData, { type: 'workspace' });
+    }
+    renderTrash();
+    showNotification(days > 0 ? `Deleted items are kept for ${days} days` : 'Deleted items are kept until you empty the trash', 'success');
+}
+
+/**
+ * Permanently removes trash entries older than the retention period
+ * @returns {number} Number of entries removed
+ */
+function purgeExpiredTrash() {
+    const days = getTrashRetentionDays();
+    if (!currentUser || days <= 0 || !currentData.trash) return 0;
+
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const kept = currentData.trash.filter(entry => new Date(entry.deletedAt).getTime() >= cutoff);
+    const purged = currentData.trash.length - kept.length;
+
+    if (purged > 0) {
+        currentData.trash = kept;
+        saveData(currentUser.id, currentData, { type: 'workspace' });
+    }
+    return purged;
+}
+
+/**
+ * Gives an item (and everything inside it) new IDs where its IDs are already in use
+ * @param {object} item - Board, folder or task being restored
+ * @param {string} type - 'board', 'folder' or 'task'
+ */
+function reassignTakenIds(item, type) {
+    const usedIds = new Set();
+    getAllBoards().forEach(board => {
+        usedIds.add(board.id);
+        (board.folders || []).forEach(folder => {
+            usedIds.add(folder.id);
+            (folder.tasks || []).forEach(task => usedIds.add(task.id));
+        });
+    });
+
+    const claim = entity => {
+        if (usedIds.has(entity.id)) entity.id = generateId();
+        usedIds.add(entity.id);
+    };
+
+    if (type === 'board') {
+        getAllBoards([item]).forEach(board => {
+            claim(board);
+            (board.folders || []).forEach(folder => {
+                claim(folder);
+                (folder.tasks || []).forEach(claim);
+            });
+        });
+    } else {
+        claim(item);
+        if (type === 'folder') (item.tasks || []).forEach(claim);
+    }
+}
+
+/**
+ * Puts a trashed item back where it was deleted from
+ * @param {string} entryId - Trash entry ID
+ *
+ * A parent board or folder that no longer exists is recreated (empty) under its
+ * old name; a sub-board whose parent board is gone is restored as a top-level board.
+ * Names that would clash with an existing board, folder or task get a
+ * "(restored)" suffix so the duplicate checks still hold.
+ */
+function restoreFromTrash(entryId) {
+    const entry = (currentData.trash || []).find(e => e.id === entryId);
+    if (!entry) return;
+
+    const item = JSON.parse(JSON.stringify(entry.item));
+    reassignTakenIds(item, entry.type);
+
+    const restoredTasks = entry.type === 'task' ? [item]
+        : entry.type === 'folder' ? (item.tasks || [])
+        : getAllBoards([item]).flatMap(board => (board.folders || []).flatMap(folder => folder.tasks || []));
+    restoredTasks.forEach(task => recordTaskHistory(task, { type: 'restored' }));
+
+    const parent = entry.type === 'board' && entry.boardId ? findBoard(entry.boardId) : null;
+    const boardId = entry.type === 'board' ? (parent ? parent.id : item.id) : entry.boardId;
+    const before = captureBoardState(boardId);
+    const boardNames = new Set(currentData.boards.map(b => b.name.toLowerCase()));
+
+    if (entry.type === 'board') {
+        if (parent && !parent.subBoards) parent.subBoards = [];
+        const siblings = parent ? parent.subBoards : currentData.boards;
+        item.name = uniqueName(item.name, new Set(siblings.map(b => b.name.toLowerCase())), 'restored');
+        siblings.push(item);
+    } else {
+        let board = findBoard(entry.boardId);
+        if (!board) {
+            board = {
+                id: entry.boardId,
+                name: uniqueName(entry.boardName, boardNames, 'restored'),
+                createdAt: new Date().toISOString(),
+                folders: [],
+                subBoards: []
+            };
+            currentData.boards.push(board);
+        }
+        if (!board.folders) board.folders = [];
+        const folderNames = new Set(board.folders.map(f => f.name.toLowerCase()));
+
+        if (entry.type === 'folder') {
+            item.name = uniqueName(item.name, folderNames, 'restored');
+            board.folders.push(item);
+        } else {
+            let folder = board.folders.find(f => f.id === entry.folderId);
+            if (!folder) {
+                folder = {
+                    id: entry.folderId,
+                    name: uniqueName(entry.folderName, folderNames, 'restored'),
+                    createdAt: new Date().toISOString(),
+                    tasks: []
+                };
+                board.folders.push(folder);
+            }
+            if (!folder.tasks) folder.tasks = [];
+            item.title = uniqueName(item.title, new Set(folder.tasks.map(t => t.title.toLowerCase())), 'restored');
+            folder.tasks.push(item);
+            openFolders.add(folder.id);
+        }
+    }
+    openBoards.add(boardId);
+
+    currentData.trash = currentData.trash.filter(e => e.id !== entryId);
+    const name = entry.type === 'task' ? item.title : item.name;
+    recordChange(`Restore ${entry.type} "${name}"`, before);
+
+    // Parents may have been recreated as well, so write everything
+    saveData(currentUser.id, currentData);
+    setTimeout(() => {
+        renderDashboard();
+        renderTrash();
+        showNotification(`Restored ${entry.type} "${name}"`, 'success');
+    }, 10);
+}
+
+/**
+ * Permanently deletes one item from the trash
+ * @param {string} entryId - Trash entry ID
+ */
+function deleteFromTrash(entryId) {
+    const entry = (currentData.trash || []).find(e => e.id === entryId);
+    if (!entry) return;
+
+    currentData.trash = currentData.trash.filter(e => e.id !== entryId);
+    saveData(currentUser.id, currentData, { type: 'workspace' });
+    renderTrash();
+    showNotification(`${entry.type === 'task' ? entry.item.title : entry.item.name} deleted permanently`, 'info');
+}
+
+/**
+ * Permanently deletes everything in the trash
+ */
+function emptyTrash() {
+    if (!currentData.trash || currentData.trash.length === 0) return;
+
+    const count = currentData.trash.length;
+    currentData.trash = [];
+    saveData(currentUser.id, currentData, { type: 'workspace' });
+    renderTrash();
+    showNotification(`${count} items deleted permanently`, 'info');
+}
+
+/**
+ * Renders the list of trashed items in the trash modal
+ */
+function renderTrash() {
+    const trash = currentData.trash || [];
+    const icons = { board: 'columns', folder: 'folder', task: 'tasks' };
+
+    document.getElementById('trashRetentionSelect').value = getTrashRetentionDays();
+    document.getElementById('emptyTrashBtn').disabled = trash.length === 0;
+
+    if (trash.length === 0) {
+        document.getElementById('trashList').innerHTML = `
+            <p class="text-muted text-center my-4">
+                <i class="fas fa-trash-alt me-2"></i>The trash is empty
+            </p>
+        `;
+        return;
+    }
+
+    document.getElementById('trashList').innerHTML = trash.map(entry => {
+        const name = entry.type === 'task' ? entry.item.title : entry.item.name;
+        const origin = [entry.boardName, entry.folderName].filter(Boolean).map(escapeHtml).join(' &rsaquo; ');
+        return `
+            <div class="trash-item d-flex justify-content-between align-items-center">
+                <div>
+                    <i class="fas fa-${icons[entry.type]} me-2 text-muted"></i>
+                    <strong>${escapeHtml(name)}</strong>
+                    <small class="text-muted d-block">
+                        ${entry.type}${origin ? ` in ${origin}` : ''} &middot; deleted ${formatDate(entry.deletedAt)}
+                    </small>
+                </div>
+                <div class="btn-group btn-group-sm">
+                    <button class="btn btn-outline-primary" onclick="restoreFromTrash('${entry.id}')">
+                        <i class="fas fa-undo me-1"></i>Restore
+                    </button>
+                    <button class="btn btn-outline-danger" onclick="deleteFromTrash('${entry.id}')">
+                        <i class="fas fa-times me-1"></i>Delete
+                    </button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Opens the trash modal
+ */
+function showTrash() {
+    if (!currentUser) return;
+
+    purgeExpiredTrash();
+    renderTrash();
+    trashModal.show();
+}
+
+// ========================================
+// DASHBOARD RENDERING
+// ========================================
+
+// Element to focus after the next render, as a CSS selector (e.g. a kanban card that was just moved with the keyboard)
+let pendingFocusSelector = null;
+
+// Search results shown at once in the flat results list (grows with "Show more")
+const SEARCH_RESULTS_PAGE = 50;
+let searchResultLimit = SEARCH_RESULTS_PAGE;
+
+/**
+ * Renders the entire dashboard
+ */
+function renderDashboard() {
+    // Prevent multiple simultaneous renders
+    if (window.isRendering) return;
+    window.isRendering = true;
+
+    // Get search term and type
+    const searchTerm = searchInput.value.trim();
+    const searchType = document.getElementById('searchType').value;
+    updateSearchDisplaySwitch();
+    renderSavedViews();
+
+    // While searching in results mode a ranked flat list replaces the board tree
+    if (searchTerm && getSearchDisplay() === 'results') {
+        requestAnimationFrame(() => {
+            boardsContainer.innerHTML = renderSearchResults(searchTerm, searchType);
+            window.isRendering = false;
+        });
+        return;
+    }
+
+    // Get data to render (original or filtered)
+    let dataToRender;
+    let expandBoards = [];
+    let expandFolders = [];
+    let searchError = null;
+
+    if (searchTerm) {
+        const searchResult = searchData(searchTerm, searchType);
+        dataToRender = searchResult.data;
+        searchError = searchResult.error;
+        expandBoards = searchResult.expandBoards;
+        expandFolders = searchResult.expandFolders;
+
+        // Update open states for search results
+        expandBoards.forEach(boardId => openBoards.add(boardId));
+        expandFolders.forEach(folderId => openFolders.add(folderId));
+    } else {
+        dataToRender = currentData;
+    }
+
+    // Use requestAnimationFrame for smooth rendering
+    requestAnimationFrame(() => {
+        // Remember how far scrollable views (calendar hour grids, timelines) were scrolled so re-rendering keeps them in place
+        const scrollPositions = new Map(Array.from(boardsContainer.querySelectorAll('[data-scroll-key]'),
+            element => [element.dataset.scrollKey, [element.scrollLeft, element.scrollTop]]));
+        boardsContainer.innerHTML = '';
+
+        if (dataToRender.boards.length === 0) {
+            if (searchTerm) {
+                boardsContainer.innerHTML = renderNoSearchResults(searchTerm, searchType, searchError);
+            } else {
+                boardsContainer.innerHTML = `
+                    <div class="text-center py-5">
+                        <i class="fas fa-columns fa-3x text-muted mb-3"></i>
+                        <h4 class="text-muted">No boards created yet</h4>
+                        <p class="text-muted">Create your first board to get started!</p>
+                    </div>
+                `;
+            }
+            window.isRendering = false;
+            return;
+        }
+
+        boardsContainer.innerHTML = dataToRender.boards.map(board => renderBoard(board, searchTerm)).join('');
+
+        // Views that were not scrolled yet start at their default position (e.g. the working day, today)
+        boardsContainer.querySelectorAll('[data-scroll-key]').forEach(element => {
+            const [left, top] = scrollPositions.get(element.dataset.scrollKey)
+                || [Number(element.dataset.defaultScrollLeft) || 0, Number(element.dataset.defaultScrollTop) || 0];
+            element.scrollLeft = left;
+            element.scrollTop = top;
+        });
+
+        // Keep keyboard focus where the user was working
+        if (pendingFocusSelector) {
+            const element = boardsContainer.querySelector(pendingFocusSelector);
+            if (element) element.focus();
+            pendingFocusSelector = null;
+        }
+
+        window.isRendering = false;
+    });
+}
+
+/**
+ * Renders the panel shown when a search finds nothing or cannot be parsed
+ * @param {string} searchTerm - Search query
+ * @param {string} searchType - Type of search (all, boards, folders, tasks)
+ * @param {string} [error] - Parse error from the query
+ * @param {number} [hiddenCount] - Matching tasks hidden by their folder's filters
+ * @returns {string} HTML string for the panel
+ */
+function renderNoSearchResults(searchTerm, searchType, error = null, hiddenCount = 0) {
+    return `
+        <div class="text-center py-5">
+            <i class="fas fa-search fa-3x text-muted mb-3"></i>
+            <h4 class="text-muted">${error ? 'Search not understood' : 'No results found'}</h4>
+            <p class="text-muted">${error
+                ? escapeHtml(error)
+                : `No ${searchType === 'all' ? 'items' : searchType} match "${escapeHtml(searchTerm)}"`}${hiddenCount > 0
+                ? ` (${hiddenCount} matching ${hiddenCount === 1 ? 'task is' : 'tasks are'} hidden by folder filters)` : ''}</p>
+            <button class="btn btn-outline-primary" onclick="clearSearch()">
+                <i class="fas fa-times me-1"></i>Clear Search
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Returns how search results are shown
+ * @returns {string} 'tree' (matches inside their boards) or 'results' (ranked flat list)
+ */
+function getSearchDisplay() {
+    return (currentData.settings && currentData.settings.searchDisplay) || 'tree';
+}
+
+/**
+ * Switches between the board tree and the ranked results list and remembers the choice
+ * @param {string} display - 'tree' or 'results'
+ */
+function setSearchDisplay(display) {
+    currentData.settings = { ...currentData.settings, searchDisplay: display };
+    searchResultLimit = SEARCH_RESULTS_PAGE;
+
+    saveData(currentUser.id, currentData, { type: 'workspace' });
+    renderDashboard();
+}
+
+/**
+ * Marks the active button of the tree / results switch next to the search box
+ */
+function updateSearchDisplaySwitch() {
+    const display = getSearchDisplay();
+    document.querySelectorAll('#searchDisplaySwitch [data-display]').forEach(button => {
+        const active = button.dataset.display === display;
+        button.classList.toggle('btn-primary', active);
+        button.classList.toggle('btn-outline-secondary', !active);
+        button.setAttribute('aria-pressed', active);
+    });
+}
+
+/**
+ * Renders the ranked, flat list of everything a search finds
+ * @param {string} searchTerm - Search query
+ * @param {string} searchType - Type of search (all, boards, folders, tasks)
+ * @returns {string} HTML string for the results list
+ */
+function renderSearchResults(searchTerm, searchType) {
+    const ranked = rankSearchResults(searchTerm, searchType);
+    const { error } = ranked;
+
+    // Tasks hidden by their folder's filters are left out here too
+    const results = ranked.results.filter(result => !result.task || isTaskShown(result.task, getTaskListOptions(result.folder.id)));
+    const hiddenCount = ranked.results.length - results.length;
+    if (error || results.length === 0) {
+        return renderNoSearchResults(searchTerm, searchType, error, hiddenCount);
+    }
+
+    const shown = results.slice(0, searchResultLimit);
+    return `
+        <div class="card search-results fade-in">
+            <div class="card-header d-flex justify-content-between align-items-center">
+                <span><strong>${results.length}</strong> results for "${escapeHtml(searchTerm)}"</span>
+                <small class="text-muted">${hiddenCount > 0 ? `${hiddenCount} hidden by folder filters · ` : ''}Best matches first</small>
+            </div>
+            <ul class="list-group list-group-flush">
+                ${shown.map(result => renderSearchResult(result, searchTerm)).join('')}
+            </ul>
+            ${results.length > shown.length ? `
+            <div class="card-body text-center">
+                <button class="btn btn-outline-primary btn-sm" onclick="showMoreSearchResults()">
+                    Show ${Math.min(SEARCH_RESULTS_PAGE, results.length - shown.length)} more of ${results.length - shown.length}
+                </button>
+            </div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Renders one row of the search results list
+ * @param {object} result - { board, folder, task, score } from rankSearchResults
+ * @param {string} searchTerm - Search query for highlighting
+ * @returns {string} HTML string for the row
+ */
+function renderSearchResult(result, searchTerm) {
+    const { board, folder, task } = result;
+    const path = [getBoardPathName(board.id), folder && task ? folder.name : null].filter(Boolean).map(escapeHtml).join(' › ');
+    const reveal = `revealSearchResult('${board.id}', ${folder ? `'${folder.id}'` : 'null'})`;
+
+    if (!task) {
+        const name = folder ? folder.name : board.name;
+        return `
+            <li class="list-group-item search-result d-flex justify-content-between align-items-center">
+                <div>
+                    <i class="fas fa-${folder ? 'folder' : 'columns'} me-2 text-muted"></i>
+                    <strong>${highlightSearchTerm(name, searchTerm)}</strong>
+                    ${folder ? `<small class="text-muted d-block">${path}</small>` : ''}
+                </div>
+                <button class="btn btn-outline-secondary btn-sm" onclick="${reveal}">
+                    <i class="fas fa-eye me-1"></i>Show
+                </button>
+            </li>
+        `;
+    }
+
+    return `
+        <li class="list-group-item search-result d-flex justify-content-between align-items-center">
+            <div class="search-result-task" role="button" tabindex="0" onclick="editTask('${task.id}')"
+                onkeydown="if (event.key === 'Enter') editTask('${task.id}')" title="Edit task">
+                <i class="fas fa-tasks me-2 text-muted"></i>
+                <strong>${highlightSearchTerm(task.title, searchTerm)}</strong>
+                <span class="task-priority priority-${task.priority} ms-2">${task.priority}</span>
+                <small class="text-muted d-block">
+                    ${path} &middot; ${task.status} &middot; due ${formatDateTime(task.dueDate, task.dueTime)}
+                </small>
+            </div>
+            <button class="btn btn-outline-secondary btn-sm" onclick="${reveal}">
+                <i class="fas fa-eye me-1"></i>Show
+            </button>
+        </li>
+    `;
+}
+
+/**
+ * Shows the next page of search results
+ */
+function showMoreSearchResults() {
+    searchResultLimit += SEARCH_RESULTS_PAGE;
+    renderDashboard();
+}
+
+/**
+ * Leaves the search and opens the boards (and folder) that hold a result
+ * @param {string} boardId - Board holding the result
+ * @param {string} [folderId] - Folder holding the result
+ */
+function revealSearchResult(boardId, folderId = null) {
+    searchInput.value = '';
+    previousSearchTerm = '';
+    updateClearSearchButton();
+
+    getBoardPath(boardId).forEach(board => openBoards.add(board.id));
+    if (folderId) openFolders.add(folderId);
+    renderDashboard();
+}
+
+/**
+ * Renders a board card, with its sub-boards nested inside its content
+ * @param {object} board - Board object
+ * @param {string} searchTerm - Search term for highlighting
+ * @param {boolean} [isSubBoard] - Whether the board sits inside another board
+ * @returns {string} HTML string for the board
+ */
+function renderBoard(board, searchTerm = '', isSubBoard = false) {
+    const subBoards = board.subBoards || [];
+    const folderCount = (board.folders || []).length;
+
+    // Folders can be dropped anywhere on a board, even while it is collapsed
+    return `
+        <div class="board-container${isSubBoard ? ' sub-board' : ' fade-in'}"
+            ondragover="allowDrop(event, 'folder')" ondragleave="dropTargetLeave(event)" ondrop="dropOnBoard(event, '${board.id}')">
+            <div class="card">
+                <div class="board-header" onclick="toggleBoard('${board.id}')" style="cursor: pointer;">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <div class="d-flex align-items-center">
+                            <i class="fas fa-chevron-${openBoards.has(board.id) ? 'up' : 'down'} me-3 board-toggle-icon" id="toggle-icon-${board.id}"></i>
+                            <div>
+                                <h3 class="mb-0">
+                                    <i class="fas fa-${isSubBoard ? 'layer-group' : 'columns'} me-2"></i>
+                                    ${highlightSearchTerm(board.name, searchTerm)}
+                                </h3>
+                                <small class="opacity-75">
+                                    ${subBoards.length > 0 ? `${subBoards.length} sub-boards, ` : ''}${folderCount} folders, 
+                                    ${countBoardTasks(board)} tasks
+                                </small>
+                            </div>
+                        </div>
+                        <div class="d-flex align-items-center">
+                            ${renderViewSwitch(board.id)}
+                            <button class="btn btn-light btn-sm me-2" onclick="event.stopPropagation(); showEditPolicy('${board.id}')" title="Edit policy">
+                                <i class="fas fa-user-shield me-1"></i>Edit Policy
+                            </button>
+                            <button class="btn btn-light btn-sm me-2" onclick="event.stopPropagation(); showRenameBoard('${board.id}')" title="Rename board">
+                                <i class="fas fa-pen"></i>
+                            </button>
+                            <button class="btn btn-light btn-sm me-2" onclick="event.stopPropagation(); showAddSubBoard('${board.id}')">
+                                <i class="fas fa-layer-group me-1"></i>Add Sub-Board
+                            </button>
+                            <button class="btn btn-light btn-sm me-2" onclick="event.stopPropagation(); addFolderToBoard('${board.id}')">
+                                <i class="fas fa-folder-plus me-1"></i>Add Folder
+                            </button>
+                            <button class="btn btn-danger btn-sm" onclick="event.stopPropagation(); deleteBoard('${board.id}')">
+                                <i class="fas fa-trash me-1"></i>Delete Board
+                            </button>
+                        </div>
+                    </div>
+                </div>
+                <div class="board-content" id="board-content-${board.id}" style="display: ${openBoards.has(board.id) ? 'block' : 'none'};">
+                    ${renderView(board, null, searchTerm)}
+                    ${subBoards.length > 0 ? `
+                    <div class="sub-boards">
+                        ${subBoards.map(subBoard => renderBoard(subBoard, searchTerm, true)).join('')}
+                    </div>` : ''}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Renders folders within a board
+ * @param {object} board - Board object
+ * @param {string} searchTerm - Search term for highlighting
+ * @returns {string} HTML string for folders
+ */
+function renderBoardFolders(board, searchTerm = '') {
+    const folders = board.folders || [];
+
+    if (folders.length === 0) {
+        return `
+            <div class="text-center py-4">
+                <i class="fas fa-folder fa-2x text-muted mb-2"></i>
+                <p class="text-muted">No folders in this board</p>
+                <button class="btn btn-primary btn-sm" onclick="addFolderToBoard('${board.id}')">
+                    <i class="fas fa-folder-plus me-1"></i>Add First Folder
+                </button>
+            </div>
+        `;
+    }
+
+    return folders.map(folder => `
+        <div class="folder-section" ondragover="allowDrop(event, 'task folder')" ondragleave="dropTargetLeave(event)" ondrop="dropOnFolder(event, '${folder.id}')">
+            <div class="folder-header" onclick="toggleFolder('${board.id}', '${folder.id}')" style="cursor: pointer;"
+                draggable="true" ondragstart="itemDragStart(event, 'folder', '${folder.id}')">
+                <div class="d-flex justify-content-between align-items-center">
+                    <div class="d-flex align-items-center">
+                        <i class="fas fa-chevron-${openFolders.has(folder.id) ? 'down' : 'right'} me-3 folder-toggle-icon" id="folder-toggle-icon-${folder.id}"></i>
+                        <div>
+                            <h5 class="mb-0">
+                                <i class="fas fa-folder me-2"></i>
+                                ${highlightSearchTerm(folder.name, searchTerm)}
+                            </h5>
+                            <small class="text-muted">
+                                ${describeFolderTaskCount(folder)}
+                            </small>
+                        </div>
+                    </div>
+                    <div class="d-flex align-items-center">
+                        ${renderViewSwitch(folder.id, 'btn-outline-secondary', true)}
+                        <button class="btn btn-primary btn-sm me-2" onclick="event.stopPropagation(); addTaskToFolder('${board.id}', '${folder.id}')">
+                            <i class="fas fa-plus me-1"></i>Add Task
+                        </button>
+                        <button class="btn btn-danger btn-sm" onclick="event.stopPropagation(); deleteFolderFromBoard('${board.id}', '${folder.id}')">
+                            <i class="fas fa-trash me-1"></i>Delete
+                        </button>
+                    </div>
+                </div>
+            </div>
+            <div class="folder-tasks" id="folder-tasks-${folder.id}" style="display: ${openFolders.has(folder.id) ? 'block' : 'none'};">
+                ${['list', 'kanban'].includes(getViewMode(folder.id)) && (folder.tasks || []).length > 0 ? renderTaskListToolbar(folder) : ''}
+                ${renderView(board, folder, searchTerm)}
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Describes how many tasks a folder has, and how many of them its filters show
+ * @param {object} folder - Folder object
+ * @returns {string} Text such as "12 tasks" or "4 of 12 tasks"
+ */
+function describeFolderTaskCount(folder) {
+    const total = (folder.tasks || []).length;
+    if (!hasTaskFilters(getTaskListOptions(folder.id))) return `${total} tasks`;
+    return `${getVisibleTasks(folder).length} of ${total} tasks`;
+}
+
+/**
+ * Renders tasks within a folder
+ * @param {object} folder - Folder object
+ * @param {string} searchTerm - Search term for highlighting
+ * @param {object} [board] - Board containing the folder (for its edit policy)
+ * @returns {string} HTML string for tasks
+ */
+function renderFolderTasks(folder, searchTerm = '', board = null) {
+    const tasks = folder.tasks || [];
+
+    if (tasks.length === 0) {
+        return `
+            <div class="text-center py-3">
+                <i class="fas fa-tasks fa-lg text-muted mb-2"></i>
+                <p class="text-muted small">No tasks in this folder</p>
+            </div>
+        `;
+    }
+
+    const visibleTasks = getVisibleTasks(folder);
+    if (visibleTasks.length === 0) {
+        return `
+            <div class="text-center py-3">
+                <i class="fas fa-filter fa-lg text-muted mb-2"></i>
+                <p class="text-muted small">No tasks match the filters</p>
+                <button class="btn btn-outline-secondary btn-sm" onclick="setTaskListOptions('${folder.id}', { status: 'all', priority: 'all', hideCompleted: false, overdueOnly: false })">
+                    <i class="fas fa-times me-1"></i>Clear Filters
+                </button>
+            </div>
+        `;
+    }
+
+    return visibleTasks.map(task => {
+        const countdown = calculateCountdown(task.dueDate, task.dueTime);
+
+        // Enhanced countdown display with time
+        let countdownText = '';
+        if (countdown.overdue) {
+            const overdueDays = Math.abs(countdown.days);
+            const overdueHours = Math.abs(countdown.hours);
+            const overdueMinutes = Math.abs(countdown.minutes);
+            countdownText = `<div class="task-countdown urgent">
+                <i class="fas fa-exclamation-triangle me-1"></i>
+                Overdue by ${overdueDays > 0 ? overdueDays + ' days ' : ''}${overdueHours > 0 ? overdueHours + ' hours ' : ''}${overdueMinutes} minutes
+            </div>`;
+        } else if (countdown.days === 0 && countdown.hours === 0 && countdown.minutes === 0) {
+            countdownText = `<div class="task-countdown urgent">
+                <i class="fas fa-clock me-1"></i>
+                Due in ${countdown.seconds} seconds
+            </div>`;
+        } else if (countdown.days === 0 && countdown.hours === 0) {
+            countdownText = `<div class="task-countdown urgent">
+                <i class="fas fa-clock me-1"></i>
+                Due in ${countdown.minutes} minutes ${countdown.seconds} seconds
+            </div>`;
+        } else if (countdown.days === 0) {
+            countdownText = `<div class="task-countdown urgent">
+                <i class="fas fa-clock me-1"></i>
+                Due in ${countdown.hours} hours ${countdown.minutes} minutes
+            </div>`;
+        } else {
+            countdownText = `<div class="task-countdown">
+                <i class="fas fa-calendar me-1"></i>
+                Due in ${countdown.days} days ${countdown.hours} hours ${countdown.minutes} minutes
+            </div>`;
+        }
+
+        return `
+            <div class="task-item priority-${task.priority} fade-in" data-task-id="${task.id}"
+                draggable="true" ondragstart="itemDragStart(event, 'task', '${task.id}')"
+                ondragover="allowDrop(event, 'task')" ondragleave="dropTargetLeave(event)" ondrop="dropOnTask(event, '${task.id}')">
+                <div class="task-header">
+                    <div>
+                        <div class="task-title">${highlightSearchTerm(task.title, searchTerm)}</div>
+                        <span class="task-priority priority-${task.priority}">${highlightSearchTerm(task.priority, searchTerm)}</span>
+                    </div>
+                    <div class="text-end">
+                        <small class="text-muted">Created: ${formatDate(task.createdAt)}</small>
+                        ${task.lastEdited ? `<br><small class="text-muted">Edited: ${formatDate(task.lastEdited)}</small>` : ''}
+                    </div>
+                </div>
+                
+                <div class="task-dates">
+                    <span><i class="fas fa-play me-1"></i> Start: ${formatDateTime(task.startDate, task.startTime)}</span>
+                    <span><i class="fas fa-flag-checkered me-1"></i> Due: ${formatDateTime(task.dueDate, task.dueTime)}</span>
+                    ${task.recurrence ? `<span class="task-recurrence"><i class="fas fa-redo me-1"></i> ${describeRecurrence(task.recurrence)}</span>` : ''}
+                </div>
+                
+                ${task.description ? `<div class="task-description">${highlightSearchTerm(task.description, searchTerm)}</div>` : ''}
+                
+                ${renderTaskTags(task, searchTerm)}
+                
+                ${renderDependencySummary(task)}
+                
+                ${renderSubtasks(task, searchTerm)}
+                
+                ${countdownText}
+                
+                <div class="task-actions">
+                    <button class="task-status status-${task.status}" onclick="changeTaskStatus('${task.id}', 'pending')">
+                        ${task.status === 'pending' ? '<i class="fas fa-check me-1"></i>' : ''}${highlightSearchTerm('Pending', searchTerm)}
+                    </button>
+                    <button class="task-status status-${task.status}" onclick="changeTaskStatus('${task.id}', 'active')">
+                        ${task.status === 'active' ? '<i class="fas fa-check me-1"></i>' : ''}${highlightSearchTerm('Active', searchTerm)}
+                    </button>
+                    <button class="task-status status-${task.status}" onclick="changeTaskStatus('${task.id}', 'completed')">
+                        ${task.status === 'completed' ? '<i class="fas fa-check me-1"></i>' : ''}${highlightSearchTerm('Completed', searchTerm)}
+                    </button>
+                    <button class="btn btn-info btn-sm" onclick="editTask('${task.id}')" ${getEditBlockReason(task, board) ? 'disabled' : ''}>
+                        <i class="fas fa-edit me-1"></i>Edit Task
+                    </button>
+                    ${task.editCount > 0 && getEditPolicy(board).maxEdits !== null ? `
+                        <button class="btn btn-outline-warning btn-sm" onclick="showResetEdits('${task.id}')" title="Give this task its edits back">
+                            <i class="fas fa-redo me-1"></i>Reset Edits (${task.editCount}/${getEditPolicy(board).maxEdits})
+                        </button>` : ''}
+                    <button class="btn btn-danger btn-sm" onclick="deleteTask('${task.id}')">
+                        <i class="fas fa-trash me-1"></i>Delete Task
+                    </button>
+                    <button class="btn btn-outline-secondary btn-sm" onclick="showDependencies('${task.id}')">
+                        <i class="fas fa-project-diagram me-1"></i>Dependencies (${getPredecessors(task).length})
+                    </button>
+                    <button class="btn btn-outline-secondary btn-sm" onclick="toggleTaskHistory('${task.id}')">
+                        <i class="fas fa-history me-1"></i>History (${(task.history || []).length})
+                    </button>
+                </div>
+                
+                ${openTaskHistories.has(task.id) ? renderTaskHistory(task, board) : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+// ========================================
+// TASK LIST SORTING AND FILTERS
+// ========================================
+
+/**
+ * TASK LIST SORTING AND FILTERS
+ * Every folder shows its tasks with a set of options:
+ * { sortKey, sortDirection, status, priority, hideCompleted, overdueOnly }
+ * (status and priority are 'all' or a single value to show).
+ *
+ * The options are per user: currentData.settings.taskListDefaults holds the defaults
+ * for all folders and currentData.settings.taskListOptions holds { [folderId]: options }
+ * for folders set up differently. Manual order is not one of these options: it belongs
+ * to the folder (folder.taskSort = 'manual', see MOVING AND REORDERING) because it is
+ * the order of folder.tasks itself.
+ *
+ * The options apply to the list and kanban views, both normally and while searching.
+ */
+const STATUS_ORDER = { 'pending': 1, 'active': 2, 'completed': 3 };
+
+const TASK_SORT_KEYS = [
+    { id: 'priority', label: 'Priority', defaultDirection: 'desc', compare: (a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority] },
+    { id: 'dueDate', label: 'Due date', defaultDirection: 'asc', compare: (a, b) => `${a.dueDate}T${a.dueTime}`.localeCompare(`${b.dueDate}T${b.dueTime}`) },
+    { id: 'createdAt', label: 'Created', defaultDirection: 'desc', compare: (a, b) => (a.createdAt || '').localeCompare(b.createdAt || '') },
+    { id: 'title', label: 'Title', defaultDirection: 'asc', compare: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true }) },
+    { id: 'status', label: 'Status', defaultDirection: 'asc', compare: (a, b) => STATUS_ORDER[a.status] - STATUS_ORDER[b.status] }
+];
+
+const DEFAULT_TASK_LIST_OPTIONS = {
+    sortKey: 'priority',
+    sortDirection: 'desc',
+    status: 'all',
+    priority: 'all',
+    hideCompleted: false,
+    overdueOnly: false
+};
+
+/**
+ * Returns the sort and filter options used for a folder
+ * @param {string} [folderId] - Folder ID (the defaults for all folders when omitted)
+ * @returns {object} Task list options
+ */
+function getTaskListOptions(folderId = null) {
+    const settings = currentData.settings || {};
+    const folderOptions = folderId && settings.taskListOptions ? settings.taskListOptions[folderId] : null;
+    return { ...DEFAULT_TASK_LIST_OPTIONS, ...settings.taskListDefaults, ...folderOptions };
+}
+
+/**
+ * Checks whether a folder has its own options instead of the defaults
+ * @param {string} folderId - Folder ID
+ * @returns {boolean} True if the folder has its own options
+ */
+function hasOwnTaskListOptions(folderId) {
+    const taskListOptions = (currentData.settings && currentData.settings.taskListOptions) || {};
+    return Boolean(taskListOptions[folderId]);
+}
+
+/**
+ * Changes the sort and filter options of a folder and remembers them
+ * @param {string} folderId - Folder ID
+ * @param {object} changes - Options to change (e.g. { hideCompleted: true })
+ */
+function setTaskListOptions(folderId, changes) {
+    const options = { ...getTaskListOptions(folderId), ...changes };
+
+    // A new sort key starts in its natural direction (e.g. highest priority, earliest due date first)
+    if (changes.sortKey && !changes.sortDirection) {
+        options.sortDirection = TASK_SORT_KEYS.find(key => key.id === changes.sortKey).defaultDirection;
+    }
+
+    const taskListOptions = { ...(currentData.settings && currentData.settings.taskListOptions), [folderId]: options };
+    currentData.settings = { ...currentData.settings, taskListOptions };
+
+    // Keep keyboard focus on the control that was used
+    const control = Object.keys(changes)[0];
+    pendingFocusSelector = `[data-task-list-control="${folderId}-${control}"]`;
+
+    saveData(currentUser.id, currentData, { type: 'workspace' });
+    renderDashboard();
+}
+
+/**
+ * Makes a folder's options the defaults for all folders without their own options
+ * @param {string} folderId - Folder ID
+ */
+function setDefaultTaskListOptions(folderId) {
+    const taskListOptions = { ...(currentData.settings && currentData.settings.taskListOptions) };
+    const taskListDefaults = getTaskListOptions(folderId);
+    delete taskListOptions[folderId];
+    currentData.settings = { ...currentData.settings, taskListDefaults, taskListOptions };
+
+    saveData(currentUser.id, currentData, { type: 'workspace' });
+    renderDashboard();
+    showNotification('Sorting and filters saved as the default for all folders', 'success');
+}
+
+/**
+ * Lets a folder use the default options again
+ * @param {string} folderId - Folder ID
+ */
+function resetTaskListOptions(folderId) {
+    const taskListOptions = { ...(currentData.settings && currentData.settings.taskListOptions) };
+    delete taskListOptions[folderId];
+    currentData.settings = { ...currentData.settings, taskListOptions };
+
+    saveData(currentUser.id, currentData, { type: 'workspace' });
+    renderDashboard();
+}
+
+/**
+ * Checks whether a task is past its due time and not completed
+ * @param {object} task - Task
+ * @returns {boolean} True if the task is overdue
+ */
+function isTaskOverdue(task) {
+    return task.status !== 'completed' && calculateCountdown(task.dueDate, task.dueTime).overdue;
+}
+
+/**
+ * Checks whether any filter of the options hides tasks
+ * @param {object} options - Task list options
+ * @returns {boolean} True if tasks can be hidden
+ */
+function hasTaskFilters(options) {
+    return options.status !== 'all' || options.priority !== 'all' || options.hideCompleted || options.overdueOnly;
+}
+
+/**
+ * Checks whether a task passes the filters of a set of options
+ * @param {object} task - Task
+ * @param {object} options - Task list options
+ * @returns {boolean} True if the task is shown
+ */
+function isTaskShown(task, options) {
+    if (options.status !== 'all' && task.status !== options.status) return false;
+    if (options.priority !== 'all' && task.priority !== options.priority) return false;
+    if (options.hideCompleted && task.status === 'completed') return false;
+    if (options.overdueOnly && !isTaskOverdue(task)) return false;
+    return true;
+}
+
+/**
+ * Compares two tasks by the sort key and direction of a set of options
+ * @param {object} a - First task
+ * @param {object} b - Second task
+ * @param {object} options - Task list options
+ * @returns {number} Negative if a comes first, positive if b comes first, 0 for a tie
+ */
+function compareTasks(a, b, options) {
+    const sortKey = TASK_SORT_KEYS.find(key => key.id === options.sortKey) || TASK_SORT_KEYS[0];
+    return (options.sortDirection === 'desc' ? -1 : 1) * sortKey.compare(a, b);
+}
+
+/**
+ * Sorts tasks by the sort key and direction of a set of options (ties keep their stored order)
+ * @param {object[]} tasks - Tasks
+ * @param {object} options - Task list options
+ * @returns {object[]} A sorted copy of the tasks
+ */
+function sortTasks(tasks, options) {
+    return [...tasks].sort((a, b) => compareTasks(a, b, options));
+}
+
+/**
+ * Returns the tasks of a folder that are shown, in the order they are shown
+ * @param {object} folder - Folder
+ * @returns {object[]} Sorted tasks that pass the folder's filters
+ */
+function getVisibleTasks(folder) {
+    const options = getTaskListOptions(folder.id);
+    return getOrderedTasks(folder).filter(task => isTaskShown(task, options));
+}
+
+/**
+ * Renders the sort and filter bar shown above a folder's tasks
+ * @param {object} folder - Folder
+ * @returns {string} HTML for the toolbar
+ */
+function renderTaskListToolbar(folder) {
+    const options = getTaskListOptions(folder.id);
+    const manual = folder.taskSort === 'manual';
+    const control = name => `data-task-list-control="${folder.id}-${name}"`;
+    const select = (name, label, choices) => `
+        <select class="form-select form-select-sm" ${control(name)} aria-label="${label}"
+            onchange="setTaskListOptions('${folder.id}', { ${name}: this.value })">
+            ${choices.map(([value, text]) => `<option value="${value}" ${options[name] === value ? 'selected' : ''}>${text}</option>`).join('')}
+        </select>`;
+    const checkbox = (name, label) => `
+        <div class="form-check form-check-inline mb-0">
+            <input class="form-check-input" type="checkbox" id="task-list-${name}-${folder.id}" ${control(name)} ${options[name] ? 'checked' : ''}
+                onchange="setTaskListOptions('${folder.id}', { ${name}: this.checked })">
+            <label class="form-check-label small" for="task-list-${name}-${folder.id}">${label}</label>
+        </div>`;
+
+    return `
+        <div class="task-list-toolbar d-flex flex-wrap align-items-center">
+            <div class="input-group input-group-sm task-list-sort">
+                <span class="input-group-text"><i class="fas fa-sort me-1"></i>Sort</span>
+                <select class="form-select form-select-sm" ${control('sortKey')} aria-label="Sort tasks by"
+                    onchange="setFolderTaskSort('${folder.id}', this.value)">
+                    ${TASK_SORT_KEYS.map(key => `<option value="${key.id}" ${!manual && options.sortKey === key.id ? 'selected' : ''}>${key.label}</option>`).join('')}
+                    <option value="manual" ${manual ? 'selected' : ''}>Manual order</option>
+                </select>
+                <button class="btn btn-outline-secondary" ${control('sortDirection')} ${manual ? 'disabled' : ''}
+                    onclick="setTaskListOptions('${folder.id}', { sortDirection: '${options.sortDirection === 'asc' ? 'desc' : 'asc'}' })"
+                    title="${options.sortDirection === 'asc' ? 'Ascending - click for descending' : 'Descending - click for ascending'}"
+                    aria-label="Sort direction: ${options.sortDirection === 'asc' ? 'ascending' : 'descending'}">
+                    <i class="fas fa-sort-amount-${options.sortDirection === 'asc' ? 'up' : 'down'}"></i>
+                </button>
+            </div>
+            <div class="task-list-filter">
+                ${select('status', 'Show status', [['all', 'All statuses'], ...KANBAN_COLUMNS.map(column => [column.status, column.label])])}
+            </div>
+            <div class="task-list-filter">
+                ${select('priority', 'Show priority', [['all', 'All priorities'], ['urgent', 'Urgent'], ['high', 'High'], ['medium', 'Medium'], ['low', 'Low']])}
+            </div>
+            ${checkbox('hideCompleted', 'Hide completed')}
+            ${checkbox('overdueOnly', 'Overdue only')}
+            <div class="ms-auto">
+                ${hasOwnTaskListOptions(folder.id) ? `
+                <button class="btn btn-link btn-sm" onclick="setDefaultTaskListOptions('${folder.id}')" title="Use this sorting and these filters for all folders">
+                    <i class="fas fa-thumbtack me-1"></i>Make Default
+                </button>
+                <button class="btn btn-link btn-sm" onclick="resetTaskListOptions('${folder.id}')" title="Go back to the default sorting and filters">
+                    <i class="fas fa-undo me-1"></i>Reset
+                </button>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+// ========================================
+// MOVING AND REORDERING
+// ========================================
+
+/**
+ * MOVING AND REORDERING
+ * Folders are shown in the order of board.folders. Tasks are sorted by the folder's
+ * options (see TASK LIST SORTING AND FILTERS) unless the folder has folder.taskSort = 'manual',
+ * in which case folder.tasks is shown as stored. Dropping a task at a position switches
+ * its folder to manual order.
+ *
+ * Tasks can be dragged onto another task (placed before it) or onto a folder
+ * (added at the end); folders onto another folder (placed before it) or onto a
+ * board (added at the end). Moves into another folder or board apply the same
+ * duplicate-name checks as adding a task or folder there.
+ */
+const DRAG_TYPES = {
+    task: 'application/x-taskboard-task',
+    folder: 'application/x-taskboard-folder',
+    schedule: 'application/x-taskboard-schedule'   // Task dragged to another date in the calendar
+};
+
+const PRIORITY_ORDER = { 'urgent': 4, 'high': 3, 'medium': 2, 'low': 1 };
+
+/**
+ * Returns all tasks of a folder in the order they are shown (filters are not applied)
+ * @param {object} folder - Folder
+ * @returns {object[]} Tasks sorted by the folder's options unless the folder is in manual order
+ */
+function getOrderedTasks(folder) {
+    const tasks = [...(folder.tasks || [])];
+    if (folder.taskSort === 'manual') return tasks;
+
+    return sortTasks(tasks, getTaskListOptions(folder.id));
+}
+
+/**
+ * Switches a folder to another sort key or to manual order
+ * @param {string} folderId - Folder ID
+ * @param {string} taskSort - One of the TASK_SORT_KEYS ids or 'manual'
+ */
+function setFolderTaskSort(folderId, taskSort) {
+    const location = findFolderLocation(folderId);
+    if (!location) return;
+    const { board, folder } = location;
+
+    // Switching between sort keys only changes the user's options
+    if (taskSort !== 'manual' && folder.taskSort !== 'manual') {
+        setTaskListOptions(folderId, { sortKey: taskSort });
+        return;
+    }
+
+    const before = captureBoardState(board.id);
+    if (taskSort === 'manual') {
+        // Keep the order the user is looking at as the starting manual order
+        folder.tasks = getOrderedTasks(folder);
+        folder.taskSort = 'manual';
+    } else {
+        delete folder.taskSort;
+    }
+    const sortLabel = taskSort === 'manual' ? 'hand' : TASK_SORT_KEYS.find(key => key.id === taskSort).label.toLowerCase();
+    recordChange(`Sort folder "${folder.name}" by ${sortLabel}`, before);
+
+    saveData(currentUser.id, currentData, { type: 'folder', id: folder.id, boardId: board.id });
+    if (taskSort === 'manual') {
+        pendingFocusSelector = `[data-task-list-control="${folderId}-sortKey"]`;
+        setTimeout(() => {
+            renderDashboard();
+        }, 10);
+    } else {
+        setTaskListOptions(folderId, { sortKey: taskSort });
+    }
+}
+
+/**
+ * Moves a task to another position, folder or board
+ * @param {string} taskId - Task to move
+ * @param {string} targetFolderId - Destination folder
+ * @param {string} [beforeTaskId] - Place the task before this task (end of the folder when omitted)
+ */
+function moveTask(taskId, targetFolderId, beforeTaskId = null) {
+    const source = findTaskLocation(taskId);
+    const target = findFolderLocation(targetFolderId);
+    if (!source || !target || beforeTaskId === taskId) return;
+
+    const { task } = source;
+    const sameFolder = source.folder === target.folder;
+    if (sameFolder && !beforeTaskId) return;
+
+    // Check if task with same name already exists in the destination folder
+    if (!sameFolder && (target.folder.tasks || []).some(t => t.title.toLowerCase() === task.title.toLowerCase())) {
+        showNotification(`A task with this name already exists in folder "${target.folder.name}"`, 'error');
+        return;
+    }
+
+    const before = [captureBoardState(source.board.id)];
+    if (target.board !== source.board) before.push(captureBoardState(target.board.id));
+
+    // A drop position only means something in manual order, so freeze the order currently shown
+    if (beforeTaskId) {
+        target.folder.tasks = getOrderedTasks(target.folder);
+        target.folder.taskSort = 'manual';
+    }
+
+    source.folder.tasks = source.folder.tasks.filter(t => t.id !== taskId);
+    if (!target.folder.tasks) target.folder.tasks = [];
+    const index = beforeTaskId ? target.folder.tasks.findIndex(t => t.id === beforeTaskId) : -1;
+    if (index === -1) {
+        target.folder.tasks.push(task);
+    } else {
+        target.folder.tasks.splice(index, 0, task);
+    }
+
+    if (!sameFolder) {
+        recordTaskHistory(task, {
+            type: 'moved',
+            from: { boardName: source.board.name, folderName: source.folder.name },
+            to: { boardName: target.board.name, folderName: target.folder.name }
+        });
+        openFolders.add(target.folder.id);
+    }
+    const label = sameFolder ? `Reorder task "${task.title}"` : `Move task "${task.title}" to "${target.folder.name}"`;
+    recordChange(label, before);
+
+    // Two folders (possibly on two boards) changed - write everything
+    saveData(currentUser.id, currentData);
+    setTimeout(() => {
+        renderDashboard();
+        if (!sameFolder) {
+            showNotification(`Task "${task.title}" moved to "${target.folder.name}"`, 'success', 5000, { label: 'Undo', onClick: undoLastChange });
+        }
+    }, 10);
+}
+
+/**
+ * Moves a folder to another position or board
+ * @param {string} folderId - Folder to move
+ * @param {string} targetBoardId - Destination board
+ * @param {string} [beforeFolderId] - Place the folder before this folder (end of the board when omitted)
+ */
+function moveFolder(folderId, targetBoardId, beforeFolderId = null) {
+    const source = findFolderLocation(folderId);
+    const targetBoard = findBoard(targetBoardId);
+    if (!source || !targetBoard || beforeFolderId === folderId) return;
+
+    const { folder } = source;
+    const sameBoard = source.board === targetBoard;
+    if (sameBoard && !beforeFolderId) return;
+
+    // Check if folder already exists in the destination board
+    if (!sameBoard && (targetBoard.folders || []).some(f => f.name.toLowerCase() === folder.name.toLowerCase())) {
+        showNotification(`Folder already exists in board "${targetBoard.name}"`, 'error');
+        return;
+    }
+
+    const before = [captureBoardState(source.board.id)];
+    if (!sameBoard) before.push(captureBoardState(targetBoard.id));
+
+    source.board.folders = source.board.folders.filter(f => f.id !== folderId);
+    if (!targetBoard.folders) targetBoard.folders = [];
+    const index = beforeFolderId ? targetBoard.folders.findIndex(f => f.id === beforeFolderId) : -1;
+    if (index === -1) {
+        targetBoard.folders.push(folder);
+    } else {
+        targetBoard.folders.splice(index, 0, folder);
+    }
+
+    if (!sameBoard) {
+        (folder.tasks || []).forEach(task => recordTaskHistory(task, {
+            type: 'moved',
+            from: { boardName: source.board.name, folderName: folder.name },
+            to: { boardName: targetBoard.name, folderName: folder.name }
+        }));
+        openBoards.add(targetBoard.id);
+    }
+    const label = sameBoard ? `Reorder folder "${folder.name}"` : `Move folder "${folder.name}" to "${targetBoard.name}"`;
+    recordChange(label, before);
+
+    // Task records carry their board ID, so a move between boards rewrites them all
+    saveData(currentUser.id, currentData);
+    setTimeout(() => {
+        renderDashboard();
+        if (!sameBoard) {
+            showNotification(`Folder "${folder.name}" moved to "${targetBoard.name}"`, 'success', 5000, { label: 'Undo', onClick: undoLastChange });
+        }
+    }, 10);
+}
+
+/**
+ * Starts dragging a task or folder
+ * @param {DragEvent} event - dragstart event
+ * @param {string} kind - 'task' or 'folder'
+ * @param {string} id - ID of the dragged item
+ */
+function itemDragStart(event, kind, id) {
+    event.stopPropagation();
+    event.dataTransfer.setData(DRAG_TYPES[kind], id);
+    event.dataTransfer.effectAllowed = 'move';
+}
+
+/**
+ * Lets an element accept a drop when the dragged item is of an accepted kind
+ * @param {DragEvent} event - dragover event
+ * @param {string} accepts - Space separated kinds the element accepts ('task', 'folder')
+ */
+function allowDrop(event, accepts) {
+    const types = Array.from(event.dataTransfer.types);
+    if (!accepts.split(' ').some(kind => types.includes(DRAG_TYPES[kind]))) return;
+
+    // Handled here, so containers further up do not highlight as well
+    event.preventDefault();
+    event.stopPropagation();
+    event.dataTransfer.dropEffect = 'move';
+    event.currentTarget.classList.add('drag-over');
+}
+
+/**
+ * Removes the drop highlight once the dragged item leaves an element
+ * @param {DragEvent} event - dragleave event
+ */
+function dropTargetLeave(event) {
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+        event.currentTarget.classList.remove('drag-over');
+    }
+}
+
+/**
+ * Reads the dragged item from a drop event and clears the highlight
+ * @param {DragEvent} event - drop event
+ * @returns {object} { taskId, folderId, schedule } - only the dragged kind is set
+ */
+function takeDroppedItem(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    event.currentTarget.classList.remove('drag-over');
+    return {
+        taskId: event.dataTransfer.getData(DRAG_TYPES.task),
+        folderId: event.dataTransfer.getData(DRAG_TYPES.folder),
+        schedule: event.dataTransfer.getData(DRAG_TYPES.schedule)
+    };
+}
+
+/**
+ * Handles a task dropped on another task: places it before that task
+ * @param {DragEvent} event - drop event
+ * @param {string} targetTaskId - Task the item was dropped on
+ */
+function dropOnTask(event, targetTaskId) {
+    const { taskId } = takeDroppedItem(event);
+    const target = findTaskLocation(targetTaskId);
+    if (taskId && target) {
+        moveTask(taskId, target.folder.id, targetTaskId);
+    }
+}
+
+/**
+ * Handles an item dropped on a folder: a task is added at the end of the folder,
+ * a folder is placed before it
+ * @param {DragEvent} event - drop event
+ * @param {string} targetFolderId - Folder the item was dropped on
+ */
+function dropOnFolder(event, targetFolderId) {
+    const { taskId, folderId } = takeDroppedItem(event);
+    const target = findFolderLocation(targetFolderId);
+    if (!target) return;
+
+    if (taskId) {
+        moveTask(taskId, targetFolderId);
+    } else if (folderId) {
+        moveFolder(folderId, target.board.id, targetFolderId);
+    }
+}
+
+/**
+ * Handles a folder dropped on a board: adds it at the end of the board
+ * @param {DragEvent} event - drop event
+ * @param {string} boardId - Board the folder was dropped on
+ */
+function dropOnBoard(event, boardId) {
+    const { folderId } = takeDroppedItem(event);
+    if (folderId) {
+        moveFolder(folderId, boardId);
+    }
+}
+
+// ========================================
+// SAVED SEARCH VIEWS
+// ========================================
+
+/**
+ * SAVED SEARCH VIEWS
+ * Searches that are run again and again can be saved as named views in the sidebar.
+ * They are kept in currentData.settings.savedViews as
+ * [{ id, name, term, searchType, display }] (display: 'tree' or 'results', see getSearchDisplay).
+ * Applying a view fills in the search box and renders it like a typed search, so the
+ * boards and folders searchData reports in expandBoards / expandFolders are opened.
+ */
+
+// Sidebar match counts: { version, minute, counts: Map of "searchType:term" -> count }
+let savedViewCountCache = { version: -1, minute: null, counts: new Map() };
+
+/**
+ * Returns the saved search views of the current user
+ * @returns {object[]} Saved views in sidebar order
+ */
+function getSavedViews() {
+    return (currentData.settings && currentData.settings.savedViews) || [];
+}
+
+/**
+ * Stores the saved search views and refreshes the sidebar
+ * @param {object[]} savedViews - Saved views in sidebar order
+ */
+function setSavedViews(savedViews) {
+    currentData.settings = { ...currentData.settings, savedViews };
+    saveData(currentUser.id, currentData, { type: 'workspace' });
+    renderSavedViews();
+}
+
+/**
+ * Counts what a saved view currently finds
+ * @param {object} view - Saved view
+ * @returns {number|null} Matching tasks (boards or folders for those search types), null if the query cannot be parsed
+ *
+ * Counts are cached until the workspace changes (searchIndexVersion) or the minute
+ * turns over, since queries like overdue or due:today depend on the clock.
+ */
+function countSavedViewMatches(view) {
+    // A pending rebuild bumps the version, so do it before checking the cache
+    ensureSearchIndex();
+    const minute = Math.floor(Date.now() / 60000);
+    if (savedViewCountCache.version !== searchIndexVersion || savedViewCountCache.minute !== minute) {
+        savedViewCountCache = { version: searchIndexVersion, minute, counts: new Map() };
+    }
+
+    const key = `${view.searchType}:${view.term}`;
+    if (!savedViewCountCache.counts.has(key)) {
+        savedViewCountCache.counts.set(key, countSearchMatches(view.term, view.searchType === 'all' ? 'tasks' : view.searchType));
+    }
+    return savedViewCountCache.counts.get(key);
+}
+
+/**
+ * Opens the save view modal for the search in the search box
+ */
+function showSaveView() {
+    const term = searchInput.value.trim();
+    if (!term) {
+        showNotification('Type a search first, then save it as a view', 'error');
+        return;
+    }
+    try {
+        parseSearchQuery(term);
+    } catch (error) {
+        showNotification(`Search not understood: ${error.message}`, 'error');
+        return;
+    }
+
+    // Saving the search of an existing view again suggests that view's name
+    const existing = getSavedViews().find(view => view.term === term && view.searchType === searchType.value);
+    document.getElementById('savedViewNameInput').value = existing ? existing.name : '';
+    document.getElementById('savedViewQuery').textContent = term;
+    savedViewModal.show();
+}
+
+/**
+ * Saves the search in the search box under the name entered in the save view modal;
+ * a view with the same name is updated in place
+ */
+function saveView() {
+    const name = document.getElementById('savedViewNameInput').value.trim();
+    const term = searchInput.value.trim();
+    if (!name) {
+        showNotification('Please enter a view name', 'error');
+        return;
+    }
+
+    const view = { id: generateId(), name, term, searchType: searchType.value, display: getSearchDisplay() };
+    const savedViews = [...getSavedViews()];
+    const index = savedViews.findIndex(v => v.name.toLowerCase() === name.toLowerCase());
+    if (index !== -1) {
+        savedViews[index] = { ...view, id: savedViews[index].id };
+    } else {
+        savedViews.push(view);
+    }
+
+    setSavedViews(savedViews);
+    savedViewModal.hide();
+    showNotification(`View "${name}" ${index !== -1 ? 'updated' : 'saved'}`, 'success');
+}
+
+/**
+ * Runs a saved view: fills in the search and opens everything it finds
+ * @param {string} viewId - Saved view ID
+ */
+function applySavedView(viewId) {
+    const view = getSavedViews().find(v => v.id === viewId);
+    if (!view) return;
+
+    searchInput.value = view.term;
+    searchType.value = view.searchType;
+    previousSearchTerm = view.term;
+    searchResultLimit = SEARCH_RESULTS_PAGE;
+    updateClearSearchButton();
+
+    // Start from closed boards so only what the view finds is opened
+    openBoards.clear();
+    openFolders.clear();
+
+    if (view.display && view.display !== getSearchDisplay()) {
+        setSearchDisplay(view.display);
+    } else {
+        renderDashboard();
+    }
+}
+
+/**
+ * Deletes a saved view (with an undo button in the notification)
+ * @param {string} viewId - Saved view ID
+ */
+function deleteSavedView(viewId) {
+    const savedViews = getSavedViews();
+    const index = savedViews.findIndex(v => v.id === viewId);
+    if (index === -1) return;
+
+    const view = savedViews[index];
+    setSavedViews(savedViews.filter(v => v.id !== viewId));
+    showNotification(`View "${view.name}" deleted`, 'success', 6000, {
+        label: 'Undo',
+        onClick: () => {
+            const restored = [...getSavedViews()];
+            restored.splice(Math.min(index, restored.length), 0, view);
+            setSavedViews(restored);
+        }
+    });
+}
+
+/**
+ * Renders the saved views sidebar with a live count for every view
+ */
+function renderSavedViews() {
+    const list = document.getElementById('savedViewsList');
+    if (!list || !currentUser) return;
+
+    const term = searchInput.value.trim();
+    document.getElementById('saveViewBtn').disabled = !term;
+
+    const savedViews = getSavedViews();
+    if (savedViews.length === 0) {
+        list.innerHTML = `
+            <p class="text-muted small mb-0 saved-views-empty">
+                Search for something you check often (e.g. <code>priority:high status:active</code>
+                or <code>due:today..+1w</code>) and save it to rerun it with one click.
+            </p>
+        `;
+        return;
+    }
+
+    list.innerHTML = savedViews.map(view => {
+        const count = countSavedViewMatches(view);
+        const active = term === view.term && searchType.value === view.searchType;
+        return `
+            <div class="saved-view list-group-item list-group-item-action d-flex align-items-center${active ? ' active' : ''}"
+                role="button" tabindex="0" title="${escapeHtml(view.term)}${view.searchType !== 'all' ? ` (${view.searchType})` : ''}"
+                onclick="applySavedView('${view.id}')" onkeydown="if (event.key === 'Enter') applySavedView('${view.id}')">
+                <i class="fas fa-${view.display === 'results' ? 'list-ol' : 'filter'} me-2 saved-view-icon"></i>
+                <span class="saved-view-name flex-grow-1 text-truncate">${escapeHtml(view.name)}</span>
+                <span class="badge rounded-pill ${count === null ? 'bg-danger' : 'bg-secondary'} ms-2"
+                    title="${count === null ? 'Search not understood' : 'Current matches'}">${count === null ? '!' : count}</span>
+                <button class="btn btn-sm btn-link saved-view-delete ms-1 p-0" title="Delete view" aria-label="Delete view ${escapeHtml(view.name)}"
+                    onclick="event.stopPropagation(); deleteSavedView('${view.id}')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+    }).join('');
+}
+
+// ========================================
+// BOARD VIEWS
+// ========================================
+
+/**
+ * BOARD VIEWS
+ * A board (all of its folders) or a single folder can be shown in one of VIEW_MODES.
+ * The chosen view is kept in currentData.settings.viewModes as { [boardId or folderId]: mode };
+ * 'list' is the default and is not stored.
+ */
+const VIEW_MODES = [
+    { id: 'list', label: 'List', icon: 'list' },
+    { id: 'kanban', label: 'Kanban', icon: 'columns' },
+    { id: 'calendar', label: 'Calendar', icon: 'calendar-alt' },
+    { id: 'timeline', label: 'Timeline', icon: 'stream', boardOnly: true }
+];
+
+/**
+ * Returns the view chosen for a board or folder
+ * @param {string} id - Board or folder ID
+ * @returns {string} One of the VIEW_MODES ids
+ */
+function getViewMode(id) {
+    const viewModes = (currentData.settings && currentData.settings.viewModes) || {};
+    return viewModes[id] || 'list';
+}
+
+/**
+ * Switches a board or folder to another view and remembers the choice
+ * @param {string} id - Board or folder ID
+ * @param {string} mode - One of the VIEW_MODES ids
+ */
+function setViewMode(id, mode) {
+    const viewModes = { ...(currentData.settings && currentData.settings.viewModes) };
+    if (mode === 'list') {
+        delete viewModes[id];
+    } else {
+        viewModes[id] = mode;
+    }
+    currentData.settings = { ...currentData.settings, viewModes };
+
+    saveData(currentUser.id, currentData, { type: 'workspace' });
+    renderDashboard();
+}
+
+/**
+ * Renders the view switch for a board or folder header
+ * @param {string} id - Board or folder ID
+ * @param {string} [buttonClass] - Bootstrap button style for the inactive buttons
+ * @param {boolean} [isFolder] - Leave out the views that only exist for whole boards
+ * @returns {string} HTML for the button group
+ */
+function renderViewSwitch(id, buttonClass = 'btn-light', isFolder = false) {
+    const mode = getViewMode(id);
+    return `
+        <div class="btn-group btn-group-sm me-2 view-switch" role="group" aria-label="View">
+            ${VIEW_MODES.filter(view => !(isFolder && view.boardOnly)).map(view => `
+                <button class="btn ${mode === view.id ? 'btn-primary' : buttonClass}" onclick="event.stopPropagation(); setViewMode('${id}', '${view.id}')"
+                    title="${view.label} view" aria-pressed="${mode === view.id}">
+                    <i class="fas fa-${view.icon}"></i><span class="visually-hidden">${view.label} view</span>
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Renders the content of a board or folder in its chosen view
+ * @param {object} board - Board to show
+ * @param {object} [folder] - Folder to show (the whole board when omitted)
+ * @param {string} [searchTerm] - Search term for highlighting
+ * @returns {string} HTML for the board or folder content
+ */
+function renderView(board, folder = null, searchTerm = '') {
+    switch (getViewMode(folder ? folder.id : board.id)) {
+        case 'kanban':
+            return renderKanban(board, folder, searchTerm);
+        case 'calendar':
+            return renderCalendar(board, folder, searchTerm);
+        case 'timeline':
+            if (!folder) return renderTimeline(board, searchTerm);
+            break;
+    }
+    return folder ? renderFolderTasks(folder, searchTerm, board) : renderBoardFolders(board, searchTerm);
+}
+
+// ========================================
+// KANBAN VIEW
+// ========================================
+
+/**
+ * KANBAN VIEW
+ * A board (all of its folders) or a single folder can be shown as columns
+ * grouped by task status instead of the priority-sorted list.
+ *
+ * Cards can be dragged between columns, or moved with the arrow buttons /
+ * Left and Right arrow keys. Every move goes through changeTaskStatus.
+ */
+const KANBAN_COLUMNS = [
+    { status: 'pending', label: 'Pending', icon: 'hourglass-start' },
+    { status: 'active', label: 'Active', icon: 'spinner' },
+    { status: 'completed', label: 'Completed', icon: 'check-circle' }
+];
+
+/**
+ * Renders tasks as Pending / Active / Completed columns
+ * @param {object} board - Board to show
+ * @param {object} [folder] - Only show this folder's tasks (whole board when omitted)
+ * @param {string} [searchTerm] - Search term for highlighting
+ * @returns {string} HTML for the kanban columns
+ */
+function renderKanban(board, folder = null, searchTerm = '') {
+    // Each folder's filters apply; the cards of a whole board are sorted by the default options
+    const entries = (folder ? [folder] : board.folders || []).flatMap(f =>
+        getVisibleTasks(f).map(task => ({ task, folder: f })));
+    const sortOptions = getTaskListOptions(folder ? folder.id : null);
+
+    if (!folder && (board.folders || []).length === 0) {
+        return renderBoardFolders(board, searchTerm);
+    }
+
+    return `
+        <div class="kanban-board">
+            ${KANBAN_COLUMNS.map((column, columnIndex) => {
+                const cards = entries.filter(entry => entry.task.status === column.status);
+                if (!(folder && folder.taskSort === 'manual')) cards.sort((a, b) => compareTasks(a.task, b.task, sortOptions));
+
+                return `
+                    <div class="kanban-column" data-status="${column.status}"
+                        ondragover="kanbanDragOver(event)" ondragleave="dropTargetLeave(event)" ondrop="kanbanDrop(event, '${column.status}')">
+                        <div class="kanban-column-header status-${column.status}">
+                            <i class="fas fa-${column.icon} me-2"></i>${column.label}
+                            <span class="badge bg-light text-dark ms-2">${cards.length}</span>
+                        </div>
+                        <div class="kanban-cards">
+                            ${cards.length === 0 ? '<p class="text-muted small text-center my-3">No tasks</p>' : ''}
+                            ${cards.map(({ task, folder: taskFolder }) => `
+                                <div class="task-item kanban-card priority-${task.priority}" data-task-id="${task.id}"
+                                    draggable="true" tabindex="0" ondragstart="kanbanDragStart(event, '${task.id}')"
+                                    onkeydown="kanbanCardKeydown(event, '${task.id}', ${columnIndex})"
+                                    aria-label="${escapeHtml(task.title)}, ${column.label}. Use left and right arrow keys to change status.">
+                                    <div class="task-title">${highlightSearchTerm(task.title, searchTerm)}</div>
+                                    <div class="d-flex justify-content-between align-items-center mt-1">
+                                        <span class="task-priority priority-${task.priority}">${task.priority}</span>
+                                        ${folder ? '' : `<small class="text-muted"><i class="fas fa-folder me-1"></i>${escapeHtml(taskFolder.name)}</small>`}
+                                    </div>
+                                    <div class="task-countdown"></div>
+                                    <div class="kanban-card-actions">
+                                        <button class="btn btn-light btn-sm" onclick="changeTaskStatus('${task.id}', '${(KANBAN_COLUMNS[columnIndex - 1] || {}).status}')"
+                                            ${columnIndex === 0 ? 'disabled' : ''} aria-label="Move to ${(KANBAN_COLUMNS[columnIndex - 1] || {}).label || ''}">
+                                            <i class="fas fa-arrow-left"></i>
+                                        </button>
+                                        <button class="btn btn-light btn-sm" onclick="editTask('${task.id}')" aria-label="Edit task">
+                                            <i class="fas fa-edit"></i>
+                                        </button>
+                                        <button class="btn btn-light btn-sm" onclick="changeTaskStatus('${task.id}', '${(KANBAN_COLUMNS[columnIndex + 1] || {}).status}')"
+                                            ${columnIndex === KANBAN_COLUMNS.length - 1 ? 'disabled' : ''} aria-label="Move to ${(KANBAN_COLUMNS[columnIndex + 1] || {}).label || ''}">
+                                            <i class="fas fa-arrow-right"></i>
+                                        </button>
+                                    </div>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Starts dragging a kanban card
+ * @param {DragEvent} event - dragstart event
+ * @param {string} taskId - Dragged task
+ */
+function kanbanDragStart(event, taskId) {
+    event.dataTransfer.setData('text/plain', taskId);
+    event.dataTransfer.effectAllowed = 'move';
+}
+
+/**
+ * Lets a column accept the dragged card and highlights it
+ * @param {DragEvent} event - dragover event
+ */
+function kanbanDragOver(event) {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    event.currentTarget.classList.add('drag-over');
+}
+
+/**
+ * Changes the status of a card dropped on a column
+ * @param {DragEvent} event - drop event
+ * @param {string} status - Status of the column
+ */
+function kanbanDrop(event, status) {
+    event.preventDefault();
+    event.currentTarget.classList.remove('drag-over');
+
+    const taskId = event.dataTransfer.getData('text/plain');
+    const location = findTaskLocation(taskId);
+    if (location && location.task.status !== status) {
+        changeTaskStatus(taskId, status);
+    }
+}
+
+/**
+ * Keyboard moves for kanban cards: Left/Right change the status, Enter opens the editor
+ * @param {KeyboardEvent} event - keydown event on a card
+ * @param {string} taskId - Task on the card
+ * @param {number} columnIndex - Index of the card's column in KANBAN_COLUMNS
+ */
+function kanbanCardKeydown(event, taskId, columnIndex) {
+    if (event.target !== event.currentTarget) return;
+
+    const offset = event.key === 'ArrowLeft' ? -1 : event.key === 'ArrowRight' ? 1 : 0;
+    if (offset !== 0) {
+        const column = KANBAN_COLUMNS[columnIndex + offset];
+        if (!column) return;
+        event.preventDefault();
+        pendingFocusSelector = `.kanban-card[data-task-id="${taskId}"]`;
+        changeTaskStatus(taskId, column.status);
+    } else if (event.key === 'Enter') {
+        event.preventDefault();
+        editTask(taskId);
+    }
+}
+
+// ========================================
+// CALENDAR VIEW
+// ========================================
+
+/**
+ * CALENDAR VIEW
+ * Shows tasks on a month, week or day calendar as spans from their start to their
+ * due date/time. The month view lists a task on every day it covers; the week and
+ * day views place it on an hour grid.
+ *
+ * Dragging a task to another day (month) or time (week/day) shifts its start and
+ * due date/time by the same amount. A reschedule is an edit: it counts against the
+ * board's edit policy and is validated like updateTask.
+ */
+const CALENDAR_RANGES = [
+    { id: 'month', label: 'Month' },
+    { id: 'week', label: 'Week' },
+    { id: 'day', label: 'Day' }
+];
+
+const CALENDAR_HOUR_HEIGHT = 40;    // Pixels per hour in the week and day views
+const CALENDAR_SNAP_MINUTES = 15;   // Times dropped on the hour grid are rounded to this
+
+// Range and shown date of each calendar by board or folder ID (not saved)
+const calendarStates = new Map();
+
+/**
+ * Returns the range and date shown by a calendar
+ * @param {string} id - Board or folder ID
+ * @returns {object} { range, date } - date is a YYYY-MM-DD string inside the shown range
+ */
+function getCalendarState(id) {
+    if (!calendarStates.has(id)) {
+        calendarStates.set(id, { range: 'month', date: toLocalDateString(new Date()) });
+    }
+    return calendarStates.get(id);
+}
+
+/**
+ * Switches a calendar between month, week and day
+ * @param {string} id - Board or folder ID
+ * @param {string} range - 'month', 'week' or 'day'
+ */
+function setCalendarRange(id, range) {
+    getCalendarState(id).range = range;
+    renderDashboard();
+}
+
+/**
+ * Moves a calendar to the previous or next month/week/day, or back to today
+ * @param {string} id - Board or folder ID
+ * @param {number} step - -1 for previous, 1 for next, 0 for today
+ */
+function shiftCalendar(id, step) {
+    const state = getCalendarState(id);
+    const date = step === 0 ? new Date() : new Date(`${state.date}T00:00`);
+
+    if (state.range === 'month') {
+        date.setDate(1);
+        date.setMonth(date.getMonth() + step);
+    } else {
+        date.setDate(date.getDate() + step * (state.range === 'week' ? 7 : 1));
+    }
+    state.date = toLocalDateString(date);
+    renderDashboard();
+}
+
+/**
+ * Lists the days a calendar shows (whole weeks from Sunday for the month view)
+ * @param {object} state - Calendar state from getCalendarState
+ * @returns {Date[]} Midnight of every shown day
+ */
+function getCalendarDays(state) {
+    const anchor = new Date(`${state.date}T00:00`);
+    let first = anchor;
+    let count = 1;
+
+    if (state.range === 'week') {
+        first = new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() - anchor.getDay());
+        count = 7;
+    } else if (state.range === 'month') {
+        const monthStart = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+        const daysInMonth = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0).getDate();
+        first = new Date(monthStart.getFullYear(), monthStart.getMonth(), 1 - monthStart.getDay());
+        count = Math.ceil((monthStart.getDay() + daysInMonth) / 7) * 7;
+    }
+
+    return Array.from({ length: count }, (_, i) => new Date(first.getFullYear(), first.getMonth(), first.getDate() + i));
+}
+
+/**
+ * Collects the tasks of a board or folder with their start and due as dates
+ * @param {object} board - Board
+ * @param {object} [folder] - Only this folder's tasks (whole board when omitted)
+ * @returns {object[]} { task, start, end } sorted by start; tasks without valid dates are left out
+ */
+function getCalendarEntries(board, folder = null) {
+    return (folder ? [folder] : board.folders || [])
+        .flatMap(f => (f.tasks || []).map(task => ({
+            task,
+            start: new Date(`${task.startDate}T${task.startTime}`),
+            end: new Date(`${task.dueDate}T${task.dueTime}`)
+        })))
+        .filter(entry => !isNaN(entry.start) && !isNaN(entry.end))
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Checks whether a task's span covers part of a day
+ * @param {object} entry - Calendar entry
+ * @param {Date} day - Midnight of the day
+ * @returns {boolean} True if the task is shown on that day
+ */
+function coversDay(entry, day) {
+    const dayEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+    // A task due exactly at midnight does not spill into the next day
+    return entry.start < dayEnd && (entry.end > day || entry.start >= day);
+}
+
+/**
+ * Renders a board or folder as a calendar
+ * @param {object} board - Board to show
+ * @param {object} [folder] - Only show this folder's tasks (whole board when omitted)
+ * @param {string} [searchTerm] - Search term for highlighting
+ * @returns {string} HTML for the calendar
+ */
+function renderCalendar(board, folder = null, searchTerm = '') {
+    const id = folder ? folder.id : board.id;
+    const state = getCalendarState(id);
+    const days = getCalendarDays(state);
+    const entries = getCalendarEntries(board, folder);
+    const anchor = new Date(`${state.date}T00:00`);
+
+    let title;
+    if (state.range === 'month') {
+        title = anchor.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    } else if (state.range === 'week') {
+        title = `${formatDate(days[0])} &ndash; ${formatDate(days[days.length - 1])}`;
+    } else {
+        title = anchor.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    return `
+        <div class="calendar-view">
+            <div class="calendar-toolbar">
+                <div class="btn-group btn-group-sm" role="group" aria-label="Calendar navigation">
+                    <button class="btn btn-outline-secondary" onclick="shiftCalendar('${id}', -1)" aria-label="Previous ${state.range}">
+                        <i class="fas fa-chevron-left"></i>
+                    </button>
+                    <button class="btn btn-outline-secondary" onclick="shiftCalendar('${id}', 0)">Today</button>
+                    <button class="btn btn-outline-secondary" onclick="shiftCalendar('${id}', 1)" aria-label="Next ${state.range}">
+                        <i class="fas fa-chevron-right"></i>
+                    </button>
+                </div>
+                <h6 class="mb-0">${title}</h6>
+                <div class="btn-group btn-group-sm" role="group" aria-label="Calendar range">
+                    ${CALENDAR_RANGES.map(range => `
+                        <button class="btn ${state.range === range.id ? 'btn-primary' : 'btn-outline-secondary'}"
+                            onclick="setCalendarRange('${id}', '${range.id}')" aria-pressed="${state.range === range.id}">${range.label}</button>
+                    `).join('')}
+                </div>
+            </div>
+            ${state.range === 'month'
+                ? renderCalendarMonth(days, entries, anchor.getMonth(), searchTerm)
+                : renderCalendarTimeGrid(id, days, entries, searchTerm)}
+        </div>
+    `;
+}
+
+/**
+ * Builds the attributes shared by every task on the calendar (open, drag, tooltip)
+ * @param {object} entry - Calendar entry
+ * @param {string} date - Day the task is shown on (YYYY-MM-DD)
+ * @returns {string} HTML attributes
+ */
+function calendarEventAttributes(entry, date) {
+    const { task } = entry;
+    return `data-task-id="${task.id}" role="button" tabindex="0" draggable="true"
+        title="${escapeHtml(task.title)}: ${formatDateTime(task.startDate, task.startTime)} - ${formatDateTime(task.dueDate, task.dueTime)}"
+        onclick="editTask('${task.id}')" onkeydown="if (event.key === 'Enter') editTask('${task.id}')"
+        ondragstart="calendarDragStart(event, '${task.id}', '${date}')"`;
+}
+
+/**
+ * Renders the month view: one cell per day listing the tasks that cover it
+ * @param {Date[]} days - Shown days
+ * @param {object[]} entries - Calendar entries
+ * @param {number} month - Month being shown (days of other months are dimmed)
+ * @param {string} searchTerm - Search term for highlighting
+ * @returns {string} HTML for the month grid
+ */
+function renderCalendarMonth(days, entries, month, searchTerm) {
+    const today = toLocalDateString(new Date());
+
+    return `
+        <div class="calendar-month">
+            ${days.slice(0, 7).map(day => `<div class="calendar-weekday">${day.toLocaleDateString('en-US', { weekday: 'short' })}</div>`).join('')}
+            ${days.map(day => {
+                const date = toLocalDateString(day);
+                return `
+                    <div class="calendar-day ${day.getMonth() !== month ? 'other-month' : ''} ${date === today ? 'today' : ''}"
+                        ondragover="allowDrop(event, 'schedule')" ondragleave="dropTargetLeave(event)" ondrop="calendarDrop(event, '${date}')">
+                        <div class="calendar-day-number">${day.getDate()}</div>
+                        ${entries.filter(entry => coversDay(entry, day)).map(entry => {
+                            const startsToday = toLocalDateString(entry.start) === date;
+                            const endsToday = toLocalDateString(entry.end) === date;
+                            return `
+                                <div class="calendar-event priority-${entry.task.priority} ${startsToday ? '' : 'continues-before'} ${endsToday ? '' : 'continues-after'}"
+                                    ${calendarEventAttributes(entry, date)}>
+                                    ${startsToday ? `<span class="calendar-event-time">${toLocalTimeString(entry.start)}</span>` : ''}
+                                    ${highlightSearchTerm(entry.task.title, searchTerm)}
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Renders the week and day views: one column per day with tasks placed on an hour grid
+ * @param {string} id - Board or folder ID (used to keep the scroll position)
+ * @param {Date[]} days - Shown days
+ * @param {object[]} entries - Calendar entries
+ * @param {string} searchTerm - Search term for highlighting
+ * @returns {string} HTML for the hour grid
+ */
+function renderCalendarTimeGrid(id, days, entries, searchTerm) {
+    const today = toLocalDateString(new Date());
+    const columns = `grid-template-columns: 60px repeat(${days.length}, minmax(0, 1fr));`;
+
+    return `
+        <div class="calendar-time-header" style="${columns}">
+            <div></div>
+            ${days.map(day => `
+                <div class="calendar-weekday ${toLocalDateString(day) === today ? 'today' : ''}">
+                    ${day.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                </div>
+            `).join('')}
+        </div>
+        <div class="calendar-time-grid" data-scroll-key="calendar-${id}" data-default-scroll-top="${7 * CALENDAR_HOUR_HEIGHT}">
+            <div class="calendar-time-body" style="${columns} height: ${24 * CALENDAR_HOUR_HEIGHT}px;">
+                <div class="calendar-hours">
+                    ${Array.from({ length: 24 }, (_, hour) => `
+                        <div class="calendar-hour" style="height: ${CALENDAR_HOUR_HEIGHT}px;">${String(hour).padStart(2, '0')}:00</div>
+                    `).join('')}
+                </div>
+                ${days.map(day => renderCalendarDayColumn(day, entries, searchTerm)).join('')}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Renders one day of the hour grid, placing overlapping tasks side by side
+ * @param {Date} day - Midnight of the day
+ * @param {object[]} entries - Calendar entries
+ * @param {string} searchTerm - Search term for highlighting
+ * @returns {string} HTML for the day column
+ */
+function renderCalendarDayColumn(day, entries, searchTerm) {
+    const date = toLocalDateString(day);
+    const minutesOfDay = time => time.getHours() * 60 + time.getMinutes();
+
+    // Part of each task that falls on this day, in minutes since midnight
+    const segments = entries.filter(entry => coversDay(entry, day)).map(entry => ({
+        entry,
+        start: entry.start < day ? 0 : minutesOfDay(entry.start),
+        end: toLocalDateString(entry.end) === date ? minutesOfDay(entry.end) : 24 * 60
+    }));
+
+    // Give each task the first lane that is free at its start
+    const laneEnds = [];
+    segments.forEach(segment => {
+        let lane = laneEnds.findIndex(end => end <= segment.start);
+        if (lane === -1) lane = laneEnds.length;
+        laneEnds[lane] = Math.max(segment.end, segment.start + CALENDAR_SNAP_MINUTES);
+        segment.lane = lane;
+    });
+    const laneWidth = 100 / Math.max(1, laneEnds.length);
+
+    return `
+        <div class="calendar-day-column ${date === toLocalDateString(new Date()) ? 'today' : ''}"
+            ondragover="allowDrop(event, 'schedule')" ondragleave="dropTargetLeave(event)" ondrop="calendarDrop(event, '${date}')">
+            ${segments.map(({ entry, start, end, lane }) => `
+                <div class="calendar-event calendar-timed-event priority-${entry.task.priority}" ${calendarEventAttributes(entry, date)}
+                    style="top: ${start / 60 * CALENDAR_HOUR_HEIGHT}px; height: ${Math.max(end - start, CALENDAR_SNAP_MINUTES) / 60 * CALENDAR_HOUR_HEIGHT}px; left: ${lane * laneWidth}%; width: ${laneWidth}%;">
+                    <span class="calendar-event-time">${toLocalTimeString(entry.start)} - ${toLocalTimeString(entry.end)}</span>
+                    ${highlightSearchTerm(entry.task.title, searchTerm)}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Works out the date and time under the pointer: the day for the month view,
+ * the day and time on the hour grid
+ * @param {DragEvent} event - Drag event on a calendar day or task
+ * @param {string} date - Day the event happened on (YYYY-MM-DD)
+ * @returns {Date} Date and time under the pointer
+ */
+function calendarPointerTime(event, date) {
+    const pointer = new Date(`${date}T00:00`);
+    const column = event.currentTarget.closest('.calendar-day-column');
+    if (column) {
+        const minutes = (event.clientY - column.getBoundingClientRect().top) / CALENDAR_HOUR_HEIGHT * 60;
+        pointer.setMinutes(Math.round(Math.max(0, Math.min(24 * 60 - 1, minutes))));
+    }
+    return pointer;
+}
+
+/**
+ * Starts dragging a task on the calendar
+ * @param {DragEvent} event - dragstart event
+ * @param {string} taskId - Dragged task
+ * @param {string} date - Day the task was picked up from (YYYY-MM-DD)
+ */
+function calendarDragStart(event, taskId, date) {
+    event.stopPropagation();
+    event.dataTransfer.setData(DRAG_TYPES.schedule, JSON.stringify({
+        taskId,
+        from: calendarPointerTime(event, date).toISOString()
+    }));
+    event.dataTransfer.effectAllowed = 'move';
+}
+
+/**
+ * Reschedules a task dropped on a calendar day (or a time on the hour grid)
+ * @param {DragEvent} event - drop event
+ * @param {string} date - Day the task was dropped on (YYYY-MM-DD)
+ */
+function calendarDrop(event, date) {
+    const { schedule } = takeDroppedItem(event);
+    if (!schedule) return;
+
+    const { taskId, from } = JSON.parse(schedule);
+    const fromTime = new Date(from);
+    const toTime = calendarPointerTime(event, date);
+
+    if (event.currentTarget.classList.contains('calendar-day-column')) {
+        const minutes = Math.round((toTime - fromTime) / 60000 / CALENDAR_SNAP_MINUTES) * CALENDAR_SNAP_MINUTES;
+        rescheduleTask(taskId, { minutes });
+    } else {
+        const startOfDay = time => new Date(time.getFullYear(), time.getMonth(), time.getDate());
+        const days = Math.round((startOfDay(toTime) - startOfDay(fromTime)) / 86400000);
+        rescheduleTask(taskId, { days });
+    }
+}
+
+/**
+ * Shifts a task's start and/or due date/time
+ * @param {string} taskId - Task ID
+ * @param {object} shift - { days, minutes } to move the task by (either may be negative)
+ * @param {string} [edge] - 'both' to move the whole task, 'start' or 'due' to only move that end
+ * @returns {boolean} True if the task was rescheduled
+ */
+function rescheduleTask(taskId, { days = 0, minutes = 0 }, edge = 'both') {
+    const location = findTaskLocation(taskId);
+    if (!location || (days === 0 && minutes === 0)) return false;
+    const { board, folder, task } = location;
+
+    const blockReason = getEditBlockReason(task, board);
+    if (blockReason) {
+        showNotification(blockReason, 'error');
+        return false;
+    }
+
+    const shifted = (dateString, timeString, moves) => {
+        const date = new Date(`${dateString}T${timeString}`);
+        if (moves) {
+            date.setDate(date.getDate() + days);
+            date.setMinutes(date.getMinutes() + minutes);
+        }
+        return date;
+    };
+    const start = shifted(task.startDate, task.startTime, edge !== 'due');
+    const due = shifted(task.dueDate, task.dueTime, edge !== 'start');
+    const newFields = {
+        startDate: toLocalDateString(start),
+        startTime: toLocalTimeString(start),
+        dueDate: toLocalDateString(due),
+        dueTime: toLocalTimeString(due)
+    };
+
+    const lockedField = Object.keys(newFields).find(field => newFields[field] !== task[field] && !isFieldEditable(board, field));
+    if (lockedField) {
+        showNotification(`${TASK_HISTORY_FIELDS[lockedField]} cannot be edited on this board`, 'error');
+        return false;
+    }
+
+    const validationError = validateTaskFields({ ...task, ...newFields }, folder, task.id);
+    if (validationError) {
+        showNotification(`Cannot reschedule: ${validationError}`, 'error');
+        return false;
+    }
+
+    const before = captureBoardState(board.id);
+    applyTaskEdit(task, newFields);
+    task.editCount++;
+    task.lastEdited = new Date().toISOString();
+    recordChange(`Reschedule task "${task.title}"`, before);
+
+    saveData(currentUser.id, currentData, { type: 'task', id: task.id, boardId: board.id, folderId: folder.id });
+    setTimeout(() => {
+        renderDashboard();
+        const conflicts = getDependencyConflicts(task);
+        showNotification(conflicts.length > 0
+            ? `Task rescheduled. Warning: ${describeDependencyConflict(conflicts[0])}`
+            : `Task rescheduled to ${formatDateTime(newFields.startDate, newFields.startTime)} - ${formatDateTime(newFields.dueDate, newFields.dueTime)}`,
+        conflicts.length > 0 ? 'warning' : 'success', 6000, { label: 'Undo', onClick: undoLastChange });
+    }, 10);
+    return true;
+}
+
+// ========================================
+// TIMELINE VIEW
+// ========================================
+
+/**
+ * TIMELINE VIEW
+ * A Gantt-style view of a whole board: every folder is a swimlane and every task a
+ * bar from its start to its due date/time, with a marker for today. Bars of overdue
+ * tasks (see calculateCountdown) are highlighted.
+ *
+ * Dragging the left or right edge of a bar changes the task's start or due
+ * date/time through rescheduleTask, so the edit policy and validation still apply.
+ */
+const TIMELINE_ZOOMS = {
+    day: { label: 'Day', dayWidth: 120, snapMinutes: 60 },         // One column per day
+    week: { label: 'Week', dayWidth: 24, snapMinutes: 24 * 60 },   // One column per week
+    month: { label: 'Month', dayWidth: 6, snapMinutes: 24 * 60 }   // One column per month
+};
+
+const TIMELINE_ROW_HEIGHT = 36;   // Pixels per task row
+
+// Zoom level of each board's timeline (not saved)
+const timelineZooms = new Map();
+
+// Bar edge being dragged: { taskId, edge, startX, bar, left, width, zoom }
+let timelineResize = null;
+
+/**
+ * Changes the zoom level of a board's timeline
+ * @param {string} boardId - Board ID
+ * @param {string} zoom - 'day', 'week' or 'month'
+ */
+function setTimelineZoom(boardId, zoom) {
+    timelineZooms.set(boardId, zoom);
+    renderDashboard();
+}
+
+/**
+ * Works out the period a timeline covers: every task plus today, padded and
+ * aligned to whole columns of the zoom level
+ * @param {object[]} entries - Calendar entries of the board
+ * @param {string} zoom - Zoom level
+ * @returns {object} { first, last } - midnight of the first day and of the day after the last
+ */
+function getTimelineRange(entries, zoom) {
+    const today = new Date();
+    const earliest = entries.reduce((min, entry) => entry.start < min ? entry.start : min, today);
+    const latest = entries.reduce((max, entry) => entry.end > max ? entry.end : max, today);
+
+    let first = new Date(earliest.getFullYear(), earliest.getMonth(), earliest.getDate() - 1);
+    let last = new Date(latest.getFullYear(), latest.getMonth(), latest.getDate() + 2);
+
+    if (zoom === 'week') {
+        first = new Date(first.getFullYear(), first.getMonth(), first.getDate() - first.getDay());
+        last = new Date(last.getFullYear(), last.getMonth(), last.getDate() + (7 - last.getDay()) % 7);
+    } else if (zoom === 'month') {
+        first = new Date(first.getFullYear(), first.getMonth(), 1);
+        last = new Date(last.getFullYear(), last.getMonth() + 1, 1);
+    }
+    return { first, last };
+}
+
+/**
+ * Converts a date/time into a horizontal position on the timeline
+ * @param {Date} time - Date and time
+ * @param {Date} first - First day of the timeline
+ * @param {number} dayWidth - Pixels per day
+ * @returns {number} Pixels from the start of the timeline
+ */
+function timelineX(time, first, dayWidth) {
+    // Count whole days separately so daylight saving changes do not shift bars
+    const day = new Date(time.getFullYear(), time.getMonth(), time.getDate());
+    const days = Math.round((day - first) / 86400000);
+    return (days + (time.getHours() * 60 + time.getMinutes()) / (24 * 60)) * dayWidth;
+}
+
+/**
+ * Lists the column boundaries of a timeline with their labels
+ * @param {Date} first - First day of the timeline
+ * @param {Date} last - Day after the last day of the timeline
+ * @param {string} zoom - Zoom level
+ * @returns {object[]} { date, label } for every column
+ */
+function getTimelineTicks(first, last, zoom) {
+    const ticks = [];
+    for (let date = new Date(first); date < last;) {
+        if (zoom === 'month') {
+            ticks.push({ date, label: date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }) });
+            date = new Date(date.getFullYear(), date.getMonth() + 1, 1);
+        } else {
+            ticks.push({ date, label: date.toLocaleDateString('en-US', zoom === 'day' ? { weekday: 'short', month: 'short', day: 'numeric' } : { month: 'short', day: 'numeric' }) });
+            date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + (zoom === 'week' ? 7 : 1));
+        }
+    }
+    return ticks;
+}
+
+/**
+ * Renders a board as a timeline with one swimlane per folder
+ * @param {object} board - Board to show
+ * @param {string} [searchTerm] - Search term for highlighting
+ * @returns {string} HTML for the timeline
+ */
+function renderTimeline(board, searchTerm = '') {
+    const folders = board.folders || [];
+    if (folders.length === 0) {
+        return renderBoardFolders(board, searchTerm);
+    }
+
+    const zoom = timelineZooms.get(board.id) || 'week';
+    const { dayWidth } = TIMELINE_ZOOMS[zoom];
+    const { first, last } = getTimelineRange(getCalendarEntries(board), zoom);
+    const width = timelineX(last, first, dayWidth);
+    const todayX = timelineX(new Date(), first, dayWidth);
+    const ticks = getTimelineTicks(first, last, zoom);
+
+    return `
+        <div class="timeline-view">
+            <div class="calendar-toolbar">
+                <button class="btn btn-outline-secondary btn-sm" onclick="scrollTimelineToToday('${board.id}')">
+                    <i class="fas fa-crosshairs me-1"></i>Today
+                </button>
+                <div class="btn-group btn-group-sm" role="group" aria-label="Timeline zoom">
+                    ${Object.entries(TIMELINE_ZOOMS).map(([id, level]) => `
+                        <button class="btn ${zoom === id ? 'btn-primary' : 'btn-outline-secondary'}"
+                            onclick="setTimelineZoom('${board.id}', '${id}')" aria-pressed="${zoom === id}">${level.label}</button>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="timeline-scroll" id="timeline-${board.id}" data-scroll-key="timeline-${board.id}-${zoom}"
+                data-default-scroll-left="${Math.max(0, todayX - 100)}" data-today-x="${todayX}">
+                <div class="timeline-canvas" style="width: calc(var(--timeline-label-width) + ${width}px);">
+                    <div class="timeline-row timeline-header">
+                        <div class="timeline-label">Folder</div>
+                        <div class="timeline-track" style="width: ${width}px; height: ${TIMELINE_ROW_HEIGHT}px;">
+                            ${ticks.map(tick => `
+                                <div class="timeline-tick" style="left: ${timelineX(tick.date, first, dayWidth)}px;">${tick.label}</div>
+                            `).join('')}
+                        </div>
+                    </div>
+                    ${folders.map(folder => renderTimelineLane(folder, first, width, ticks, dayWidth, searchTerm)).join('')}
+                    <div class="timeline-today" style="left: calc(var(--timeline-label-width) + ${todayX}px);" title="Today"></div>
+                </div>
+            </div>
+        </div>
+    `;
+}
 
-    // Validation
-    if (!title || !startDate || !startTime || !dueDate || !dueTime) {
-        showNotification('Please fill in all required fields', 'error');
-        return;
+/**
+ * Renders the swimlane of one folder, one row per task
+ * @param {object} folder - Folder
+ * @param {Date} first - First day of the timeline
+ * @param {number} width - Width of the timeline in pixels
+ * @param {object[]} ticks - Column boundaries from getTimelineTicks
+ * @param {number} dayWidth - Pixels per day
+ * @param {string} searchTerm - Search term for highlighting
+ * @returns {string} HTML for the swimlane
+ */
+function renderTimelineLane(folder, first, width, ticks, dayWidth, searchTerm) {
+    const entries = getCalendarEntries(null, folder);
+    const rows = Math.max(1, entries.length);
+
+    return `
+        <div class="timeline-row timeline-lane">
+            <div class="timeline-label">
+                <i class="fas fa-folder me-2"></i>${highlightSearchTerm(folder.name, searchTerm)}
+                <small class="text-muted d-block">${entries.length} tasks</small>
+            </div>
+            <div class="timeline-track" style="width: ${width}px; height: ${rows * TIMELINE_ROW_HEIGHT}px;">
+                ${ticks.map(tick => `<div class="timeline-gridline" style="left: ${timelineX(tick.date, first, dayWidth)}px;"></div>`).join('')}
+                ${entries.map((entry, row) => {
+                    const { task } = entry;
+                    const left = timelineX(entry.start, first, dayWidth);
+                    const barWidth = Math.max(timelineX(entry.end, first, dayWidth) - left, 4);
+                    const overdue = calculateCountdown(task.dueDate, task.dueTime).overdue;
+                    return `
+                        <div class="timeline-bar priority-${task.priority} ${overdue ? 'overdue' : ''}" data-task-id="${task.id}"
+                            style="left: ${left}px; width: ${barWidth}px; top: ${row * TIMELINE_ROW_HEIGHT + 6}px; height: ${TIMELINE_ROW_HEIGHT - 12}px;"
+                            role="button" tabindex="0" onclick="editTask('${task.id}')" onkeydown="if (event.key === 'Enter') editTask('${task.id}')"
+                            title="${escapeHtml(task.title)}: ${formatDateTime(task.startDate, task.startTime)} - ${formatDateTime(task.dueDate, task.dueTime)}${overdue ? ' (overdue)' : ''}">
+                            <span class="timeline-handle timeline-handle-start" title="Drag to change the start"
+                                onpointerdown="startTimelineResize(event, '${task.id}', 'start')"></span>
+                            <span class="timeline-bar-label">${overdue ? '<i class="fas fa-exclamation-triangle me-1"></i>' : ''}${highlightSearchTerm(task.title, searchTerm)}</span>
+                            <span class="timeline-handle timeline-handle-due" title="Drag to change the due date"
+                                onpointerdown="startTimelineResize(event, '${task.id}', 'due')"></span>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Scrolls a board's timeline so today is in view
+ * @param {string} boardId - Board ID
+ */
+function scrollTimelineToToday(boardId) {
+    const scroller = document.getElementById(`timeline-${boardId}`);
+    if (scroller) {
+        scroller.scrollLeft = Math.max(0, Number(scroller.dataset.todayX) - 100);
     }
+}
 
-    const startDateTime = new Date(`${startDate}T${startTime}`);
-    const dueDateTime = new Date(`${dueDate}T${dueTime}`);
-    const now = new Date();
+/**
+ * Starts dragging the start or due edge of a timeline bar
+ * @param {PointerEvent} event - pointerdown event on a bar handle
+ * @param {string} taskId - Task of the bar
+ * @param {string} edge - 'start' or 'due'
+ */
+function startTimelineResize(event, taskId, edge) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const handle = event.currentTarget;
+    const bar = handle.closest('.timeline-bar');
+    const boardId = handle.closest('.timeline-scroll').id.replace('timeline-', '');
+    timelineResize = {
+        taskId,
+        edge,
+        startX: event.clientX,
+        bar,
+        left: parseFloat(bar.style.left),
+        width: parseFloat(bar.style.width),
+        zoom: TIMELINE_ZOOMS[timelineZooms.get(boardId) || 'week']
+    };
 
-    // Check if due time is in the past
-    if (dueDateTime < now) {
-        showNotification('Due date/time cannot be in the past', 'error');
-        return;
-    }
+    // Keep receiving pointer events even when the pointer leaves the thin handle
+    handle.setPointerCapture(event.pointerId);
+    handle.onpointermove = moveTimelineResize;
+    handle.onpointerup = endTimelineResize;
+    handle.onpointercancel = endTimelineResize;
+    // The click that follows the drag must not open the task editor
+    handle.onclick = clickEvent => clickEvent.stopPropagation();
+}
 
-    if (startDateTime > dueDateTime) {
-        showNotification('Start date/time cannot be after due date/time', 'error');
-        return;
-    }
+/**
+ * Works out how far the dragged edge moved, rounded to the zoom level's step
+ * @param {PointerEvent} event - Pointer event
+ * @returns {number} Minutes the edge moved (negative for earlier)
+ */
+function getTimelineResizeMinutes(event) {
+    const { startX, zoom } = timelineResize;
+    const minutes = (event.clientX - startX) / zoom.dayWidth * 24 * 60;
+    return Math.round(minutes / zoom.snapMinutes) * zoom.snapMinutes;
+}
 
-    if (!window.currentBoardId || !window.currentFolderId) {
-        showNotification('Please select a folder to add task', 'error');
-        return;
+/**
+ * Stretches the bar while its edge is dragged
+ * @param {PointerEvent} event - pointermove event
+ */
+function moveTimelineResize(event) {
+    if (!timelineResize) return;
+
+    const { bar, left, width, edge, zoom } = timelineResize;
+    const offset = getTimelineResizeMinutes(event) / (24 * 60) * zoom.dayWidth;
+    if (edge === 'start') {
+        bar.style.left = `${Math.min(left + offset, left + width - 4)}px`;
+        bar.style.width = `${Math.max(width - offset, 4)}px`;
+    } else {
+        bar.style.width = `${Math.max(width + offset, 4)}px`;
     }
+}
 
-    const board = currentData.boards.find(b => b.id === window.currentBoardId);
-    const folder = board.folders.find(f => f.id === window.currentFolderId);
+/**
+ * Finishes dragging a bar edge and saves the new start or due date/time
+ * @param {PointerEvent} event - pointerup or pointercancel event
+ */
+function endTimelineResize(event) {
+    if (!timelineResize) return;
 
-    // Check if task with same name already exists in this folder
-    if (folder.tasks && folder.tasks.some(task => task.title.toLowerCase() === title.toLowerCase())) {
-        showNotification('A task with this name already exists in this folder', 'error');
-        return;
+    const { taskId, edge, zoom } = timelineResize;
+    const minutes = event.type === 'pointercancel' ? 0 : getTimelineResizeMinutes(event);
+    timelineResize = null;
+
+    // Whole-day steps move by calendar days so the time of day survives daylight saving changes
+    const shift = zoom.snapMinutes % (24 * 60) === 0 ? { days: minutes / (24 * 60) } : { minutes };
+    if (!rescheduleTask(taskId, shift, edge)) {
+        // Put the bar back where it was
+        renderDashboard();
     }
+}
 
-    //This is a comment out code that was used to limit the number of tasks in a folder to 3.
-    // if(folder.tasks.length >= 3){
-    //   showNotification('A folder can only have 3 tasks', 'error');
-    // return;
-    // }
+// ========================================
+// COUNTDOWN UPDATES
+// ========================================
 
-    const newTask = {
-        id: generateId(),
-        title,
-        priority,
-        startDate,
-        startTime,
-        dueDate,
-        dueTime,
-        description,
-        status: 'pending',
-        createdAt: new Date().toISOString(),
-        editCount: 0,
-        lastEdited: null
-    };
+/**
+ * Updates only the countdown displays without full re-render
+ */
+function updateCountdowns() {
+    const countdownElements = document.querySelectorAll('.task-countdown');
+    if (countdownElements.length === 0) return;
 
-    if (!folder.tasks) folder.tasks = [];
-    folder.tasks.push(newTask);
+    // Look tasks up through the search index rather than walking every board once per element
+    ensureSearchIndex();
 
-    // Automatically open the folder when a task is added
-    openFolders.add(window.currentFolderId);
+    countdownElements.forEach(element => {
+        const taskId = element.closest('.task-item').getAttribute('data-task-id');
+        if (!taskId) return;
 
-    saveData(currentUser.id, currentData);
-    setTimeout(() => {
-        renderDashboard();
-        addTaskModal.hide();
+        const documentEntry = searchIndex.documents.get(taskId);
+        if (!documentEntry) return;
+        const { task } = documentEntry.location;
 
-        // Clear form
-        document.getElementById('addTaskForm').reset();
+        const countdown = calculateCountdown(task.dueDate, task.dueTime);
 
-        showNotification('Task created successfully', 'success');
-    }, 10);
+        // Update countdown text
+        let countdownText = '';
+        if (countdown.overdue) {
+            const overdueDays = Math.abs(countdown.days);
+            const overdueHours = Math.abs(countdown.hours);
+            const overdueMinutes = Math.abs(countdown.minutes);
+            countdownText = `<i class="fas fa-exclamation-triangle me-1"></i>
+                Overdue by ${overdueDays > 0 ? overdueDays + ' days ' : ''}${overdueHours > 0 ? overdueHours + ' hours ' : ''}${overdueMinutes} minutes`;
+        } else if (countdown.days === 0 && countdown.hours === 0 && countdown.minutes === 0) {
+            countdownText = `<i class="fas fa-clock me-1"></i>
+                Due in ${countdown.seconds} seconds`;
+        } else if (countdown.days === 0 && countdown.hours === 0) {
+            countdownText = `<i class="fas fa-clock me-1"></i>
+                Due in ${countdown.minutes} minutes ${countdown.seconds} seconds`;
+        } else if (countdown.days === 0) {
+            countdownText = `<i class="fas fa-clock me-1"></i>
+                Due in ${countdown.hours} hours ${countdown.minutes} minutes`;
+        } else {
+            countdownText = `<i class="fas fa-calendar me-1"></i>
+                Due in ${countdown.days} days ${countdown.hours} hours ${countdown.minutes} minutes`;
+        }
+
+        element.innerHTML = countdownText;
+
+        // Update urgency class
+        if (countdown.overdue || (countdown.days === 0 && countdown.hours < 24)) {
+            element.classList.add('urgent');
+        } else {
+            element.classList.remove('urgent');
+        }
+    });
+}
+
+// ========================================
+// WORKSPACE EXPORT AND IMPORT (JSON)
+// ========================================
+
+// Identifies files written by exportWorkspaceJson
+const WORKSPACE_EXPORT_FORMAT = 'swift-task-workspace';
+
+// Allowed values used when validating imported tasks
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const TASK_STATUSES = ['pending', 'active', 'completed'];
+
+// Workspace read from the selected file, waiting for the user to confirm the import
+let pendingImport = null;
+
+/**
+ * Starts a browser download of generated content
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 /**
- * Edits an existing task
- * @param {string} taskId - Task ID to edit
+ * Builds a file name like "swift-task-faraz-mehdi-2024-01-15.json"
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name for an export
  */
-function editTask(taskId) {
-    // Find task in the hierarchy
-    let task = null;
-    let board = null;
-    let folder = null;
+function exportFileName(extension) {
+    const userSlug = currentUser.username.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const today = new Date().toISOString().split('T')[0];
+    return `swift-task-${userSlug}-${today}.${extension}`;
+}
 
-    for (const b of currentData.boards) {
-        for (const f of b.folders || []) {
-            const foundTask = f.tasks?.find(t => t.id === taskId);
-            if (foundTask) {
-                task = foundTask;
-                board = b;
-                folder = f;
-                break;
-            }
-        }
-        if (task) break;
-    }
+/**
+ * Downloads all boards, folders and tasks of the current user as a JSON file
+ */
+function exportWorkspaceJson() {
+    if (!currentUser) return;
 
-    if (!task) return;
+    const exportData = {
+        format: WORKSPACE_EXPORT_FORMAT,
+        schemaVersion: STORAGE_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        exportedBy: currentUser.username,
+        data: { ...currentData, schemaVersion: STORAGE_SCHEMA_VERSION }
+    };
 
-    // Check edit limit
-    if (task.editCount >= 3) {
-        showNotification('This task has reached its edit limit (3 times)', 'error');
-        return;
+    downloadFile(exportFileName('json'), JSON.stringify(exportData, null, 2), 'application/json');
+    showNotification('Workspace exported', 'success');
+}
+
+/**
+ * Checks that imported data has the shape the app expects
+ * @param {object} data - Workspace data (already migrated)
+ * @returns {string[]} List of problems, empty when the data is valid
+ */
+function validateWorkspaceData(data) {
+    const errors = [];
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const timePattern = /^\d{2}:\d{2}$/;
+
+    if (!data || !Array.isArray(data.boards)) {
+        return ['File does not contain a list of boards'];
     }
 
-    // Store current task info for updating
-    window.currentEditTask = { taskId, boardId: board.id, folderId: folder.id };
+    const validateBoard = (board, boardLabel) => {
+        if (!board || typeof board.name !== 'string' || !board.name.trim()) {
+            errors.push(`${boardLabel} has no name`);
+            return;
+        }
 
-    // Populate edit form
-    document.getElementById('editTaskId').value = taskId;
-    document.getElementById('editTaskTitle').value = task.title;
-    document.getElementById('editTaskPriority').value = task.priority;
-    document.getElementById('editStartDate').value = task.startDate;
-    document.getElementById('editStartTime').value = task.startTime;
-    document.getElementById('editDueDate').value = task.dueDate;
-    document.getElementById('editDueTime').value = task.dueTime;
-    document.getElementById('editTaskDescription').value = task.description;
-    document.getElementById('editCountDisplay').textContent = 3 - task.editCount;
+        (board.folders || []).forEach((folder, folderIndex) => {
+            const folderLabel = `Folder ${folderIndex + 1} in "${board.name}"`;
+            if (!folder || typeof folder.name !== 'string' || !folder.name.trim()) {
+                errors.push(`${folderLabel} has no name`);
+                return;
+            }
 
-    editTaskModal.show();
+            (folder.tasks || []).forEach((task, taskIndex) => {
+                const taskLabel = `Task ${taskIndex + 1} in "${board.name} / ${folder.name}"`;
+                if (!task || typeof task.title !== 'string' || !task.title.trim()) {
+                    errors.push(`${taskLabel} has no title`);
+                    return;
+                }
+                if (!TASK_PRIORITIES.includes(task.priority)) {
+                    errors.push(`${taskLabel} has an unknown priority "${task.priority}"`);
+                }
+                if (!TASK_STATUSES.includes(task.status)) {
+                    errors.push(`${taskLabel} has an unknown status "${task.status}"`);
+                }
+                if (!datePattern.test(task.startDate) || !datePattern.test(task.dueDate)) {
+                    errors.push(`${taskLabel} has an invalid start or due date`);
+                }
+                if (!timePattern.test(task.startTime) || !timePattern.test(task.dueTime)) {
+                    errors.push(`${taskLabel} has an invalid start or due time`);
+                }
+            });
+        });
+
+        (board.subBoards || []).forEach((subBoard, subBoardIndex) =>
+            validateBoard(subBoard, `Sub-board ${subBoardIndex + 1} in "${board.name}"`));
+    };
+
+    data.boards.forEach((board, boardIndex) => validateBoard(board, `Board ${boardIndex + 1}`));
+
+    (data.tags || []).forEach((tag, tagIndex) => {
+        if (!tag || !tag.id || typeof tag.name !== 'string' || !tag.name.trim()) {
+            errors.push(`Tag ${tagIndex + 1} has no ID or name`);
+        }
+    });
+
+    return errors;
 }
 
 /**
- * Updates a task after editing
+ * Reads an exported workspace file
+ * @param {string} text - File content
+ * @returns {object} Workspace data upgraded to the current schema
+ * @throws {Error} If the file is not a valid workspace export
  */
-function updateTask() {
-    const taskId = document.getElementById('editTaskId').value;
+function parseWorkspaceFile(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not valid JSON');
+    }
 
-    if (!window.currentEditTask || window.currentEditTask.taskId !== taskId) {
-        showNotification('Task not found', 'error');
-        return;
+    // Accept both our export envelope and a bare { boards: [] } workspace
+    const workspace = parsed && parsed.format === WORKSPACE_EXPORT_FORMAT ? parsed.data : parsed;
+    if (!workspace || !Array.isArray(workspace.boards)) {
+        throw new Error('File is not a Swift Task workspace export');
     }
 
-    const board = currentData.boards.find(b => b.id === window.currentEditTask.boardId);
-    const folder = board.folders.find(f => f.id === window.currentEditTask.folderId);
-    const task = folder.tasks.find(t => t.id === taskId);
+    const migrated = migrateData(workspace);
+    const errors = validateWorkspaceData(migrated);
+    if (errors.length > 0) {
+        const more = errors.length > 3 ? ` (and ${errors.length - 3} more problems)` : '';
+        throw new Error(errors.slice(0, 3).join('; ') + more);
+    }
 
-    if (!task) return;
+    return migrated;
+}
 
-    // Check edit limit again
-    if (task.editCount >= 3) {
-        showNotification('This task has reached its edit limit', 'error');
-        editTaskModal.hide();
-        return;
+/**
+ * Works out what an import would do without changing anything
+ * @param {object} imported - Validated workspace data from the file
+ * @param {string} mode - 'merge' to add to the current workspace, 'replace' to overwrite it
+ * @returns {object} Prepared boards plus a summary for the preview
+ *
+ * IDs already used in the workspace (or repeated inside the file) get a new
+ * generateId() value, and board names addBoard would reject are renamed.
+ * When merging, imported tags with the name of an existing tag become that tag.
+ */
+function prepareWorkspaceImport(imported, mode) {
+    const usedIds = new Set();
+    const takenNames = new Set();
+
+    if (mode === 'merge') {
+        currentData.boards.forEach(board => takenNames.add(board.name.toLowerCase()));
+        getAllBoards().forEach(board => {
+            usedIds.add(board.id);
+            (board.folders || []).forEach(folder => {
+                usedIds.add(folder.id);
+                (folder.tasks || []).forEach(task => usedIds.add(task.id));
+            });
+        });
     }
 
-    // Get form values for validation
-    const newTitle = document.getElementById('editTaskTitle').value.trim();
-    const newPriority = document.getElementById('editTaskPriority').value;
-    const newStartDate = document.getElementById('editStartDate').value;
-    const newStartTime = document.getElementById('editStartTime').value;
-    const newDueDate = document.getElementById('editDueDate').value;
-    const newDueTime = document.getElementById('editDueTime').value;
-    const newDescription = document.getElementById('editTaskDescription').value.trim();
+    // IDs end up inside onclick handlers, so anything but letters, digits, _ and - gets a new one
+    const isSafeId = id => typeof id === 'string' && /^[\w-]+$/.test(id);
 
-    // Check if Task has been changed or not
-    if (task.title === newTitle &&
-        task.priority === newPriority &&
-        task.startDate === newStartDate &&
-        task.startTime === newStartTime &&
-        task.dueDate === newDueDate &&
-        task.dueTime === newDueTime &&
-        task.description === newDescription) {
-        showNotification('No changes made to the task', 'error');
-        editTaskModal.hide();
-        return;
-    }
+    let reassignedIds = 0;
+    const claimId = id => {
+        if (!isSafeId(id) || usedIds.has(id)) {
+            reassignedIds++;
+            id = generateId();
+        }
+        usedIds.add(id);
+        return id;
+    };
 
-    // Validation BEFORE updating task data
-    if (!newTitle || !newStartDate || !newStartTime || !newDueDate || !newDueTime) {
-        showNotification('Please fill in all required fields', 'error');
-        return;
-    }
+    // Imported tag ID -> tag ID in the workspace
+    const tagIds = new Map();
+    const tags = [];
+    const existingTagIds = new Set(mode === 'merge' ? getTags().map(tag => tag.id) : []);
+    (imported.tags || []).forEach(tag => {
+        const name = tag.name.trim();
+        const existing = mode === 'merge' ? findTagByName(name) : null;
+        const known = existing || tags.find(t => t.name.toLowerCase() === name.toLowerCase());
+        if (known) {
+            tagIds.set(tag.id, known.id);
+            return;
+        }
 
-    const startDateTime = new Date(`${newStartDate}T${newStartTime}`);
-    const dueDateTime = new Date(`${newDueDate}T${newDueTime}`);
-    const now = new Date();
+        const id = !isSafeId(tag.id) || existingTagIds.has(tag.id) || tags.some(t => t.id === tag.id) ? generateId() : tag.id;
+        tags.push({ id, name, color: tag.color });
+        tagIds.set(tag.id, id);
+    });
+    const claimTagIds = task => (task.tags || []).map(tagId => tagIds.get(tagId)).filter(Boolean);
+
+    // Imported task ID -> task ID in the workspace, for the links between tasks
+    const taskIds = new Map();
+    const claimTaskId = task => {
+        const id = claimId(task.id);
+        taskIds.set(task.id, id);
+        return id;
+    };
 
-    // Check if due time is in the past
-    if (dueDateTime < now) {
-        showNotification('Due date/time cannot be in the past', 'error');
-        return;
-    }
+    const claimBoardIds = board => ({
+        ...board,
+        id: claimId(board.id),
+        folders: (board.folders || []).map(folder => ({
+            ...folder,
+            id: claimId(folder.id),
+            tasks: (folder.tasks || []).map(task => ({ ...task, id: claimTaskId(task), tags: claimTagIds(task) }))
+        })),
+        subBoards: (board.subBoards || []).map(claimBoardIds)
+    });
 
-    if (startDateTime > dueDateTime) {
-        showNotification('Start date/time cannot be after due date/time', 'error');
-        return;
-    }
+    const renamedBoards = [];
+    const boards = JSON.parse(JSON.stringify(imported.boards)).map(board => {
+        const name = uniqueName(board.name.trim(), takenNames);
+        takenNames.add(name.toLowerCase());
+        if (name !== board.name.trim()) {
+            renamedBoards.push({ from: board.name, to: name });
+        }
 
-    // Update task data ONLY after validation passes
-    task.title = newTitle;
-    task.priority = newPriority;
-    task.startDate = newStartDate;
-    task.startTime = newStartTime;
-    task.dueDate = newDueDate;
-    task.dueTime = newDueTime;
-    task.description = newDescription;
-    task.editCount++;
-    task.lastEdited = new Date().toISOString();
+        return { ...claimBoardIds(board), name };
+    });
+
+    // Dependencies and recurrence point at other imported tasks - follow their new IDs
+    // and drop links to tasks that are not part of the file
+    getAllBoards(boards).forEach(board => (board.folders || []).forEach(folder => folder.tasks.forEach(task => {
+        if (task.dependsOn) {
+            task.dependsOn = task.dependsOn.map(id => taskIds.get(id)).filter(Boolean);
+        }
+        if (task.recurrence && task.recurrence.nextTaskId) {
+            task.recurrence = { ...task.recurrence, nextTaskId: taskIds.get(task.recurrence.nextTaskId) || null };
+        }
+    })));
 
-    saveData(currentUser.id, currentData);
-    setTimeout(() => {
-        renderDashboard();
-        editTaskModal.hide();
+    // Sub-boards count as boards of their own
+    const countFolders = list => getAllBoards(list).reduce((sum, board) => sum + (board.folders || []).length, 0);
+    const countTasks = list => list.reduce((sum, board) => sum + countBoardTasks(board), 0);
 
-        showNotification('Task updated successfully', 'success');
-    }, 10);
+    return {
+        mode,
+        boards,
+        tags,
+        summary: {
+            boards: getAllBoards(boards).length,
+            tags: tags.length,
+            folders: countFolders(boards),
+            tasks: countTasks(boards),
+            removedBoards: mode === 'replace' ? getAllBoards().length : 0,
+            removedTasks: mode === 'replace' ? countTasks(currentData.boards) : 0,
+            renamedBoards,
+            reassignedIds
+        }
+    };
 }
 
 /**
- * Deletes a task
- * @param {string} taskId - Task ID to delete
+ * Renders the import preview for the selected mode
  */
-function deleteTask(taskId) {
-    // Find task in the hierarchy
-    for (const board of currentData.boards) {
-        for (const folder of board.folders || []) {
-            const taskIndex = folder.tasks?.findIndex(t => t.id === taskId);
-            if (taskIndex !== -1 && taskIndex !== undefined) {
-                folder.tasks.splice(taskIndex, 1);
-                saveData(currentUser.id, currentData);
-                setTimeout(() => {
-                    renderDashboard();
-                    showNotification('Task deleted successfully', 'success');
-                }, 10);
-                return;
-            }
-        }
-    }
+function renderImportPreview() {
+    if (!pendingImport) return;
+
+    const mode = document.querySelector('input[name="importMode"]:checked').value;
+    const prepared = prepareWorkspaceImport(pendingImport.data, mode);
+    const summary = prepared.summary;
+
+    const boardList = prepared.boards.map(board => `
+        <li>
+            <i class="fas fa-columns me-1"></i>${escapeHtml(board.name)}
+            <small class="text-muted">(${(board.subBoards || []).length > 0 ? `${board.subBoards.length} sub-boards, ` : ''}${(board.folders || []).length} folders,
+            ${countBoardTasks(board)} tasks)</small>
+        </li>
+    `).join('');
+
+    document.getElementById('importPreview').innerHTML = `
+        <p class="mb-2"><strong>${escapeHtml(pendingImport.fileName)}</strong></p>
+        <p class="mb-2">
+            Will add <strong>${summary.boards}</strong> boards, <strong>${summary.folders}</strong> folders
+            and <strong>${summary.tasks}</strong> tasks${summary.tags > 0 ? `, and <strong>${summary.tags}</strong> new tags` : ''}.
+        </p>
+        ${summary.removedBoards > 0 ? `
+            <div class="alert alert-warning py-2">
+                <i class="fas fa-exclamation-triangle me-2"></i>
+                Replacing removes your current ${summary.removedBoards} boards and ${summary.removedTasks} tasks.
+            </div>` : ''}
+        ${summary.renamedBoards.length > 0 ? `
+            <p class="mb-1 small">Boards renamed to avoid duplicates:</p>
+            <ul class="small mb-2">
+                ${summary.renamedBoards.map(r => `<li>${escapeHtml(r.from)} &rarr; ${escapeHtml(r.to)}</li>`).join('')}
+            </ul>` : ''}
+        ${summary.reassignedIds > 0 ? `<p class="small text-muted mb-2">${summary.reassignedIds} items get new IDs because theirs are already in use.</p>` : ''}
+        <ul class="list-unstyled import-board-list mb-0">${boardList}</ul>
+    `;
 }
 
 /**
- * Changes task status
- * @param {string} taskId - Task ID
- * @param {string} status - New status
+ * Reads the chosen file and opens the import preview
+ * @param {File} file - JSON file selected by the user
  */
-function changeTaskStatus(taskId, status) {
-    // Find task in the hierarchy
-    for (const board of currentData.boards) {
-        for (const folder of board.folders || []) {
-            const task = folder.tasks?.find(t => t.id === taskId);
-            if (task) {
-                task.status = status;
-                saveData(currentUser.id, currentData);
-                setTimeout(() => {
-                    renderDashboard();
-                    showNotification(`Task status changed to ${status}`, 'success');
-                }, 10);
-                return;
-            }
+function startWorkspaceImport(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            pendingImport = { fileName: file.name, data: parseWorkspaceFile(reader.result) };
+        } catch (error) {
+            pendingImport = null;
+            showNotification(`Import failed: ${error.message}`, 'error', 6000);
+            return;
         }
+
+        document.getElementById('importModeMerge').checked = true;
+        renderImportPreview();
+        importModal.show();
+    };
+    reader.onerror = () => showNotification('Could not read the selected file', 'error');
+    reader.readAsText(file);
+}
+
+/**
+ * Applies the pending import using the mode selected in the preview
+ */
+function confirmWorkspaceImport() {
+    if (!pendingImport || !currentUser) return;
+
+    const mode = document.querySelector('input[name="importMode"]:checked').value;
+    const prepared = prepareWorkspaceImport(pendingImport.data, mode);
+
+    // One undo step covers the whole import: every board it replaces and every board it adds
+    const replacedBoards = mode === 'replace' ? currentData.boards : [];
+    const boardIds = new Set([...replacedBoards, ...prepared.boards].map(board => board.id));
+    const before = [...boardIds].map(boardId => captureBoardState(boardId));
+
+    if (mode === 'replace') {
+        currentData.boards = prepared.boards;
+        currentData.tags = prepared.tags;
+        openBoards.clear();
+        openFolders.clear();
+    } else {
+        currentData.boards.push(...prepared.boards);
+        currentData.tags = [...getTags(), ...prepared.tags];
     }
+
+    pendingImport = null;
+    if (before.length > 0) recordChange(`Import ${prepared.summary.boards} boards`, before);
+    saveData(currentUser.id, currentData);
+    setTimeout(() => {
+        renderDashboard();
+        importModal.hide();
+        showNotification(`Imported ${prepared.summary.boards} boards and ${prepared.summary.tasks} tasks`, 'success', 6000, { label: 'Undo', onClick: undoLastChange });
+    }, 10);
 }
 
 // ========================================
-// DASHBOARD RENDERING
+// TASK EXPORT AND IMPORT (CSV)
 // ========================================
 
 /**
- * Renders the entire dashboard
+ * CSV TASK COLUMNS
+ * One entry per task field that can be exported to / imported from CSV.
+ * - key: Field name used by the importer
+ * - label: Column header written on export (and matched on import)
+ * - required: Import refuses to start until a column is mapped to this field
+ *
+ * Sub-boards are written as their board path ("Work › Sprint 12", see getBoardPathName)
+ * and the importer follows such paths, so importing an export finds the same boards.
  */
-function renderDashboard() {
-    // Prevent multiple simultaneous renders
-    if (window.isRendering) return;
-    window.isRendering = true;
-
-    // Get search term and type
-    const searchTerm = searchInput.value.trim();
-    const searchType = document.getElementById('searchType').value;
-
-    // Get data to render (original or filtered)
-    let dataToRender;
-    let expandBoards = [];
-    let expandFolders = [];
+const CSV_TASK_FIELDS = [
+    { key: 'board', label: 'Board', required: true },
+    { key: 'folder', label: 'Folder', required: true },
+    { key: 'title', label: 'Title', required: true },
+    { key: 'priority', label: 'Priority', required: false },
+    { key: 'status', label: 'Status', required: false },
+    { key: 'startDate', label: 'Start Date', required: true },
+    { key: 'startTime', label: 'Start Time', required: true },
+    { key: 'dueDate', label: 'Due Date', required: true },
+    { key: 'dueTime', label: 'Due Time', required: true },
+    { key: 'description', label: 'Description', required: false },
+    { key: 'editCount', label: 'Edit Count', required: false },
+    { key: 'createdAt', label: 'Created At', required: false }
+];
 
-    if (searchTerm) {
-        const searchResult = searchData(searchTerm, searchType);
-        dataToRender = searchResult.data;
-        expandBoards = searchResult.expandBoards;
-        expandFolders = searchResult.expandFolders;
+// Parsed CSV file waiting for the column mapping to be confirmed
+let pendingCsvImport = null;
 
-        // Update open states for search results
-        expandBoards.forEach(boardId => openBoards.add(boardId));
-        expandFolders.forEach(folderId => openFolders.add(folderId));
-    } else {
-        dataToRender = currentData;
-    }
+// Spreadsheets run cells starting with these characters as formulas
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
 
-    // Use requestAnimationFrame for smooth rendering
-    requestAnimationFrame(() => {
-        boardsContainer.innerHTML = '';
+/**
+ * Quotes a value for CSV when it contains a delimiter, quote or line break
+ *
+ * Values that a spreadsheet would treat as a formula get a leading apostrophe
+ * so a task title like "=HYPERLINK(...)" opens as plain text.
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-        if (dataToRender.boards.length === 0) {
-            if (searchTerm) {
-                boardsContainer.innerHTML = `
-                    <div class="text-center py-5">
-                        <i class="fas fa-search fa-3x text-muted mb-3"></i>
-                        <h4 class="text-muted">No results found</h4>
-                        <p class="text-muted">No ${searchType === 'all' ? 'items' : searchType} match "${searchTerm}"</p>
-                        <button class="btn btn-outline-primary" onclick="clearSearch()">
-                            <i class="fas fa-times me-1"></i>Clear Search
-                        </button>
-                    </div>
-                `;
+/**
+ * Parses CSV text into rows of cells (RFC 4180 quoting, comma or semicolon delimited)
+ * @param {string} text - CSV file content
+ * @returns {string[][]} Rows of cell values
+ */
+function parseCsv(text) {
+    // Strip the byte order mark Excel adds to UTF-8 files
+    text = text.replace(/^\uFEFF/, '');
+
+    // Spreadsheets in some locales save with semicolons - guess from the header line
+    const headerLine = text.split(/\r?\n/)[0] || '';
+    const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
             } else {
-                boardsContainer.innerHTML = `
-                    <div class="text-center py-5">
-                        <i class="fas fa-columns fa-3x text-muted mb-3"></i>
-                        <h4 class="text-muted">No boards created yet</h4>
-                        <p class="text-muted">Create your first board to get started!</p>
-                    </div>
-                `;
+                cell += char;
             }
-            window.isRendering = false;
-            return;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            // Treat \r\n as a single line break
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
         }
+    }
 
-        dataToRender.boards.forEach(board => {
-            const boardElement = document.createElement('div');
-            boardElement.className = 'board-container fade-in';
-
-            boardElement.innerHTML = `
-                <div class="card">
-                    <div class="board-header" onclick="toggleBoard('${board.id}')" style="cursor: pointer;">
-                        <div class="d-flex justify-content-between align-items-center">
-                            <div class="d-flex align-items-center">
-                                <i class="fas fa-chevron-${openBoards.has(board.id) ? 'up' : 'down'} me-3 board-toggle-icon" id="toggle-icon-${board.id}"></i>
-                                <div>
-                                    <h3 class="mb-0">
-                                        <i class="fas fa-columns me-2"></i>
-                                        ${highlightSearchTerm(board.name, searchTerm)}
-                                    </h3>
-                                    <small class="opacity-75">
-                                        ${board.folders ? board.folders.length : 0} folders, 
-                                        ${board.folders ? board.folders.reduce((sum, folder) => sum + (folder.tasks ? folder.tasks.length : 0), 0) : 0} tasks
-                                    </small>
-                                </div>
-                            </div>
-                            <div>
-                                <button class="btn btn-light btn-sm me-2" onclick="event.stopPropagation(); addFolderToBoard('${board.id}')">
-                                    <i class="fas fa-folder-plus me-1"></i>Add Folder
-                                </button>
-                                <button class="btn btn-danger btn-sm" onclick="event.stopPropagation(); deleteBoard('${board.id}')">
-                                    <i class="fas fa-trash me-1"></i>Delete Board
-                                </button>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="board-content" id="board-content-${board.id}" style="display: ${openBoards.has(board.id) ? 'block' : 'none'};">
-                        ${renderBoardFolders(board, searchTerm)}
-                    </div>
-                </div>
-            `;
-
-            boardsContainer.appendChild(boardElement);
-        });
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
 
-        window.isRendering = false;
-    });
+    // Ignore completely empty lines (e.g. trailing newlines)
+    return rows.filter(r => r.some(value => value.trim() !== ''));
 }
 
 /**
- * Renders folders within a board
- * @param {object} board - Board object
- * @param {string} searchTerm - Search term for highlighting
- * @returns {string} HTML string for folders
+ * Finds a board from the names along its path, e.g. ['Work', 'Sprint 12']
+ * @param {string[]} names - Top-level board name followed by sub-board names
+ * @returns {object|null} The board, or null if any board on the path is missing
  */
-function renderBoardFolders(board, searchTerm = '') {
-    const folders = board.folders || [];
-
-    if (folders.length === 0) {
-        return `
-            <div class="text-center py-4">
-                <i class="fas fa-folder fa-2x text-muted mb-2"></i>
-                <p class="text-muted">No folders in this board</p>
-                <button class="btn btn-primary btn-sm" onclick="addFolderToBoard('${board.id}')">
-                    <i class="fas fa-folder-plus me-1"></i>Add First Folder
-                </button>
-            </div>
-        `;
+function findBoardByPath(names) {
+    let board = null;
+    for (const name of names) {
+        const siblings = board ? board.subBoards || [] : currentData.boards;
+        board = siblings.find(b => b.name.toLowerCase() === name.toLowerCase());
+        if (!board) return null;
     }
-
-    return folders.map(folder => `
-        <div class="folder-section">
-            <div class="folder-header" onclick="toggleFolder('${board.id}', '${folder.id}')" style="cursor: pointer;">
-                <div class="d-flex justify-content-between align-items-center">
-                    <div class="d-flex align-items-center">
-                        <i class="fas fa-chevron-${openFolders.has(folder.id) ? 'down' : 'right'} me-3 folder-toggle-icon" id="folder-toggle-icon-${folder.id}"></i>
-                        <div>
-                            <h5 class="mb-0">
-                                <i class="fas fa-folder me-2"></i>
-                                ${highlightSearchTerm(folder.name, searchTerm)}
-                            </h5>
-                            <small class="text-muted">
-                                ${folder.tasks ? folder.tasks.length : 0} tasks
-                            </small>
-                        </div>
-                    </div>
-                    <div>
-                        <button class="btn btn-primary btn-sm me-2" onclick="event.stopPropagation(); addTaskToFolder('${board.id}', '${folder.id}')">
-                            <i class="fas fa-plus me-1"></i>Add Task
-                        </button>
-                        <button class="btn btn-danger btn-sm" onclick="event.stopPropagation(); deleteFolderFromBoard('${board.id}', '${folder.id}')">
-                            <i class="fas fa-trash me-1"></i>Delete
-                        </button>
-                    </div>
-                </div>
-            </div>
-            <div class="folder-tasks" id="folder-tasks-${folder.id}" style="display: ${openFolders.has(folder.id) ? 'block' : 'none'};">
-                ${renderFolderTasks(folder, searchTerm)}
-            </div>
-        </div>
-    `).join('') +
-        // Add sub-boards display
-        (board.subBoards ? board.subBoards.map(subBoard => `
-        <div style="margin-left: 20px; border-left: 3px solid #4299e1; padding-left: 10px; margin-top: 10px; background: rgba(66, 153, 225, 0.1); border-radius: 8px; padding: 15px;">
-            <h6 style="color: #4299e1; margin-bottom: 10px;"><i class="fas fa-layer-group me-2"></i>${subBoard.name}</h6>
-            <small class="text-muted">Sub-Board (Demo Feature)</small>
-        </div>
-    `).join('') : '');
+    return board;
 }
 
 /**
- * Renders tasks within a folder
- * @param {object} folder - Folder object
- * @param {string} searchTerm - Search term for highlighting
- * @returns {string} HTML string for tasks
+ * Downloads every task of the current user as a CSV file
  */
-function renderFolderTasks(folder, searchTerm = '') {
-    const tasks = folder.tasks || [];
+function exportTasksCsv() {
+    if (!currentUser) return;
 
-    if (tasks.length === 0) {
-        return `
-            <div class="text-center py-3">
-                <i class="fas fa-tasks fa-lg text-muted mb-2"></i>
-                <p class="text-muted small">No tasks in this folder</p>
-            </div>
-        `;
-    }
+    const lines = [CSV_TASK_FIELDS.map(field => csvCell(field.label)).join(',')];
 
-    // Sort tasks by priority (highest priority first)
-    const sortedTasks = [...tasks].sort((a, b) => {
-        const priorityOrder = { 'urgent': 4, 'high': 3, 'medium': 2, 'low': 1 };
-        return priorityOrder[b.priority] - priorityOrder[a.priority];
+    getAllBoards().forEach(board => {
+        (board.folders || []).forEach(folder => {
+            (folder.tasks || []).forEach(task => {
+                const values = {
+                    ...task,
+                    board: getBoardPathName(board.id),
+                    folder: folder.name
+                };
+                lines.push(CSV_TASK_FIELDS.map(field => csvCell(values[field.key])).join(','));
+            });
+        });
     });
 
-    return sortedTasks.map(task => {
-        const countdown = calculateCountdown(task.dueDate, task.dueTime);
-
-        // Enhanced countdown display with time
-        let countdownText = '';
-        if (countdown.overdue) {
-            const overdueDays = Math.abs(countdown.days);
-            const overdueHours = Math.abs(countdown.hours);
-            const overdueMinutes = Math.abs(countdown.minutes);
-            countdownText = `<div class="task-countdown urgent">
-                <i class="fas fa-exclamation-triangle me-1"></i>
-                Overdue by ${overdueDays > 0 ? overdueDays + ' days ' : ''}${overdueHours > 0 ? overdueHours + ' hours ' : ''}${overdueMinutes} minutes
-            </div>`;
-        } else if (countdown.days === 0 && countdown.hours === 0 && countdown.minutes === 0) {
-            countdownText = `<div class="task-countdown urgent">
-                <i class="fas fa-clock me-1"></i>
-                Due in ${countdown.seconds} seconds
-            </div>`;
-        } else if (countdown.days === 0 && countdown.hours === 0) {
-            countdownText = `<div class="task-countdown urgent">
-                <i class="fas fa-clock me-1"></i>
-                Due in ${countdown.minutes} minutes ${countdown.seconds} seconds
-            </div>`;
-        } else if (countdown.days === 0) {
-            countdownText = `<div class="task-countdown urgent">
-                <i class="fas fa-clock me-1"></i>
-                Due in ${countdown.hours} hours ${countdown.minutes} minutes
-            </div>`;
-        } else {
-            countdownText = `<div class="task-countdown">
-                <i class="fas fa-calendar me-1"></i>
-                Due in ${countdown.days} days ${countdown.hours} hours ${countdown.minutes} minutes
-            </div>`;
-        }
+    // BOM so Excel opens the file as UTF-8
+    downloadFile(exportFileName('csv'), '\uFEFF' + lines.join('\r\n'), 'text/csv;charset=utf-8');
+    showNotification(`Exported ${lines.length - 1} tasks to CSV`, 'success');
+}
 
-        return `
-            <div class="task-item priority-${task.priority} fade-in" data-task-id="${task.id}">
-                <div class="task-header">
-                    <div>
-                        <div class="task-title">${highlightSearchTerm(task.title, searchTerm)}</div>
-                        <span class="task-priority priority-${task.priority}">${highlightSearchTerm(task.priority, searchTerm)}</span>
-                    </div>
-                    <div class="text-end">
-                        <small class="text-muted">Created: ${formatDate(task.createdAt)}</small>
-                        ${task.lastEdited ? `<br><small class="text-muted">Edited: ${formatDate(task.lastEdited)}</small>` : ''}
-                    </div>
-                </div>
-                
-                <div class="task-dates">
-                    <span><i class="fas fa-play me-1"></i> Start: ${formatDateTime(task.startDate, task.startTime)}</span>
-                    <span><i class="fas fa-flag-checkered me-1"></i> Due: ${formatDateTime(task.dueDate, task.dueTime)}</span>
-                </div>
-                
-                ${task.description ? `<div class="task-description">${highlightSearchTerm(task.description, searchTerm)}</div>` : ''}
-                
-                ${countdownText}
-                
-                <div class="task-actions">
-                    <button class="task-status status-${task.status}" onclick="changeTaskStatus('${task.id}', 'pending')">
-                        ${task.status === 'pending' ? '<i class="fas fa-check me-1"></i>' : ''}${highlightSearchTerm('Pending', searchTerm)}
-                    </button>
-                    <button class="task-status status-${task.status}" onclick="changeTaskStatus('${task.id}', 'active')">
-                        ${task.status === 'active' ? '<i class="fas fa-check me-1"></i>' : ''}${highlightSearchTerm('Active', searchTerm)}
-                    </button>
-                    <button class="task-status status-${task.status}" onclick="changeTaskStatus('${task.id}', 'completed')">
-                        ${task.status === 'completed' ? '<i class="fas fa-check me-1"></i>' : ''}${highlightSearchTerm('Completed', searchTerm)}
-                    </button>
-                    <button class="btn btn-info btn-sm" onclick="editTask('${task.id}')" ${task.editCount >= 3 ? 'disabled' : ''}>
-                        <i class="fas fa-edit me-1"></i>Edit Task
-                    </button>
-                    <button class="btn btn-danger btn-sm" onclick="deleteTask('${task.id}')">
-                        <i class="fas fa-trash me-1"></i>Delete Task
-                    </button>
+/**
+ * Guesses which CSV column holds a task field by comparing header names
+ * @param {object} field - Entry from CSV_TASK_FIELDS
+ * @param {string[]} headers - Header row of the CSV file
+ * @returns {number} Column index, or -1 if no header matches
+ */
+function guessCsvColumn(field, headers) {
+    const normalize = text => text.toLowerCase().replace(/[^a-z]/g, '');
+    const candidates = [normalize(field.label), normalize(field.key)];
+    return headers.findIndex(header => candidates.includes(normalize(header)));
+}
+
+/**
+ * Reads the chosen CSV file and shows the column mapping step
+ * @param {File} file - CSV file selected by the user
+ */
+function startCsvImport(file) {
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        const rows = parseCsv(reader.result);
+        if (rows.length < 2) {
+            showNotification('CSV file needs a header row and at least one task row', 'error');
+            return;
+        }
+
+        pendingCsvImport = { fileName: file.name, headers: rows[0], rows: rows.slice(1) };
+        renderCsvMapping();
+        csvImportModal.show();
+    };
+    reader.onerror = () => showNotification('Could not read the selected file', 'error');
+    reader.readAsText(file);
+}
+
+/**
+ * Renders the column mapping step: one dropdown of CSV columns per task field
+ */
+function renderCsvMapping() {
+    const { headers, rows, fileName } = pendingCsvImport;
+
+    const columnOptions = headers.map((header, index) =>
+        `<option value="${index}">${escapeHtml(header || `Column ${index + 1}`)}</option>`).join('');
+
+    document.getElementById('csvMappingStep').innerHTML = `
+        <p class="mb-3">
+            <strong>${escapeHtml(fileName)}</strong> - ${rows.length} rows.
+            Choose which column holds each task field. Missing boards and folders are created automatically.
+        </p>
+        ${CSV_TASK_FIELDS.map(field => `
+            <div class="row align-items-center mb-2">
+                <label class="col-5 col-form-label" for="csvMap-${field.key}">
+                    ${field.label}${field.required ? ' <span class="text-danger">*</span>' : ''}
+                </label>
+                <div class="col-7">
+                    <select class="form-select form-select-sm csv-mapping-select" id="csvMap-${field.key}" data-field="${field.key}">
+                        <option value="-1">- Not mapped -</option>
+                        ${columnOptions}
+                    </select>
                 </div>
             </div>
-        `;
-    }).join('');
+        `).join('')}
+    `;
+
+    // Preselect columns whose header matches the field name
+    CSV_TASK_FIELDS.forEach(field => {
+        document.getElementById(`csvMap-${field.key}`).value = guessCsvColumn(field, headers);
+    });
+
+    document.getElementById('csvMappingStep').style.display = 'block';
+    document.getElementById('csvResultStep').style.display = 'none';
+    document.getElementById('confirmCsvImportBtn').style.display = 'inline-block';
 }
 
-// ========================================
-// COUNTDOWN UPDATES
-// ========================================
+/**
+ * Converts the cells of one CSV row into task fields using the chosen mapping
+ * @param {string[]} row - CSV cells
+ * @param {object} mapping - Field key to column index
+ * @returns {object} Trimmed task field values
+ */
+function csvRowToFields(row, mapping) {
+    const fields = {};
+    CSV_TASK_FIELDS.forEach(field => {
+        const column = mapping[field.key];
+        fields[field.key] = column >= 0 && row[column] !== undefined ? row[column].trim() : '';
+        // Drop the apostrophe csvCell adds in front of formula-like values
+        if (/^'[=+\-@\t\r]/.test(fields[field.key])) fields[field.key] = fields[field.key].slice(1);
+    });
+
+    // Accept "9:30" as well as "09:30"
+    ['startTime', 'dueTime'].forEach(key => {
+        if (/^\d:\d{2}$/.test(fields[key])) fields[key] = `0${fields[key]}`;
+    });
+    fields.priority = (fields.priority || 'medium').toLowerCase();
+    fields.status = (fields.status || 'pending').toLowerCase();
+    return fields;
+}
 
 /**
- * Updates only the countdown displays without full re-render
+ * Imports the pending CSV rows with the mapping chosen in the modal
+ *
+ * Every row goes through validateTaskFields, the same checks addTask applies.
+ * Rows that fail are listed in the result step instead of being imported.
  */
-function updateCountdowns() {
-    const countdownElements = document.querySelectorAll('.task-countdown');
+function confirmCsvImport() {
+    if (!pendingCsvImport || !currentUser) return;
 
-    countdownElements.forEach(element => {
-        const taskId = element.closest('.task-item').getAttribute('data-task-id');
-        if (!taskId) return;
+    const mapping = {};
+    document.querySelectorAll('.csv-mapping-select').forEach(select => {
+        mapping[select.dataset.field] = parseInt(select.value, 10);
+    });
 
-        // Find the task data
-        let task = null;
-        for (const board of currentData.boards) {
-            for (const folder of board.folders || []) {
-                const foundTask = folder.tasks?.find(t => t.id === taskId);
-                if (foundTask) {
-                    task = foundTask;
-                    break;
+    const unmapped = CSV_TASK_FIELDS.filter(field => field.required && mapping[field.key] < 0);
+    if (unmapped.length > 0) {
+        showNotification(`Please map a column for: ${unmapped.map(field => field.label).join(', ')}`, 'error');
+        return;
+    }
+
+    const failures = [];
+    let importedTasks = 0;
+    let createdBoards = 0;
+    let createdFolders = 0;
+    // Board ID -> state before the first row that changed it, so the import undoes in one step
+    const before = new Map();
+
+    pendingCsvImport.rows.forEach((row, index) => {
+        const rowNumber = index + 2; // +1 for the header row, +1 because spreadsheets count from 1
+        const fields = csvRowToFields(row, mapping);
+
+        const boardNames = fields.board.split('›').map(name => name.trim()).filter(Boolean);
+        if (boardNames.length === 0 || !fields.folder) {
+            failures.push({ rowNumber, reason: 'Board and folder names are required' });
+            return;
+        }
+        if (!TASK_PRIORITIES.includes(fields.priority)) {
+            failures.push({ rowNumber, reason: `Unknown priority "${fields.priority}"` });
+            return;
+        }
+        if (!TASK_STATUSES.includes(fields.status)) {
+            failures.push({ rowNumber, reason: `Unknown status "${fields.status}"` });
+            return;
+        }
+
+        let board = findBoardByPath(boardNames);
+        let folder = board && (board.folders || []).find(f => f.name.toLowerCase() === fields.folder.toLowerCase());
+
+        const validationError = validateTaskFields(fields, folder);
+        if (validationError) {
+            failures.push({ rowNumber, reason: validationError });
+            return;
+        }
+
+        // Undo works on top-level boards, so remember the one the path starts at
+        const topBoard = findBoardByPath(boardNames.slice(0, 1));
+        const topBoardId = topBoard ? topBoard.id : generateId();
+        if (!before.has(topBoardId)) before.set(topBoardId, captureBoardState(topBoardId));
+
+        // Create the boards and folder only once a row actually needs them
+        if (!board) {
+            let parent = null;
+            boardNames.forEach((name, depth) => {
+                const siblings = parent ? (parent.subBoards = parent.subBoards || []) : currentData.boards;
+                let next = siblings.find(b => b.name.toLowerCase() === name.toLowerCase());
+                if (!next) {
+                    next = { id: depth === 0 ? topBoardId : generateId(), name, createdAt: new Date().toISOString(), folders: [], subBoards: [] };
+                    siblings.push(next);
+                    createdBoards++;
                 }
-            }
-            if (task) break;
+                parent = next;
+            });
+            board = parent;
+        }
+        if (!folder) {
+            folder = { id: generateId(), name: fields.folder, createdAt: new Date().toISOString(), tasks: [] };
+            if (!board.folders) board.folders = [];
+            board.folders.push(folder);
+            createdFolders++;
         }
 
-        if (!task) return;
+        const editCount = parseInt(fields.editCount, 10);
+        const createdAt = new Date(fields.createdAt);
 
-        const countdown = calculateCountdown(task.dueDate, task.dueTime);
+        if (!folder.tasks) folder.tasks = [];
+        folder.tasks.push({
+            id: generateId(),
+            title: fields.title,
+            priority: fields.priority,
+            startDate: fields.startDate,
+            startTime: fields.startTime,
+            dueDate: fields.dueDate,
+            dueTime: fields.dueTime,
+            description: fields.description,
+            status: fields.status,
+            createdAt: isNaN(createdAt) ? new Date().toISOString() : createdAt.toISOString(),
+            editCount: isNaN(editCount) ? 0 : editCount,
+            lastEdited: null,
+            history: [{ at: new Date().toISOString(), type: 'imported' }]
+        });
+        importedTasks++;
+    });
 
-        // Update countdown text
-        let countdownText = '';
-        if (countdown.overdue) {
-            const overdueDays = Math.abs(countdown.days);
-            const overdueHours = Math.abs(countdown.hours);
-            const overdueMinutes = Math.abs(countdown.minutes);
-            countdownText = `<i class="fas fa-exclamation-triangle me-1"></i>
-                Overdue by ${overdueDays > 0 ? overdueDays + ' days ' : ''}${overdueHours > 0 ? overdueHours + ' hours ' : ''}${overdueMinutes} minutes`;
-        } else if (countdown.days === 0 && countdown.hours === 0 && countdown.minutes === 0) {
-            countdownText = `<i class="fas fa-clock me-1"></i>
-                Due in ${countdown.seconds} seconds`;
-        } else if (countdown.days === 0 && countdown.hours === 0) {
-            countdownText = `<i class="fas fa-clock me-1"></i>
-                Due in ${countdown.minutes} minutes ${countdown.seconds} seconds`;
-        } else if (countdown.days === 0) {
-            countdownText = `<i class="fas fa-clock me-1"></i>
-                Due in ${countdown.hours} hours ${countdown.minutes} minutes`;
-        } else {
-            countdownText = `<i class="fas fa-calendar me-1"></i>
-                Due in ${countdown.days} days ${countdown.hours} hours ${countdown.minutes} minutes`;
+    pendingCsvImport = null;
+    if (importedTasks > 0) {
+        recordChange(`Import ${importedTasks} tasks from CSV`, [...before.values()]);
+        saveData(currentUser.id, currentData);
+        renderDashboard();
+    }
+
+    renderCsvResult({ importedTasks, createdBoards, createdFolders, failures });
+}
+
+/**
+ * Shows the outcome of a CSV import, including every row that was rejected
+ * @param {object} result - Counts and failed rows from confirmCsvImport
+ */
+function renderCsvResult(result) {
+    const { importedTasks, createdBoards, createdFolders, failures } = result;
+
+    document.getElementById('csvResultStep').innerHTML = `
+        <div class="alert ${importedTasks > 0 ? 'alert-success' : 'alert-warning'} py-2">
+            <i class="fas fa-${importedTasks > 0 ? 'check-circle' : 'exclamation-triangle'} me-2"></i>
+            Imported <strong>${importedTasks}</strong> tasks
+            (${createdBoards} new boards, ${createdFolders} new folders).
+        </div>
+        ${failures.length > 0 ? `
+            <p class="mb-2">${failures.length} rows were not imported:</p>
+            <div class="csv-failures">
+                <table class="table table-sm mb-0">
+                    <thead><tr><th>Row</th><th>Reason</th></tr></thead>
+                    <tbody>
+                        ${failures.map(f => `<tr><td>${f.rowNumber}</td><td>${escapeHtml(f.reason)}</td></tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>` : ''}
+    `;
+
+    document.getElementById('csvMappingStep').style.display = 'none';
+    document.getElementById('csvResultStep').style.display = 'block';
+    document.getElementById('confirmCsvImportBtn').style.display = 'none';
+}
+
+// ========================================
+// CALENDAR EXPORT (ICALENDAR .ICS)
+// ========================================
+
+/**
+ * ICALENDAR FIELD MAPPINGS (RFC 5545)
+ * PRIORITY is 1 (highest) to 9 (lowest); 0 means undefined.
+ * VEVENT and VTODO allow different STATUS values, so each has its own map.
+ */
+const ICS_PRIORITY = { urgent: 1, high: 3, medium: 5, low: 9 };
+const ICS_EVENT_STATUS = { pending: 'TENTATIVE', active: 'CONFIRMED', completed: 'CONFIRMED' };
+const ICS_TODO_STATUS = { pending: 'NEEDS-ACTION', active: 'IN-PROCESS', completed: 'COMPLETED' };
+const ICS_TODO_PERCENT = { pending: 0, active: 50, completed: 100 };
+
+/**
+ * Formats a date as an iCalendar UTC date-time, e.g. 20240115T093000Z
+ * @param {Date} date - Date to format
+ * @returns {string} iCalendar DATE-TIME value
+ */
+function icsDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escapes a TEXT value (backslash, semicolon, comma and line breaks)
+ * @param {string} text - Raw text
+ * @returns {string} Escaped iCalendar text
+ */
+function icsEscape(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line so no physical line is longer than 75 octets
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (continuation lines start with a space)
+ */
+function icsFoldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    // Iterate by code point so multi-byte characters are never split
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        const limit = parts.length === 0 ? 75 : 74; // continuation lines lose one octet to the leading space
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
         }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
 
-        element.innerHTML = countdownText;
+    return parts.join('\r\n ');
+}
 
-        // Update urgency class
-        if (countdown.overdue || (countdown.days === 0 && countdown.hours < 24)) {
-            element.classList.add('urgent');
+/**
+ * Collects the tasks covered by an export scope
+ * @param {string} scope - 'all', 'board:<boardId>' or 'folder:<boardId>:<folderId>'
+ * @returns {object[]} Entries of { task, board, folder }
+ */
+function getTasksInScope(scope) {
+    const [scopeType, boardId, folderId] = scope.split(':');
+    const entries = [];
+
+    // A whole board includes its sub-boards
+    const boards = scopeType === 'all' ? getAllBoards() : getAllBoards([findBoard(boardId)].filter(Boolean));
+    boards.forEach(board => {
+        (board.folders || []).forEach(folder => {
+            if (scopeType === 'folder' && folder.id !== folderId) return;
+            (folder.tasks || []).forEach(task => entries.push({ task, board, folder }));
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * Builds an RFC 5545 calendar with one component per task
+ * @param {object[]} entries - Entries of { task, board, folder }
+ * @param {string} componentType - 'VEVENT' or 'VTODO'
+ * @param {string} calendarName - Name shown by calendar apps
+ * @returns {string} iCalendar file content
+ */
+function buildIcsCalendar(entries, componentType, calendarName) {
+    const stamp = icsDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Swift Task//Task Export//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsEscape(calendarName)}`
+    ];
+
+    entries.forEach(({ task, board, folder }) => {
+        const start = new Date(`${task.startDate}T${task.startTime}`);
+        const due = new Date(`${task.dueDate}T${task.dueTime}`);
+
+        lines.push(`BEGIN:${componentType}`);
+        lines.push(`UID:${task.id}@swift-task`);
+        lines.push(`DTSTAMP:${stamp}`);
+        lines.push(`DTSTART:${icsDateTime(start)}`);
+        // Events end at the due time; to-dos have a DUE property instead
+        lines.push(componentType === 'VEVENT' ? `DTEND:${icsDateTime(due)}` : `DUE:${icsDateTime(due)}`);
+        lines.push(`SUMMARY:${icsEscape(task.title)}`);
+        if (task.description) {
+            lines.push(`DESCRIPTION:${icsEscape(task.description)}`);
+        }
+        lines.push(`CATEGORIES:${icsEscape(board.name)},${icsEscape(folder.name)}`);
+        lines.push(`PRIORITY:${ICS_PRIORITY[task.priority] || 0}`);
+
+        if (componentType === 'VEVENT') {
+            lines.push(`STATUS:${ICS_EVENT_STATUS[task.status]}`);
         } else {
-            element.classList.remove('urgent');
+            lines.push(`STATUS:${ICS_TODO_STATUS[task.status]}`);
+            lines.push(`PERCENT-COMPLETE:${ICS_TODO_PERCENT[task.status]}`);
         }
+
+        if (task.createdAt) {
+            lines.push(`CREATED:${icsDateTime(new Date(task.createdAt))}`);
+        }
+        lines.push(`LAST-MODIFIED:${icsDateTime(new Date(task.lastEdited || task.createdAt || Date.now()))}`);
+        lines.push(`END:${componentType}`);
     });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(icsFoldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Opens the calendar export dialog with the current boards and folders as scopes
+ */
+function showIcsExport() {
+    if (!currentUser) return;
+
+    const scopeSelect = document.getElementById('icsScope');
+    scopeSelect.innerHTML = `
+        <option value="all">All boards</option>
+        ${getAllBoards().map(board => `
+            <optgroup label="${escapeHtml(getBoardPathName(board.id))}">
+                <option value="board:${board.id}">Whole board: ${escapeHtml(board.name)}</option>
+                ${(board.folders || []).map(folder =>
+                    `<option value="folder:${board.id}:${folder.id}">Folder: ${escapeHtml(folder.name)}</option>`).join('')}
+            </optgroup>
+        `).join('')}
+    `;
+
+    icsExportModal.show();
+}
+
+/**
+ * Downloads the .ics file for the options chosen in the export dialog
+ */
+function exportTasksIcs() {
+    const scope = document.getElementById('icsScope').value;
+    const componentType = document.querySelector('input[name="icsComponent"]:checked').value;
+    const includeCompleted = document.getElementById('icsIncludeCompleted').checked;
+
+    const entries = getTasksInScope(scope).filter(entry => includeCompleted || entry.task.status !== 'completed');
+    if (entries.length === 0) {
+        showNotification('There are no tasks to export for this selection', 'error');
+        return;
+    }
+
+    const scopeLabel = document.getElementById('icsScope').selectedOptions[0].textContent.trim();
+    const calendarName = `Swift Task - ${scope === 'all' ? currentUser.username : scopeLabel}`;
+
+    downloadFile(exportFileName('ics'), buildIcsCalendar(entries, componentType, calendarName), 'text/calendar;charset=utf-8');
+    icsExportModal.hide();
+    showNotification(`Exported ${entries.length} tasks to your calendar file`, 'success');
 }
 
 // ========================================
@@ -1414,12 +8855,17 @@ function showProfile() {
 
     // Update profile data
     document.getElementById('profileUsername').textContent = currentUser.username;
+    document.getElementById('profileJoinDate').textContent = currentUser.joinDate ? ` · Member since ${formatDate(currentUser.joinDate)}` : '';
+    document.getElementById('idleTimeoutSelect').value = getIdleTimeoutMinutes();
+    const encrypted = isWorkspaceEncrypted();
+    document.getElementById('encryptionStatus').textContent = encrypted ? 'On - unlocked with your password' : 'Off';
+    document.getElementById('encryptionToggleBtn').textContent = encrypted ? 'Turn Off' : 'Turn On';
 
     // Calculate statistics from the hierarchy
     let totalTasks = 0;
     let completedTasks = 0;
 
-    currentData.boards.forEach(board => {
+    getAllBoards().forEach(board => {
         (board.folders || []).forEach(folder => {
             (folder.tasks || []).forEach(task => {
                 totalTasks++;
@@ -1453,12 +8899,93 @@ loginForm.addEventListener('submit', function (e) {
     
     // Validate that both fields are filled before attempting login
     if (username && password) {
-        loginUser(username, password);
+        loginUser(username, password, document.getElementById('rememberMe').checked);
     } else {
         showNotification('Please enter both username and password', 'error');
     }
 });
 
+// Registration form submission event handler
+registerForm.addEventListener('submit', function (e) {
+    e.preventDefault();
+    registerUser(
+        document.getElementById('registerUsername').value.trim(),
+        document.getElementById('registerPassword').value.trim(),
+        document.getElementById('registerConfirmPassword').value.trim()
+    );
+});
+
+// Switch between the login and registration forms
+document.getElementById('showRegisterLink').addEventListener('click', function (e) {
+    e.preventDefault();
+    showRegisterForm();
+});
+
+document.getElementById('showLoginLink').addEventListener('click', function (e) {
+    e.preventDefault();
+    showLoginForm();
+});
+
+// Change password (opened from the profile modal)
+document.getElementById('changePasswordBtn').addEventListener('click', function () {
+    profileModal.hide();
+    document.getElementById('changePasswordForm').reset();
+    changePasswordModal.show();
+});
+
+document.getElementById('savePasswordBtn').addEventListener('click', function () {
+    changePassword(
+        document.getElementById('currentPasswordInput').value.trim(),
+        document.getElementById('newPasswordInput').value.trim(),
+        document.getElementById('confirmNewPasswordInput').value.trim()
+    );
+});
+
+// Delete account (opened from the profile modal)
+document.getElementById('deleteAccountBtn').addEventListener('click', function () {
+    profileModal.hide();
+    document.getElementById('deleteAccountForm').reset();
+    deleteAccountModal.show();
+});
+
+document.getElementById('confirmDeleteAccountBtn').addEventListener('click', function () {
+    deleteAccount(document.getElementById('deleteAccountPassword').value.trim());
+});
+
+// Encryption at rest (opened from the profile modal)
+document.getElementById('encryptionToggleBtn').addEventListener('click', showEncryptionModal);
+
+document.getElementById('confirmEncryptionBtn').addEventListener('click', function () {
+    setWorkspaceEncryption(!isWorkspaceEncrypted(), document.getElementById('encryptionPassword').value.trim());
+});
+
+// Idle timeout setting (profile modal)
+document.getElementById('idleTimeoutSelect').addEventListener('change', function () {
+    setIdleTimeoutMinutes(parseInt(this.value, 10));
+});
+
+// Any interaction counts as activity for the idle lock
+['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'].forEach(eventName => {
+    document.addEventListener(eventName, recordActivity, { passive: true });
+});
+
+// Undo / redo shortcuts: Ctrl+Z, Ctrl+Shift+Z (or Ctrl+Y); Cmd on macOS
+document.addEventListener('keydown', function (e) {
+    if (!currentUser || !(e.ctrlKey || e.metaKey)) return;
+
+    // Leave text fields and open dialogs to the browser's own undo
+    if (e.target.closest('input, textarea, select, [contenteditable="true"]') || document.querySelector('.modal.show')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoLastChange();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoLastChange();
+    }
+});
+
 // Logout button
 logoutBtn.addEventListener('click', function (e) {
     e.preventDefault();
@@ -1471,6 +8998,74 @@ profileBtn.addEventListener('click', function (e) {
     showProfile();
 });
 
+// Trash - browse, restore or permanently delete deleted items
+trashBtn.addEventListener('click', function (e) {
+    e.preventDefault();
+    showTrash();
+});
+
+tagManagerBtn.addEventListener('click', function (e) {
+    e.preventDefault();
+    showTagManager();
+});
+
+document.getElementById('trashRetentionSelect').addEventListener('change', function () {
+    setTrashRetentionDays(parseInt(this.value, 10));
+});
+
+document.getElementById('emptyTrashBtn').addEventListener('click', emptyTrash);
+
+// Export workspace as JSON
+exportJsonBtn.addEventListener('click', function (e) {
+    e.preventDefault();
+    exportWorkspaceJson();
+});
+
+// Import workspace - open the file picker, preview once a file is chosen
+importJsonBtn.addEventListener('click', function (e) {
+    e.preventDefault();
+    importJsonInput.value = '';
+    importJsonInput.click();
+});
+
+importJsonInput.addEventListener('change', function () {
+    startWorkspaceImport(this.files[0]);
+});
+
+// Re-render the preview when switching between merge and replace
+document.querySelectorAll('input[name="importMode"]').forEach(radio => {
+    radio.addEventListener('change', renderImportPreview);
+});
+
+document.getElementById('confirmImportBtn').addEventListener('click', confirmWorkspaceImport);
+
+// Export tasks as CSV
+exportCsvBtn.addEventListener('click', function (e) {
+    e.preventDefault();
+    exportTasksCsv();
+});
+
+// Import tasks from CSV - pick a file, then map its columns
+importCsvBtn.addEventListener('click', function (e) {
+    e.preventDefault();
+    importCsvInput.value = '';
+    importCsvInput.click();
+});
+
+importCsvInput.addEventListener('change', function () {
+    startCsvImport(this.files[0]);
+});
+
+document.getElementById('confirmCsvImportBtn').addEventListener('click', confirmCsvImport);
+
+// Export deadlines as an iCalendar file
+exportIcsBtn.addEventListener('click', function (e) {
+    e.preventDefault();
+    showIcsExport();
+});
+
+document.getElementById('confirmIcsExportBtn').addEventListener('click', exportTasksIcs);
+
 // Add board button
 addBoardBtn.addEventListener('click', function () {
     addBoard(boardNameInput.value);
@@ -1483,8 +9078,29 @@ document.getElementById('saveTaskBtn').addEventListener('click', addTask);
 // Update task button
 document.getElementById('updateTaskBtn').addEventListener('click', updateTask);
 
+// Show the repeat options that match the chosen frequency and end
+['repeat', 'editRepeat'].forEach(prefix => {
+    [`${prefix}Frequency`, `${prefix}End`].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => updateRecurrenceForm(prefix));
+    });
+    updateRecurrenceForm(prefix);
+});
+
+// Board edit policy and edit count reset
+document.getElementById('saveEditPolicyBtn').addEventListener('click', saveEditPolicy);
+
+document.getElementById('confirmResetEditsBtn').addEventListener('click', function () {
+    resetTaskEdits(resetEditsTaskId, document.getElementById('resetEditsReason').value.trim());
+});
+
+// Link the selected task as a predecessor
+document.getElementById('addDependencyBtn').addEventListener('click', function () {
+    addDependency(dependencyTaskId, document.getElementById('dependencySelect').value);
+});
+
 // Save folder button
 document.getElementById('saveFolderBtn').addEventListener('click', createFolder);
+document.getElementById('saveBoardNameBtn').addEventListener('click', saveBoardName);
 
 // Enter key handlers for input fields
 boardNameInput.addEventListener('keypress', function (e) {
@@ -1502,6 +9118,23 @@ document.getElementById('folderNameInput').addEventListener('keypress', function
     }
 });
 
+document.getElementById('boardNameModalInput').addEventListener('keypress', function (e) {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        saveBoardName();
+    }
+});
+
+document.getElementById('saveViewBtn').addEventListener('click', showSaveView);
+document.getElementById('saveSavedViewBtn').addEventListener('click', saveView);
+
+document.getElementById('savedViewNameInput').addEventListener('keypress', function (e) {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        saveView();
+    }
+});
+
 // Search functionality
 let searchTimeout;
 let previousSearchTerm = '';
@@ -1516,8 +9149,12 @@ searchInput.addEventListener('input', function () {
     }
 
     previousSearchTerm = currentSearchTerm;
-    renderDashboard();
+    searchResultLimit = SEARCH_RESULTS_PAGE;
     updateClearSearchButton();
+
+    // Wait for a pause in typing so large workspaces are not searched on every keystroke
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(renderDashboard, SEARCH_DEBOUNCE_MS);
 });
 
 searchType.addEventListener('change', function () {
@@ -1554,36 +9191,6 @@ function updateClearSearchButton() {
 
 
 
-// ========================================
-// DEMO SUB-BOARD FUNCTIONALITY
-// ========================================
-
-/**
- * Adds a demo sub-board to the first board for demonstration purposes
- */
-function addDemoSubBoard() {
-    // Find the first board
-    if (currentData.boards.length > 0) {
-        const firstBoard = currentData.boards[0];
-
-        // Add a sub-board to it
-        if (!firstBoard.subBoards) firstBoard.subBoards = [];
-
-        firstBoard.subBoards.push({
-            id: generateId(),
-            name: "Demo Sub-Board",
-            createdAt: new Date().toISOString(),
-            folders: []
-        });
-
-        saveData(currentUser.id, currentData);
-        renderDashboard();
-        showNotification('Demo sub-board added!', 'success');
-    } else {
-        showNotification('Please create a board first!', 'error');
-    }
-}
-
 // ========================================
 // INITIALIZATION
 // ========================================
@@ -1592,42 +9199,55 @@ function addDemoSubBoard() {
  * Initializes the application and handles session restoration
  * 
  * INITIALIZATION PROCESS:
- * 1. Checks for existing user session in localStorage
- * 2. If session exists, attempts auto-login (password already verified in previous session)
- * 3. Loads user data and switches to dashboard if auto-login successful
- * 4. Sets up real-time countdown timers for task deadlines
+ * 1. Selects the storage backend (IndexedDB, falling back to localStorage)
+ * 2. Creates the account store from the demo users on first run
+ * 3. Checks for a signed session token (sessionStorage, or localStorage for "remember me")
+ * 4. If the token is valid and not expired, attempts auto-login
+ * 5. Loads user data and switches to dashboard if auto-login successful
+ * 6. Sets up real-time countdown timers and the idle lock check
  * 
  * SESSION MANAGEMENT:
- * - Uses localStorage to persist user sessions across browser sessions
+ * - Sessions persist across browser restarts only when "remember me" was ticked
  * - Auto-login only works if user previously logged in successfully
  * - No password re-verification needed for session restoration
  * - Falls back to login screen if no valid session found
  * 
  * SECURITY NOTES:
- * - Session restoration is based on user ID only (password already verified)
- * - In production, consider using secure session tokens with expiration
- * - Consider implementing session timeout for security
+ * - Tokens are HMAC-signed and expire (12 hours, or 30 days with "remember me")
+ * - Changing the password invalidates older tokens
+ * - Encrypted workspaces are never restored automatically - the password is needed for the key
+ * - The dashboard locks after the user's idle timeout
  */
-function initApp() {
+async function initApp() {
+    // Pick IndexedDB when available, otherwise keep using localStorage
+    await initStorageBackend();
+
+    // First run: turn the demo users into hashed accounts
+    await initAccounts();
+
     // Check if user is already logged in from previous session
-    const savedUser = localStorage.getItem('swift_task_current_user');
+    const session = await readSession();
     
-    if (savedUser) {
-        // Find user by ID (password already verified in previous login)
-        const user = STATIC_USERS.find(u => u.id === savedUser);
+    if (session) {
+        // Find account by ID (password already verified in previous login)
+        const account = loadAccounts().find(a => a.id === session.userId);
         
-        if (user) {
+        // Tokens issued before a password change are no longer honoured
+        if (!account || session.issuedAt < (account.sessionsValidFrom || 0)) {
+            clearSession();
+        } else if (account.encryption) {
+            // The decryption key is derived from the password, so an encrypted workspace needs it again
+            clearSession();
+            usernameInput.value = account.username;
+            showNotification('Your data is encrypted. Enter your password to unlock it.', 'info', 6000);
+        } else {
             // Auto-login for session persistence
             // Password verification not needed as it was already done in previous session
-            currentUser = user;
-            currentUserSpan.textContent = user.username;
-            currentData = loadData(user.id);
-            
-            // Switch directly to dashboard
-            loginScreen.style.display = 'none';
-            dashboardScreen.style.display = 'block';
-            renderDashboard();
+            await startUserSession(toSessionUser(account), { restored: true });
         }
+    } else {
+        // Remove the unsigned session key written by older versions
+        clearSession();
     }
 
     // Set up real-time countdown timers for task deadlines
@@ -1636,6 +9256,7 @@ function initApp() {
             // Only update countdowns, not full re-render for performance
             updateCountdowns();
         }
+        checkIdleTimeout();
     }, 1000); // Update every second for accurate countdown display
 }
 